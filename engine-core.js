@@ -0,0 +1,4838 @@
+// engine-core.js – Engine Simulator v4 physics
+// Headless BMEP → Torque → Horsepower model. No DOM access in here:
+// loaded as a classic <script> in the browser (functions become globals),
+// required from Node via CommonJS, or imported through engine-core.mjs.
+
+/* =========================================================================
+   BASIC MATH HELPERS
+   ========================================================================= */
+
+function hpFromTorque(tqLbFt, rpm) {
+  return (tqLbFt * rpm) / 5252;
+}
+
+function createRpmRange(redline, step, idle = 1000) {
+  const maxRpm = Math.max(redline || 6000, idle + step);
+  const arr = [];
+  for (let r = idle; r <= maxRpm; r += step) arr.push(r);
+  return arr;
+}
+
+function litersFromBoreStroke(boreMm, strokeMm, cylinders) {
+  if (!boreMm || !strokeMm || !cylinders) return 0;
+  const boreCm = boreMm / 10;
+  const strokeCm = strokeMm / 10;
+  const cylVolCc = (Math.PI / 4) * boreCm * boreCm * strokeCm;
+  const totalCc = cylVolCc * cylinders;
+  return totalCc / 1000;
+}
+
+function litersToCID(liters) {
+  return liters * 61.023744;
+}
+
+function bmepPsiFromTorque(torqueLbFt, displacementL, cycle = "four_stroke") {
+  if (!displacementL || displacementL <= 0) return 0;
+  // BMEP(psi) ≈ 150.8 * T(lb-ft) / Vd(CID) – the constant is for cubic inches
+  // and a four-stroke; one power stroke per rev halves it
+  return ((150.8 * torqueLbFt) / litersToCID(displacementL)) * (revsPerCycle(cycle) / 2);
+}
+
+function torqueFromBmepBar(bmepBar, displacementL, cycle = "four_stroke") {
+  if (!displacementL || displacementL <= 0) return 0;
+  const Vd_m3 = displacementL / 1000;  // L → m^3
+  const bmepPa = bmepBar * 1e5;       // bar → Pa
+  const torqueNm = (bmepPa * Vd_m3) / (2 * Math.PI * revsPerCycle(cycle));
+  const torqueLbFt = torqueNm / 1.35581795;
+  return torqueLbFt;
+}
+
+function cfmAtRpm(displacementL, rpm, veFrac, cycle = "four_stroke") {
+  const dispCID = litersToCID(displacementL);
+  const cfm100 = (dispCID * rpm) / (1728 * revsPerCycle(cycle));
+  return cfm100 * veFrac;
+}
+
+function meanPistonSpeed(strokeMm, rpm) {
+  if (!strokeMm || strokeMm <= 0) return 0;
+  const strokeM = strokeMm / 1000;
+  return (2 * strokeM * rpm) / 60;
+}
+
+/* =========================================================================
+   ENGINE CYCLES (FOUR-STROKE, TWO-STROKE, WANKEL ROTARY)
+   ========================================================================= */
+
+// revsPerCycle: crank (eccentric shaft) turns per working cycle of the
+// swept volume. A rotor face fires once every three shaft turns, but with
+// three faces each rotor sweeps its chamber volume once per turn, so a
+// "1.3 L" 13B (2 × 654 cc) breathes like a 1.3 L two-stroke.
+// bmepScale: full-load BMEP against a four-stroke on the same fuel
+// (two-stroke scavenging losses; the rotary's long, thin chamber).
+// bsfcFactor: fuel over the four-stroke figure at the same BTE (two-stroke
+// charge short-circuiting out of the exhaust port; rotary quench losses).
+// frictionScale: Chen-Flynn FMEP share, as neither has a valvetrain (the
+// rotary's rubbing speed is its apex-seal speed, see apexSealSpeed).
+const ENGINE_CYCLES = {
+  four_stroke: { label: "Four-stroke",   revsPerCycle: 2, bmepScale: 1.00, bsfcFactor: 1.00, frictionScale: 1.0 },
+  two_stroke:  { label: "Two-stroke",    revsPerCycle: 1, bmepScale: 0.75, bsfcFactor: 1.30, frictionScale: 0.8 },
+  rotary:      { label: "Wankel rotary", revsPerCycle: 1, bmepScale: 0.80, bsfcFactor: 1.15, frictionScale: 0.7 },
+};
+
+function engineCycleDef(cycle) {
+  return ENGINE_CYCLES[cycle] || ENGINE_CYCLES.four_stroke;
+}
+
+function revsPerCycle(cycle) {
+  return engineCycleDef(cycle).revsPerCycle;
+}
+
+// Piston engines from bore × stroke × cylinders, rotaries from the
+// per-rotor chamber displacement.
+function sweptDisplacementL(cfg) {
+  if (cfg.engineCycle === "rotary") {
+    return cfg.rotorCount > 0 && cfg.rotorChamberCc > 0 ? (cfg.rotorCount * cfg.rotorChamberCc) / 1000 : 0;
+  }
+  return litersFromBoreStroke(cfg.boreMm, cfg.strokeMm, cfg.cylinders);
+}
+
+// Mean apex-seal sliding speed: the rotor turns at a third of shaft speed,
+// so the tips sweep the housing at ω·R/3 on average (R ± 3e at the ends).
+// Stands in for mean piston speed on a rotary.
+function apexSealSpeed(rotorRadiusMm, rpm) {
+  if (!rotorRadiusMm || rotorRadiusMm <= 0) return 0;
+  return ((2 * Math.PI * rpm) / 60) * (rotorRadiusMm / 1000) / 3;
+}
+
+/* =========================================================================
+   FUEL & BSFC
+   ========================================================================= */
+
+// Flat WOT BSFC band per fuel / induction. simulateEngine derives BSFC per
+// operating point instead (see brakeEfficiency); this is kept as a quick
+// reference figure.
+function getBsfc(fuelType, inductionType) {
+  // Crude but “reasonable” BSFC bands
+  if (fuelType === "diesel") {
+    return inductionType === "na" ? 0.40 : 0.38;
+  }
+  if (fuelType === "methanol") {
+    return inductionType === "na" ? 0.70 : 0.75;
+  }
+  // gasoline
+  if (inductionType === "na") return 0.50;
+  return 0.60;
+}
+
+function getFuelDensityLbPerGal(fuelType) {
+  switch (fuelType) {
+    case "diesel":
+      return 7.1;
+    case "methanol":
+      return 6.6;
+    default:
+      return 6.2; // gasoline
+  }
+}
+
+/* =========================================================================
+   MODE CONFIG (FUEL TYPE, REFERENCE BMEP, SANE CR BAND)
+   ========================================================================= */
+
+function getModeConfig(engineMode) {
+  switch (engineMode) {
+    case "gas_na":
+      return {
+        fuelType: "gasoline",
+        bmepRefBar: 13,   // decent NA gas
+        crBand: [9.0, 11.5],
+      };
+    case "gas_turbo":
+      return {
+        fuelType: "gasoline",
+        bmepRefBar: 20,   // good turbo gas
+        crBand: [8.5, 11.0], // direct injection runs ~10–11:1 (L15B7 10.6, B58 11.0)
+      };
+    case "gas_sc":
+      return {
+        fuelType: "gasoline",
+        bmepRefBar: 19,   // SC gas
+        crBand: [8.5, 10.5],
+      };
+    case "diesel_turbo":
+      return {
+        fuelType: "diesel",
+        bmepRefBar: 24,   // boosted diesel
+        crBand: [15.0, 19.0],
+      };
+    case "methanol_race":
+      return {
+        fuelType: "methanol",
+        bmepRefBar: 18,   // hot NA/turbo methanol
+        crBand: [11.0, 16.0],
+      };
+    default:
+      return {
+        fuelType: "gasoline",
+        bmepRefBar: 13,
+        crBand: [9.0, 11.5],
+      };
+  }
+}
+
+/* =========================================================================
+   COMPRESSION / BOOST INTERACTION
+   ========================================================================= */
+
+function getEffectiveBoostAndCompFactor(fuelType, inductionType, compRatio, boostPsi) {
+  let effBoostPsi   = boostPsi;
+  let compFactor    = 1.0;
+
+  if (fuelType === "gasoline") {
+    if (inductionType === "na") {
+      const ideal = 10.8;
+      const delta = compRatio - ideal;
+      compFactor = 1 - 0.01 * delta * delta;
+      compFactor = Math.max(0.9, Math.min(compFactor, 1.05));
+      effBoostPsi = 0;
+    } else {
+      // Turbo / SC gas – knock is handled by spark retard (see sparkTiming)
+      const idealCr  = 9.5;
+      const deltaCr  = compRatio - idealCr;
+      compFactor     = 1 - 0.015 * Math.abs(deltaCr);
+      compFactor     = Math.max(0.85, Math.min(compFactor, 1.02));
+    }
+  } else if (fuelType === "diesel") {
+    const ideal = 17;
+    const delta = compRatio - ideal;
+    compFactor = 1 - 0.01 * Math.abs(delta);
+    compFactor = Math.max(0.9, Math.min(compFactor, 1.05));
+    effBoostPsi = boostPsi;
+  } else if (fuelType === "methanol") {
+    const ideal = 13.5;
+    const delta = compRatio - ideal;
+    compFactor = 1 + 0.01 * delta;
+    compFactor = Math.max(0.9, Math.min(compFactor, 1.1));
+    effBoostPsi = boostPsi;
+  }
+
+  return { effBoostPsi, compFactor };
+}
+
+/* =========================================================================
+   VE / BOOST TABLES
+   ========================================================================= */
+
+// Tables are [[rpm, value], ...] sorted by RPM. They may also be given as
+// text – one "rpm, value" pair per line (commas, tabs, spaces, colons or
+// semicolons all work as separators) – which is what the form and shared
+// links carry. Returns null unless there are at least two valid points.
+function parseRpmTable(input) {
+  if (!input) return null;
+
+  let pairs = input;
+  if (typeof input === "string") {
+    pairs = input.split(/[\n;]+/).map(parseRpmTableLine).filter(Boolean);
+  }
+  if (!Array.isArray(pairs)) return null;
+
+  const table = pairs
+    .filter((pt) => Array.isArray(pt) && Number.isFinite(pt[0]) && Number.isFinite(pt[1]))
+    .map((pt) => [pt[0], pt[1]])
+    .sort((a, b) => a[0] - b[0]);
+
+  return table.length >= 2 ? table : null;
+}
+
+// One "rpm, value" line of a text table, or null if it does not read
+function parseRpmTableLine(line) {
+  const pt = line.trim().split(/[\s,:\t]+/).map(Number);
+  return pt.length >= 2 && Number.isFinite(pt[0]) && Number.isFinite(pt[1]) ? pt : null;
+}
+
+// Non-blank lines of a text table that parseRpmTable skips
+function unreadRpmTableLines(input) {
+  if (typeof input !== "string") return [];
+  return input.split(/[\n;]+/).map((line) => line.trim()).filter((line) => line && !parseRpmTableLine(line));
+}
+
+function formatRpmTable(table, digits = 1) {
+  return table.map(([rpm, v]) => `${Math.round(rpm)}, ${(+v.toFixed(digits))}`).join("\n");
+}
+
+// Linear between points, held flat past either end.
+function interpolateTable(table, rpm) {
+  if (rpm <= table[0][0]) return table[0][1];
+  for (let i = 0; i < table.length - 1; i++) {
+    const [r0, v0] = table[i];
+    const [r1, v1] = table[i + 1];
+    if (rpm <= r1) return r1 === r0 ? v1 : v0 + ((v1 - v0) * (rpm - r0)) / (r1 - r0);
+  }
+  return table[table.length - 1][1];
+}
+
+// Per-RPM VE (%) and boost (psi) from the config's tables; boostCurve is
+// null when there is no boost table or the engine is NA.
+function resolveCurveTables(cfg, rpmRange, inductionType) {
+  const veTable = parseRpmTable(cfg.veTable);
+  if (!veTable) return null;
+
+  const boostTable = inductionType !== "na" ? parseRpmTable(cfg.boostTable) : null;
+  return {
+    veTable,
+    boostTable,
+    veCurve: rpmRange.map((rpm) => interpolateTable(veTable, rpm)),
+    boostCurve: boostTable
+      ? rpmRange.map((rpm) => Math.max(0, interpolateTable(boostTable, rpm)))
+      : null,
+  };
+}
+
+// VE / boost tables that reproduce the built-in model at every `stepRpm`
+// (plus redline). Torque is linear in table VE, so one probe run with a
+// flat 100% table is enough to solve for the VE that matches the model.
+function curveTablesFromModel(inputCfg, stepRpm = 500) {
+  const cfg   = { ...inputCfg, curveSource: "model" };
+  const model = simulateEngine(cfg);
+
+  const idx = model.rpm
+    .map((rpm, i) => i)
+    .filter((i) => (model.rpm[i] - model.rpm[0]) % stepRpm === 0 || i === model.rpm.length - 1);
+  const boostTable = model.inductionType !== "na"
+    ? idx.map((i) => [model.rpm[i], model.boostPsi[i]])
+    : null;
+
+  const probe = simulateEngine({
+    ...cfg,
+    curveSource: "table",
+    veTable: idx.map((i) => [model.rpm[i], 100]),
+    boostTable,
+  });
+
+  return {
+    veTable: idx.map((i) => [
+      model.rpm[i],
+      probe.torque[i] > 0 ? (100 * model.torque[i]) / probe.torque[i] : 100,
+    ]),
+    boostTable,
+  };
+}
+
+/* =========================================================================
+   CAMSHAFT
+   ========================================================================= */
+
+// Durations are at 0.050" lift, centerlines in crank degrees. The built-in
+// valvetrain-based NA curve is the curve of this cam; other cams move it.
+const REFERENCE_CAM = { intakeDur: 220, exhaustDur: 220, liftMm: 10, lsa: 112, icl: 108 };
+
+// 0.050" duration → seat (advertised) duration, typical hydraulic roller
+const SEAT_DURATION_PAD_DEG = 40;
+
+// Rod length / stroke used for dynamic CR until a rod length is known
+const DEFAULT_ROD_RATIO = 1.6;
+
+// What the engine runs below the crossover RPM, relative to the main cam.
+// vvt: intake phaser advanced; vtec: milder low-speed lobes.
+const CAM_SWITCHES = {
+  none: { label: "Fixed",               durShift: 0,   liftScale: 1,   iclShift: 0   },
+  vvt:  { label: "VVT (intake phaser)", durShift: 0,   liftScale: 1,   iclShift: -20 },
+  vtec: { label: "VTEC (two lobes)",    durShift: -30, liftScale: 0.8, iclShift: 0   },
+};
+
+function camFromConfig(cfg) {
+  return {
+    intakeDur: cfg.camIntakeDur,
+    exhaustDur: cfg.camExhaustDur,
+    liftMm: cfg.camLiftMm,
+    lsa: cfg.camLsa,
+    icl: cfg.camIcl,
+  };
+}
+
+// Cam in use below the crossover RPM, or null for a fixed cam.
+function lowSpeedCam(cam, camSwitch) {
+  const sw = CAM_SWITCHES[camSwitch];
+  if (!sw || camSwitch === "none") return null;
+  return {
+    intakeDur: cam.intakeDur + sw.durShift,
+    exhaustDur: cam.exhaustDur + sw.durShift,
+    liftMm: cam.liftMm * sw.liftScale,
+    lsa: cam.lsa,
+    icl: cam.icl + sw.iclShift,
+  };
+}
+
+// Valve overlap at 0.050" (negative = none at that lift).
+function camOverlapDeg(cam) {
+  return (cam.intakeDur + cam.exhaustDur) / 2 - 2 * cam.lsa;
+}
+
+// Intake closing at the seat, degrees after BDC.
+function intakeValveClosingAbdc(cam) {
+  return cam.icl + (cam.intakeDur + SEAT_DURATION_PAD_DEG) / 2 - 180;
+}
+
+// Piston distance from TDC as a fraction of stroke (crank-slider).
+function pistonTravelFrac(crankDegFromTdc, rodRatio) {
+  const a = (crankDegFromTdc * Math.PI) / 180;
+  const r = 0.5;
+  return r * (1 - Math.cos(a)) + rodRatio - Math.sqrt(rodRatio * rodRatio - (r * Math.sin(a)) ** 2);
+}
+
+// Compression only starts once the intake valve has closed.
+function dynamicCompressionRatio(compRatio, ivcAbdc, rodRatio = DEFAULT_ROD_RATIO) {
+  return 1 + (compRatio - 1) * pistonTravelFrac(180 - ivcAbdc, rodRatio);
+}
+
+// Moves the NA curve shape for `cam`. `base` is the reference-cam shape
+// { ratioPeakTq, lowBase, highFloor, expLow, expHigh }; veFactor scales
+// the whole curve (lift and duration fill the cylinder better at peak).
+function camCurveShape(cam, base) {
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(v, hi));
+  const durDelta = (cam.intakeDur + cam.exhaustDur) / 2 -
+    (REFERENCE_CAM.intakeDur + REFERENCE_CAM.exhaustDur) / 2;
+  const overlapDelta = camOverlapDeg(cam) - camOverlapDeg(REFERENCE_CAM);
+  const liftDelta    = cam.liftMm - REFERENCE_CAM.liftMm;
+  const iclDelta     = cam.icl - REFERENCE_CAM.icl;
+
+  // tight LSA = peakier curve, wide LSA = flatter
+  const peakiness = Math.max(0.7, 1 - 0.02 * (cam.lsa - REFERENCE_CAM.lsa));
+
+  return {
+    // longer duration and a retarded intake move the peak up
+    ratioPeakTq: clamp(base.ratioPeakTq + 0.004 * durDelta + 0.004 * iclDelta, 0.45, 0.85),
+    // overlap costs low-speed cylinder filling (reversion)
+    lowBase: clamp(base.lowBase - 0.003 * overlapDelta, 0.2, 0.5),
+    highFloor: clamp(base.highFloor + 0.005 * durDelta + 0.02 * liftDelta, 0.15, 0.6),
+    expLow: base.expLow * peakiness,
+    expHigh: base.expHigh * peakiness,
+    veFactor: clamp(1 + 0.015 * liftDelta + 0.0015 * durDelta, 0.85, 1.15),
+  };
+}
+
+// Overlap, seat IVC and dynamic CR for the main and low-speed cams. A
+// measured intake closing (cfg.ivcAbdc > 0) replaces the cam-derived one;
+// the low-speed cam keeps its offset from it.
+function camSummary(cfg, rodRatio = DEFAULT_ROD_RATIO) {
+  const cam    = camFromConfig(cfg);
+  const lowCam = lowSpeedCam(cam, cfg.camSwitch);
+  const ivcShift = cfg.ivcAbdc > 0 ? cfg.ivcAbdc - intakeValveClosingAbdc(cam) : 0;
+
+  const describe = (c) => {
+    const ivcAbdc = intakeValveClosingAbdc(c) + ivcShift;
+    return {
+      overlapDeg: camOverlapDeg(c),
+      ivcAbdc,
+      dynamicCr: dynamicCompressionRatio(cfg.compRatio, ivcAbdc, rodRatio),
+    };
+  };
+  return {
+    ...describe(cam),
+    ivcSource: cfg.ivcAbdc > 0 ? "input" : "cam",
+    camSwitch: lowCam ? cfg.camSwitch : "none",
+    crossoverRpm: lowCam ? cfg.camCrossoverRpm : null,
+    lowSpeed: lowCam ? describe(lowCam) : null,
+  };
+}
+
+/* =========================================================================
+   ENGINE GEOMETRY (CR STACK, ROD RATIO, PISTON MOTION)
+   ========================================================================= */
+
+// Static CR from the head / gasket / deck / piston stack. deckClearanceMm
+// is the piston below the deck at TDC (negative = proud); pistonCc is
+// + dish or valve reliefs, − dome. Returns null without a chamber volume.
+function staticCompressionRatio({
+  boreMm, strokeMm, chamberCc, gasketBoreMm, gasketThicknessMm, deckClearanceMm, pistonCc,
+}) {
+  if (!(chamberCc > 0) || !(boreMm > 0) || !(strokeMm > 0)) return null;
+
+  const areaMm2 = (d) => (Math.PI / 4) * d * d;
+  const sweptCc     = (areaMm2(boreMm) * strokeMm) / 1000;
+  const gasketCc    = (areaMm2(gasketBoreMm > 0 ? gasketBoreMm : boreMm) * (gasketThicknessMm || 0)) / 1000;
+  const deckCc      = (areaMm2(boreMm) * (deckClearanceMm || 0)) / 1000;
+  const clearanceCc = chamberCc + gasketCc + deckCc + (pistonCc || 0);
+  if (!(clearanceCc > 0)) return null;
+
+  return { sweptCc, clearanceCc, compRatio: (sweptCc + clearanceCc) / clearanceCc };
+}
+
+// Peak piston velocity (and the crank angle it happens at) and peak
+// acceleration, which is always at TDC: rω²(1 + r/l).
+function pistonKinematics(strokeMm, rodMm, rpm) {
+  const r = strokeMm / 2000;   // crank radius, m
+  const l = rodMm / 1000;
+  const omega = (2 * Math.PI * rpm) / 60;
+  if (!(r > 0) || !(l > r) || !(omega > 0)) {
+    return { maxVelocityMs: 0, maxVelocityDeg: 0, peakAccelMs2: 0 };
+  }
+
+  let maxVelocityMs  = 0;
+  let maxVelocityDeg = 0;
+  for (let deg = 0; deg <= 180; deg += 0.5) {
+    const a = (deg * Math.PI) / 180;
+    const v = r * omega * Math.sin(a) *
+      (1 + (r * Math.cos(a)) / Math.sqrt(l * l - (r * Math.sin(a)) ** 2));
+    if (v > maxVelocityMs) {
+      maxVelocityMs  = v;
+      maxVelocityDeg = deg;
+    }
+  }
+
+  return { maxVelocityMs, maxVelocityDeg, peakAccelMs2: r * omega * omega * (1 + r / l) };
+}
+
+// Everything the geometry inputs give: rod ratio, the static CR from the
+// stack (used instead of the typed one when crSource is "geometry"),
+// dynamic CR, and piston velocity / acceleration at redline.
+function engineGeometry(cfg) {
+  const rodKnown = cfg.rodLengthMm > 0;
+  const rodMm    = rodKnown ? cfg.rodLengthMm : cfg.strokeMm * DEFAULT_ROD_RATIO;
+  const rodRatio = cfg.strokeMm > 0 ? rodMm / cfg.strokeMm : DEFAULT_ROD_RATIO;
+
+  const stack = staticCompressionRatio(cfg);
+  const crFromGeometry = cfg.crSource === "geometry" && stack !== null;
+  const compRatio = crFromGeometry ? stack.compRatio : cfg.compRatio;
+
+  const cam = camSummary({ ...cfg, compRatio }, rodRatio);
+  const kin = pistonKinematics(cfg.strokeMm, rodMm, cfg.redline);
+
+  return {
+    rodMm,
+    rodKnown,
+    rodRatio,
+    sweptCc: stack ? stack.sweptCc : null,
+    clearanceCc: stack ? stack.clearanceCc : null,
+    staticCr: stack ? stack.compRatio : null,
+    compRatio,
+    crSource: crFromGeometry ? "geometry" : "typed",
+    ivcAbdc: cam.ivcAbdc,
+    ivcSource: cam.ivcSource,
+    dynamicCr: cam.dynamicCr,
+    ...kin,
+  };
+}
+
+/* =========================================================================
+   FRICTION & PUMPING (IMEP → FMEP / PMEP → BMEP)
+   ========================================================================= */
+
+// Chen-Flynn: FMEP = A + B·Pmax + C·Sp + D·Sp² (bar, m/s)
+const CHEN_FLYNN = { constantBar: 0.4, pressureCoeff: 0.005, speedCoeff: 0.06, speedSqCoeff: 0.0009 };
+
+// Peak cylinder pressure per bar of gross IMEP, for the Chen-Flynn term
+// only; component stress builds it from manifold pressure instead
+const PEAK_PRESSURE_PER_IMEP = { gasoline: 5.0, methanol: 5.0, diesel: 9.0 };
+
+// Share of the boost pressure a supercharger costs back in drive power
+const SC_DRIVE_FRACTION = 0.6;
+
+// Pumping loss at WOT (bar, negative = net pumping gain). NA: intake and
+// exhaust restriction, growing with speed². Turbo: the turbine holds the
+// exhaust above boost. Supercharged: boost pushes the piston down, less
+// what the blower drive takes.
+function pumpingMepBar(inductionType, rpm, redline, boostPsi, ambientPsia) {
+  const x = redline > 0 ? rpm / redline : 0;
+  const restrictionBar = 0.1 + 0.3 * x * x;
+  if (inductionType === "na" || !(boostPsi > 0)) return restrictionBar;
+
+  const boostBar = boostPsi * 0.0689476;
+  if (inductionType === "turbo") {
+    const intakeBar = (ambientPsia + boostPsi) * 0.0689476;
+    return intakeBar * (0.05 + 0.35 * x * x);
+  }
+  return restrictionBar - boostBar * (1 - SC_DRIVE_FRACTION);
+}
+
+// FMEP for a given BMEP / PMEP. Pmax depends on IMEP, which includes
+// FMEP, so the linear Chen-Flynn form is solved for FMEP directly.
+// frictionScale is the engine cycle's share of four-stroke friction.
+function frictionMepBar(bmepBar, pmepBar, pistonSpeedMs, fuelType, frictionScale = 1) {
+  const k  = PEAK_PRESSURE_PER_IMEP[fuelType] || PEAK_PRESSURE_PER_IMEP.gasoline;
+  const sp = pistonSpeedMs;
+  const { constantBar, pressureCoeff, speedCoeff, speedSqCoeff } = CHEN_FLYNN;
+
+  const fmepBar = frictionScale *
+    (constantBar + pressureCoeff * k * (bmepBar + pmepBar) + speedCoeff * sp + speedSqCoeff * sp * sp) /
+    (1 - frictionScale * pressureCoeff * k);
+  return { fmepBar };
+}
+
+/* =========================================================================
+   THERMAL EFFICIENCY & BSFC MAP
+   ========================================================================= */
+
+const BTU_PER_HP_HR = 2544.43;
+
+// Lower heating value, BTU/lb
+const FUEL_LHV_BTU_LB = { gasoline: 18660, diesel: 18400, methanol: 8570 };
+
+// Share of the ideal Otto efficiency a real cycle gets (combustion, heat, timing)
+const COMBUSTION_EFF = { gasoline: 0.72, diesel: 0.78, methanol: 0.76 };
+const CYCLE_GAMMA    = 1.3;
+
+// Default WOT lambda for spark engines: rich for power and cooling. Diesels
+// run lean everywhere, so their fuel follows efficiency alone (unless the
+// optional smoke limiter, smokeLimitLambda, is set).
+const WOT_LAMBDA = {
+  gasoline: { na: 0.88, boosted: 0.78 },
+  methanol: { na: 0.80, boosted: 0.75 },
+};
+// Below this share of WOT load the engine cruises at lambda 1
+const ENRICHMENT_LOAD = 0.8;
+
+// Load fractions the BSFC map is built on
+const BSFC_MAP_LOADS = [0.1, 0.15, 0.2, 0.25, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+
+// Indicated efficiency: Otto efficiency at the static CR, times the real-
+// cycle share; slow strokes lose more heat to the walls.
+function indicatedEfficiency(compRatio, fuelType, pistonSpeedMs) {
+  const otto = 1 - Math.pow(Math.max(compRatio, 1.01), -(CYCLE_GAMMA - 1));
+  const heatLoss = 1 - 0.10 * Math.max(0, 1 - pistonSpeedMs / 12);
+  return otto * (COMBUSTION_EFF[fuelType] || COMBUSTION_EFF.gasoline) * heatLoss;
+}
+
+// WOT lambda a spark engine runs: the typed target, else the default for
+// its fuel and induction. Null for diesel.
+function wotLambda(fuelType, inductionType, lambdaTarget = 0) {
+  if (fuelType === "diesel") return null;
+  if (lambdaTarget > 0) return lambdaTarget;
+  const bands = WOT_LAMBDA[fuelType] || WOT_LAMBDA.gasoline;
+  return inductionType === "na" ? bands.na : bands.boosted;
+}
+
+// Fuel over stoichiometric: 1 / lambda at WOT, blending to 1 at cruise
+function enrichmentFactor(lambdaWot, loadFrac) {
+  if (!lambdaWot) return 1;
+  const x = Math.max(0, (loadFrac - ENRICHMENT_LOAD) / (1 - ENRICHMENT_LOAD));
+  return 1 + (1 / lambdaWot - 1) * Math.min(x, 1);
+}
+
+// Brake thermal efficiency and BSFC (lb/hp·hr) for one operating point.
+// knockFactor is the torque kept after knock retard at that point.
+function brakeEfficiency({
+  bmepBar, imepBar, compRatio, fuelType, lambdaWot = null, pistonSpeedMs,
+  loadFrac = 1, knockFactor = 1, bsfcFactor = 1,
+}) {
+  const indicatedEff = indicatedEfficiency(compRatio, fuelType, pistonSpeedMs) * knockFactor;
+  const mechEff = imepBar > 0 ? Math.max(0, bmepBar / imepBar) : 0;
+  const bte = indicatedEff * mechEff;
+  const lhv = FUEL_LHV_BTU_LB[fuelType] || FUEL_LHV_BTU_LB.gasoline;
+  const bsfc = bte > 0
+    ? (BTU_PER_HP_HR / (bte * lhv)) * enrichmentFactor(lambdaWot, loadFrac) * bsfcFactor
+    : null;
+  return { indicatedEff, mechEff, bte, bsfc };
+}
+
+// An operating point at `loadFrac` of the WOT BMEP at the same RPM. Spark
+// engines get there by throttling (manifold below ambient adds pumping
+// loss) or by running less boost; diesels just inject less fuel.
+// `wot` is that RPM's WOT breakdown from simulateEngine.
+function partLoadPoint(wot, loadFrac, ctx) {
+  const { fuelType, inductionType, compRatio, ambientPsia, pistonSpeedMs } = ctx;
+  const bmepBar = wot.bmepBar * loadFrac;
+  const manifoldWotPsia = ambientPsia + (inductionType === "na" ? 0 : wot.boostPsi);
+
+  let pressureFrac = loadFrac;
+  let pmepBar = wot.pmepBar;
+  let fmepBar = 0;
+  let imepBar = wot.imepBar;
+  for (let iter = 0; iter < 20; iter++) {
+    if (fuelType !== "diesel") {
+      const manifoldPsia = manifoldWotPsia * pressureFrac;
+      pmepBar = wot.pmepBar * pressureFrac + Math.max(0, ambientPsia - manifoldPsia) * 0.0689476;
+    }
+    fmepBar = frictionMepBar(bmepBar, pmepBar, pistonSpeedMs, fuelType, ctx.frictionScale).fmepBar +
+      bmepBar * (1 / wot.limitFactor - 1);
+    imepBar = bmepBar + fmepBar + pmepBar;
+    pressureFrac = wot.imepBar > 0 ? imepBar / wot.imepBar : 1;
+  }
+
+  // knock retard fades out as load (and cylinder pressure) drops
+  const knockFactor = 1 - (1 - wot.knockFactor) * loadFrac * loadFrac;
+  const eff = brakeEfficiency({
+    bmepBar, imepBar, compRatio, fuelType, lambdaWot: ctx.lambdaWot, pistonSpeedMs,
+    loadFrac, knockFactor, bsfcFactor: ctx.bsfcFactor,
+  });
+
+  return {
+    loadFrac,
+    bmepBar,
+    imepBar,
+    fmepBar,
+    pmepBar,
+    manifoldPsia: fuelType === "diesel" ? manifoldWotPsia : manifoldWotPsia * pressureFrac,
+    ...eff,
+  };
+}
+
+// Per-RPM context partLoadPoint needs, taken from a simulateEngine result.
+function wotOperatingPoints(result) {
+  const ambientPsia = result.environment.ambientPsia;
+  return result.rpm.map((rpm, i) => {
+    const limitBar = result.fmepLimitBar[i];
+    const bmepBar  = result.bmepBarArr[i];
+    return {
+      rpm,
+      wot: {
+        bmepBar,
+        imepBar: result.imepBar[i],
+        pmepBar: result.pmepBar[i],
+        boostPsi: result.boostPsi[i],
+        limitFactor: bmepBar > 0 ? bmepBar / (bmepBar + limitBar) : 1,
+        knockFactor: result.spark ? result.spark.torqueFactor[i] : 1,
+      },
+      ctx: {
+        fuelType: result.fuelType,
+        inductionType: result.inductionType,
+        compRatio: result.config.compRatio,
+        ambientPsia,
+        pistonSpeedMs: result.pistonSpeed[i],
+        bsfcFactor: result.bsfcFactor,
+        frictionScale: engineCycleDef(result.engineCycle).frictionScale,
+        lambdaWot: result.exhaust.lambdaWot,
+      },
+    };
+  });
+}
+
+// BSFC / BTE over RPM × load. Rows follow result.rpm, columns `loads`.
+function bsfcMap(result, loads = BSFC_MAP_LOADS) {
+  const points = wotOperatingPoints(result).map(({ wot, ctx }) =>
+    loads.map((load) => partLoadPoint(wot, load, ctx))
+  );
+
+  let best = null;
+  points.forEach((row, i) => row.forEach((p) => {
+    if (p.bsfc !== null && (!best || p.bsfc < best.bsfc)) {
+      best = { rpm: result.rpm[i], bmepBar: p.bmepBar, loadFrac: p.loadFrac, bsfc: p.bsfc, bte: p.bte };
+    }
+  }));
+
+  return {
+    rpm: result.rpm,
+    loads,
+    bmepBar: points.map((row) => row.map((p) => p.bmepBar)),
+    bsfc: points.map((row) => row.map((p) => p.bsfc)),
+    bte: points.map((row) => row.map((p) => p.bte)),
+    best,
+  };
+}
+
+// Iso-lines through a grid of { x, y, v } (grid[i][j], any quadrilateral
+// cells) by marching squares. Returns [[x1, y1], [x2, y2]] segments.
+function contourSegments(grid, level) {
+  const segments = [];
+  const cross = (a, b) => {
+    const t = (level - a.v) / (b.v - a.v);
+    return [a.x + t * (b.x - a.x), a.y + t * (b.y - a.y)];
+  };
+
+  for (let i = 0; i < grid.length - 1; i++) {
+    for (let j = 0; j < grid[i].length - 1; j++) {
+      const corners = [grid[i][j], grid[i + 1][j], grid[i + 1][j + 1], grid[i][j + 1]];
+      if (corners.some((c) => c.v === null || !Number.isFinite(c.v))) continue;
+
+      const hits = [];
+      for (let e = 0; e < 4; e++) {
+        const a = corners[e];
+        const b = corners[(e + 1) % 4];
+        if ((a.v < level) !== (b.v < level)) hits.push(cross(a, b));
+      }
+      if (hits.length >= 2) segments.push([hits[0], hits[1]]);
+      if (hits.length === 4) segments.push([hits[2], hits[3]]);
+    }
+  }
+  return segments;
+}
+
+/* =========================================================================
+   PART LOAD & OPERATING MAP
+   ========================================================================= */
+
+// Load axis of the operating map: share of the WOT manifold pressure
+// (absolute) on a spark engine, share of full-load fueling on a diesel
+const OPERATING_MAP_LOADS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1.0];
+
+// Load column heading per operatingMap().loadAxis
+const OPERATING_MAP_LOAD_LABELS = { map: "Load (% WOT MAP)", fuel: "Load (% WOT fuel)" };
+
+// Tables an operating map carries; values are in the model (imperial) units
+const OPERATING_MAP_QUANTITIES = [
+  { key: "torque",       header: "Torque",                    digits: 1, quantity: "torque" },
+  { key: "bmepPsi",      header: "BMEP",                      digits: 1, quantity: "pressure" },
+  { key: "manifoldPsia", header: "Manifold Pressure (abs)",   digits: 1, quantity: "pressure" },
+  { key: "cfm",          header: "Airflow",                   digits: 1, quantity: "airflow" },
+  { key: "fuelLbHr",     header: "Fuel",                      digits: 2, quantity: "fuelMass" },
+  { key: "bsfc",         header: "BSFC",                      digits: 3, quantity: "bsfc" },
+  { key: "lambda",       header: "Lambda",                    digits: 3 },
+  { key: "egtC",         header: "EGT (°C)",                  digits: 0 },
+];
+
+// Torque, BMEP, manifold pressure, airflow, fuel, lambda and EGT over
+// RPM × load for the engine behind a WOT simulateEngine result (any mode).
+// Grids are [rpm index][load index]. Every load is its own run in table mode, on
+// VE / boost tables that reproduce the WOT result:
+//  - spark engines: manifold pressure at `load` of WOT, by running less
+//    boost and then closing the throttle (VE × MAP / ambient). The throttle
+//    adds pumping loss, and friction stays while the charge shrinks.
+//  - diesels: unthrottled, the fueling is cut to `load` of the WOT fueling
+//    (after any smoke / EGT limit) and the turbo makes boost in proportion;
+//    the run's IMEP at that boost caps what the fuel can give.
+// Fuel comes from the air each run breathes and the lambda it runs (spark)
+// or the IMEP it makes (diesel), both against the WOT fuel, so it stays
+// positive where friction and pumping take all of the brake torque.
+function operatingMap(result, loads = OPERATING_MAP_LOADS) {
+  const { rpm: rpmRange, fuelType, inductionType } = result;
+  const ambientPsia = result.environment.ambientPsia;
+  const diesel = fuelType === "diesel";
+  // the fueling limiters are not linear in VE; the WOT IMEP carries them
+  const cfg = diesel ? { ...result.config, smokeLimitLambda: 0, egtLimitC: 0 } : result.config;
+  const frictionScale = engineCycleDef(result.engineCycle).frictionScale;
+
+  const wotTables = resolveCurveTables(
+    result.curveSource === "table" ? cfg : { ...cfg, ...curveTablesFromModel(cfg, cfg.rpmStep) },
+    rpmRange,
+    inductionType
+  );
+  const wotBoost = inductionType === "na" ? rpmRange.map(() => 0) : wotTables.boostCurve || result.boostPsi;
+  const wotManifold = wotBoost.map((b) => ambientPsia + Math.max(0, b));
+
+  const run = (load) => {
+    const manifoldPsia = wotManifold.map((m, i) => (diesel ? ambientPsia + Math.max(0, wotBoost[i]) * load : m * load));
+    const throttle = manifoldPsia.map((m) => (diesel ? 1 : Math.min(1, m / ambientPsia)));
+    const sim = simulateEngine({
+      ...cfg,
+      curveSource: "table",
+      veTable: rpmRange.map((rpm, i) => [rpm, wotTables.veCurve[i] * throttle[i]]),
+      boostTable: inductionType === "na"
+        ? null
+        : rpmRange.map((rpm, i) => [rpm, Math.max(0, manifoldPsia[i] - ambientPsia)]),
+    });
+    return { sim, manifoldPsia };
+  };
+  const wot = run(1);
+
+  const grids = {
+    torque: [], bmepPsi: [], bmepBar: [], manifoldPsia: [], cfm: [], fuelLbHr: [], bsfc: [], bte: [],
+    lambda: [], egtC: [],
+  };
+  const lambdaWot = result.exhaust.lambdaWot;
+  const afr = STOICH_AFR[fuelType] || STOICH_AFR.gasoline;
+  for (const key of Object.keys(grids)) rpmRange.forEach(() => grids[key].push([]));
+
+  for (const load of loads) {
+    const { sim, manifoldPsia } = load === 1 ? wot : run(load);
+
+    rpmRange.forEach((rpm, i) => {
+      const limitBar = sim.fmepLimitBar[i];
+      const limitFactor = sim.bmepBarArr[i] > 0 ? sim.bmepBarArr[i] / (sim.bmepBarArr[i] + limitBar) : 1;
+      const grossBar = diesel ? Math.min(result.imepBar[i] * load, sim.imepBar[i]) : sim.imepBar[i];
+      const pmepBar = sim.pmepBar[i] + Math.max(0, ambientPsia - manifoldPsia[i]) * 0.0689476;
+      const pistonSpeedMs = sim.pistonSpeed[i];
+
+      let bmepBar = sim.bmepBarArr[i];
+      let fmepBar = sim.fmepBar[i];
+      for (let iter = 0; iter < 20; iter++) {
+        fmepBar = frictionMepBar(bmepBar, pmepBar, pistonSpeedMs, fuelType, frictionScale).fmepBar;
+        bmepBar = (grossBar - pmepBar - fmepBar) * limitFactor;
+      }
+
+      const eff = brakeEfficiency({
+        bmepBar,
+        imepBar: grossBar,
+        compRatio: cfg.compRatio,
+        fuelType,
+        lambdaWot,
+        pistonSpeedMs,
+        loadFrac: load,
+        knockFactor: sim.spark ? sim.spark.torqueFactor[i] : 1,
+        bsfcFactor: result.bsfcFactor,
+      });
+      const torque = torqueFromBmepBar(bmepBar, result.displacementL, result.engineCycle);
+      const hp = hpFromTorque(torque, rpm);
+      // airflow follows the charge mass the run breathes, against WOT
+      const wotCharge = wot.sim.ve[i] * wot.sim.chargeDensity[i];
+      const airFrac = wotCharge > 0 ? (sim.ve[i] * sim.chargeDensity[i]) / wotCharge : 1;
+      const wotFuelLbHr = result.fuelLbHr[i];
+      const lambda = diesel ? null : 1 / enrichmentFactor(lambdaWot, load);
+      const fuelLbHr = diesel
+        ? wotFuelLbHr * (result.imepBar[i] > 0 ? grossBar / result.imepBar[i] : load)
+        : wotFuelLbHr * airFrac * (lambdaWot / lambda);
+      // WOT air from its lambda and fuel: what the WOT exhaust was built on
+      const wotAirKgMin = result.exhaust.lambda[i] * afr * ((wotFuelLbHr * 0.453592) / 60);
+      const exhaust = exhaustState({
+        fuelType,
+        inductionType,
+        lambdaWot: lambda,
+        airKgMin: wotAirKgMin * airFrac,
+        fuelLbHr,
+        hp,
+        indicatedEff: eff.indicatedEff,
+        chargeTempC: sim.iat[i],
+        pistonSpeedMs,
+        compRatio: cfg.compRatio,
+      });
+
+      grids.torque[i].push(torque);
+      grids.bmepPsi[i].push(bmepBar / 0.0689476);
+      grids.bmepBar[i].push(bmepBar);
+      grids.manifoldPsia[i].push(manifoldPsia[i]);
+      grids.cfm[i].push(result.cfm[i] * airFrac);
+      grids.fuelLbHr[i].push(fuelLbHr);
+      grids.bsfc[i].push(hp > 0 ? fuelLbHr / hp : null);
+      grids.bte[i].push(eff.bte);
+      grids.lambda[i].push(exhaust.lambda);
+      grids.egtC[i].push(exhaust.egtC);
+    });
+  }
+
+  return { rpm: rpmRange, loads, loadAxis: diesel ? "fuel" : "map", ...grids };
+}
+
+/* =========================================================================
+   FUEL SYSTEM (INJECTORS, PUMP, DUTY CYCLE)
+   ========================================================================= */
+
+// Injector lb/hr ratings are quoted on gasoline-like test fluid; the usual
+// conversion is 10.5 cc/min per lb/hr whatever the engine burns.
+const CC_MIN_PER_LB_HR = 10.5;
+const CC_PER_GAL       = 3785.41;
+
+// Pump ratings are usually at 40 psi; flow falls off as the pump works
+// against more pressure (a 255 lph pump is ~190 lph at 80 psi).
+const PUMP_RATED_PSI          = 40;
+const PUMP_FLOW_DROP_PER_PSI  = 0.0064;
+const PUMP_MIN_HEADROOM_PCT   = 10;
+
+// A common-rail diesel's lift pump feeds the high-pressure pump at low
+// pressure, and about as much again returns to the tank as cooling and
+// metering spill.
+const DIESEL_SUPPLY_PSI   = 15;
+const DIESEL_RETURN_FRAC  = 1.0;
+
+// Common port injector sizes, cc/min at 3 bar
+const INJECTOR_SIZES_CC = [240, 310, 370, 440, 550, 650, 750, 850, 1000, 1300, 1600, 2000, 2200, 2600];
+
+function injectorFlowCcMin(flow, unit) {
+  return unit === "lbhr" ? flow * CC_MIN_PER_LB_HR : flow;
+}
+
+function pumpFlowAtPressure(ratedLph, railPsi) {
+  const drop = Math.max(0, railPsi - PUMP_RATED_PSI) * PUMP_FLOW_DROP_PER_PSI;
+  return ratedLph * Math.max(0, 1 - drop);
+}
+
+// Injector duty cycle and pump headroom per RPM for the fuel the engine
+// burns, plus the smallest injector / pump that keeps inside the targets.
+// A boost-referenced regulator raises rail pressure 1:1 with boost so the
+// pressure across the injector stays at base; a fixed one does not.
+// Diesel injection (common rail) is not duty-cycle limited, so only the
+// lift pump is sized: its demand includes the return flow, and the duty
+// and injector columns stay null.
+function fuelSystemSizing(cfg, fuelType, rpmArr, boostArr, fuelGalHrArr) {
+  const commonRail = fuelType === "diesel";
+  const {
+    cylinders, injectorFlow, injectorFlowUnit, injectorCount, injectorRatedPsi,
+    fuelPressurePsi, fuelPressureRef, pumpFlowLph, dutyCycleTarget, engineCycle, rotorCount,
+  } = cfg;
+  // rotaries run a primary and a secondary per rotor
+  const perEngine = engineCycle === "rotary" ? 2 * rotorCount : cylinders;
+  const count    = injectorCount > 0 ? injectorCount : perEngine;
+  const ratedCc  = injectorFlow > 0 && !commonRail ? injectorFlowCcMin(injectorFlow, injectorFlowUnit) : null;
+  const ratedPsi = injectorRatedPsi > 0 ? injectorRatedPsi : 43.5;
+  const basePsi  = fuelPressurePsi > 0 ? fuelPressurePsi : ratedPsi;
+
+  const out = {
+    commonRail,
+    injectorCount: count,
+    ratedCcMin: ratedCc,
+    dutyTarget: dutyCycleTarget,
+    railPsi: [],          // lift pump supply pressure on common rail
+    deltaPsi: [],         // null on common rail
+    demandCcMin: [],      // per injector
+    dutyCycle: [],        // %, null without an injector size
+    pumpLph: [],          // available at rail pressure, null without a pump
+    pumpHeadroomPct: [],
+  };
+
+  let needRatedCc = 0;
+  let needPumpLph = 0;
+  for (let i = 0; i < rpmArr.length; i++) {
+    const boost  = Math.max(0, boostArr[i] || 0);
+    const rail   = commonRail ? DIESEL_SUPPLY_PSI : fuelPressureRef === "fixed" ? basePsi : basePsi + boost;
+    const delta  = Math.max(1, rail - boost);
+    const demand = (fuelGalHrArr[i] * CC_PER_GAL) / 60 / count;
+    // flow through a fixed orifice goes with √ΔP
+    const pressureScale = Math.sqrt(delta / ratedPsi);
+
+    out.railPsi.push(rail);
+    out.deltaPsi.push(commonRail ? null : delta);
+    out.demandCcMin.push(demand);
+    out.dutyCycle.push(ratedCc ? (100 * demand) / (ratedCc * pressureScale) : null);
+    needRatedCc = Math.max(needRatedCc, demand / (dutyCycleTarget / 100) / pressureScale);
+
+    const demandLph = ((fuelGalHrArr[i] * CC_PER_GAL) / 1000) * (commonRail ? 1 + DIESEL_RETURN_FRAC : 1);
+    const pumpLph = pumpFlowLph > 0 ? pumpFlowAtPressure(pumpFlowLph, rail) : null;
+    out.pumpLph.push(pumpLph);
+    out.pumpHeadroomPct.push(pumpLph ? (100 * (pumpLph - demandLph)) / pumpLph : null);
+    needPumpLph = Math.max(
+      needPumpLph,
+      (demandLph * (1 + PUMP_MIN_HEADROOM_PCT / 100)) / pumpFlowAtPressure(1, rail)
+    );
+  }
+
+  out.recommendedCcMin = commonRail ? null : needRatedCc * Math.sqrt(43.5 / ratedPsi);   // at 3 bar
+  out.recommendedSizeCc = commonRail
+    ? null
+    : INJECTOR_SIZES_CC.find((cc) => cc >= out.recommendedCcMin) || null;
+  out.recommendedPumpLph = needPumpLph;
+  return out;
+}
+
+/* =========================================================================
+   EXHAUST (EGT, TURBINE INLET, EMISSIONS)
+   ========================================================================= */
+
+const STOICH_AFR       = { gasoline: 14.7, diesel: 14.5, methanol: 6.45 };
+const J_KG_PER_BTU_LB  = 2326;
+const CP_EXHAUST       = 1150;     // J/kg·K
+// Exhaust manifold / collector loses this much before the turbine
+const TURBINE_INLET_DROP_C = 40;
+
+// Carbon mass fraction of the fuel (CO2 = fuel × C × 44/12)
+const FUEL_CARBON_FRAC = { gasoline: 0.866, diesel: 0.87, methanol: 0.375 };
+
+// Adiabatic flame temperature rise at lambda 1, K
+const FLAME_RISE_K = { gasoline: 2000, diesel: 2000, methanol: 1900 };
+const NOX_ACTIVATION_K = 38000;
+// NOx index 100 = stoichiometric gasoline at CR 10 from 300 K
+const NOX_REFERENCE = noxRate(300 * Math.pow(10, CYCLE_GAMMA - 1) + FLAME_RISE_K.gasoline, 1);
+
+// Filter smoke number rises steeply as lambda falls towards `lambda0`;
+// methanol burns soot-free.
+const SMOKE_CURVE = {
+  gasoline: { max: 2, lambda0: 0.6, width: 0.08 },
+  diesel:   { max: 4, lambda0: 1.1, width: 0.15 },
+};
+
+// Share of the fuel energy lost to the coolant and the port walls before
+// the EGT probe: more on slow strokes
+function coolantHeatFrac(pistonSpeedMs) {
+  return 0.22 + 0.08 * Math.max(0, 1 - pistonSpeedMs / 12);
+}
+
+// Exhaust port temperature from an energy balance: whatever fuel energy is
+// released and is neither indicated work nor heat to the coolant leaves
+// with the exhaust (friction ends up in the oil and coolant, not here).
+// Rich mixtures run out of oxygen before all fuel burns, and the unburned
+// CO / H2 carries its energy out as chemistry rather than heat: a stock
+// turbo engine at lambda 0.78 lands around 900 °C, an NA one at 0.88 a
+// little cooler.
+function exhaustGasTempC({ fuelType, lambda, indicatedEff, chargeTempC, pistonSpeedMs }) {
+  const fuelPerAir = 1 / ((STOICH_AFR[fuelType] || STOICH_AFR.gasoline) * lambda);
+  const lhv = (FUEL_LHV_BTU_LB[fuelType] || FUEL_LHV_BTU_LB.gasoline) * J_KG_PER_BTU_LB;
+  const released = 1 - 0.75 * Math.max(0, 1 - lambda);
+  const exhaustFrac = Math.max(0.05, released - indicatedEff - coolantHeatFrac(pistonSpeedMs));
+  return chargeTempC + (fuelPerAir * lhv * exhaustFrac) / ((1 + fuelPerAir) * CP_EXHAUST);
+}
+
+// Zeldovich-style rate: peak flame temperature and spare oxygen
+function noxRate(flameK, lambda) {
+  return Math.exp(-NOX_ACTIVATION_K / flameK) * Math.sqrt(Math.max(0.01, 1 - 1 / lambda + 0.03));
+}
+
+function noxIndex({ fuelType, lambda, chargeTempC, compRatio }) {
+  const rise = (FLAME_RISE_K[fuelType] || FLAME_RISE_K.gasoline) *
+    (lambda >= 1 ? 1 / lambda : 1 - 0.5 * (1 - lambda));
+  const startK = (chargeTempC + 273.15) * Math.pow(Math.max(compRatio, 1), CYCLE_GAMMA - 1);
+  return (100 * noxRate(startK + rise, lambda)) / NOX_REFERENCE;
+}
+
+function smokeFsn(fuelType, lambda) {
+  const curve = SMOKE_CURVE[fuelType];
+  if (!curve) return 0;
+  return Math.min(curve.max, curve.max * Math.exp(-(lambda - curve.lambda0) / curve.width));
+}
+
+// Air mass through the engine, kg/min
+function airMassKgMin(displacementL, rpm, veFrac, densityKgM3, cycle = "four_stroke") {
+  return (displacementL / 1000) * (rpm / revsPerCycle(cycle)) * veFrac * densityKgM3;
+}
+
+// Lambda, EGT and emissions at one full-load point. A spark engine runs
+// its lambda target; a diesel's lambda follows from air and fuel.
+function exhaustState({
+  fuelType, inductionType, lambdaWot, airKgMin, fuelLbHr, hp, indicatedEff, chargeTempC, pistonSpeedMs, compRatio,
+}) {
+  const fuelKgMin = (fuelLbHr * 0.453592) / 60;
+  const afr = STOICH_AFR[fuelType] || STOICH_AFR.gasoline;
+  const lambda = lambdaWot || (fuelKgMin > 0 ? airKgMin / (fuelKgMin * afr) : 10);
+
+  const egtC = exhaustGasTempC({ fuelType, lambda, indicatedEff, chargeTempC, pistonSpeedMs });
+  const co2KgHr = fuelLbHr * 0.453592 * (FUEL_CARBON_FRAC[fuelType] || FUEL_CARBON_FRAC.gasoline) * (44 / 12);
+  const kw = hp * 0.745700;
+
+  return {
+    lambda,
+    afr: lambda * afr,
+    egtC,
+    turbineInletC: inductionType === "turbo" ? egtC - TURBINE_INLET_DROP_C : null,
+    co2KgHr,
+    co2GPerKwh: kw > 0 ? (1000 * co2KgHr) / kw : null,
+    noxIndex: noxIndex({ fuelType, lambda, chargeTempC, compRatio }),
+    smokeFsn: smokeFsn(fuelType, lambda),
+  };
+}
+
+// What simulateEngine reports at a diesel full-load BMEP: pumping, Chen-
+// Flynn friction, efficiency, fuel and so EGT / lambda. The diesel sim
+// uses it to cap fueling at the smoke and EGT limits.
+function dieselExhaustAt(bmepBar, rpm, ctx) {
+  const { displacementL, redline, compRatio, pistonSpeedMs, boostPsi, ambientPsia, airKgMin, chargeTempC } = ctx;
+  const pmepBar = pumpingMepBar("turbo", rpm, redline, boostPsi, ambientPsia);
+  const { fmepBar } = frictionMepBar(bmepBar, pmepBar, pistonSpeedMs, "diesel");
+  const imepBar = bmepBar + fmepBar + pmepBar;
+  const eff = brakeEfficiency({ bmepBar, imepBar, compRatio, fuelType: "diesel", pistonSpeedMs });
+  const hp = hpFromTorque(torqueFromBmepBar(bmepBar, displacementL), rpm);
+  // fuel for the indicated work (the same as hp × BSFC while hp > 0), so a
+  // point that friction and pumping eat up still burns fuel
+  const indicatedHp = hpFromTorque(torqueFromBmepBar(imepBar, displacementL), rpm);
+  const fuelLbHr = eff.indicatedEff > 0 && indicatedHp > 0
+    ? (indicatedHp * BTU_PER_HP_HR) / (eff.indicatedEff * FUEL_LHV_BTU_LB.diesel)
+    : 0;
+  return exhaustState({
+    fuelType: "diesel", inductionType: "turbo", lambdaWot: null, airKgMin,
+    fuelLbHr, hp, indicatedEff: eff.indicatedEff, chargeTempC, pistonSpeedMs, compRatio,
+  });
+}
+
+// Largest share of `bmepBar` that keeps lambda at or above `minLambda` and
+// EGT at or below `egtLimitC` (0 = no limit for either).
+function dieselFuelLimitFrac(bmepBar, rpm, ctx, minLambda, egtLimitC) {
+  const within = (frac) => {
+    const ex = dieselExhaustAt(bmepBar * frac, rpm, ctx);
+    return ex.lambda >= minLambda && (!(egtLimitC > 0) || ex.egtC <= egtLimitC);
+  };
+  if (within(1)) return 1;
+
+  let lo = 0;
+  let hi = 1;
+  for (let iter = 0; iter < 30; iter++) {
+    const mid = (lo + hi) / 2;
+    if (within(mid)) lo = mid;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/* =========================================================================
+   COMPONENT STRESS (PISTONS, RODS, BEARINGS, HEAD GASKET)
+   ========================================================================= */
+
+// Stock limits when the config leaves them at 0, by fuel. Piston and
+// gasket limits are peak cylinder pressure; rods are sized on the same
+// pressure over the bore.
+const STOCK_STRESS_LIMITS = {
+  gasoline: { pcpBar: 120, bearingMpa: 75 },
+  methanol: { pcpBar: 120, bearingMpa: 75 },
+  diesel:   { pcpBar: 190, bearingMpa: 105 },
+};
+const ROD_DESIGN_MARGIN     = 1.15;   // rod load capacity over the piston limit load
+const GASKET_CLAMP_MARGIN   = 1.5;    // clamp a gasket needs over the lift to keep sealing
+const STOCK_CLAMP_PER_LIFT  = 1.8;    // clamp fitted as a multiple of the lift at the piston limit
+
+// Forged internals over cast / powder-metal stock parts. Head studs are
+// not part of the swap: raise the clamp load for those.
+const FORGED_FACTOR = { piston: 1.4, rod: 1.7, bearing: 1.15, gasket: 1.0 };
+
+// Rod journal diameter and width as a share of bore
+const JOURNAL_RATIO = {
+  gasoline: { diameter: 0.58, width: 0.22 },
+  methanol: { diameter: 0.58, width: 0.22 },
+  diesel:   { diameter: 0.71, width: 0.30 },
+};
+const ROD_RECIP_SHARE = 0.33;   // of rod mass, moving with the piston
+// Peak pressure lands ~15° ATDC, where inertia has eased off a little
+const PCP_INERTIA_SHARE = 0.9;
+
+// Combustion pressure rise per bar of gross IMEP: a diesel burns its fuel
+// close to TDC on top of a much higher compression pressure
+const COMBUSTION_RISE_PER_IMEP = { gasoline: 2.6, methanol: 2.6, diesel: 4.5 };
+// A charge still knocking at full retard detonates: the pressure spike
+// grows with each degree of retard it is still short of, up to a cap
+const DETONATION_RISE_PER_DEG = 0.04;
+const DETONATION_RISE_MAX     = 0.5;
+
+// Peak cylinder pressure: the charge compressed from manifold pressure
+// (MAP · CR^n) plus the combustion rise. The rise follows the fuel burned
+// per cycle, i.e. gross IMEP before knock retard, so pulling timing does
+// not make more boost look safer.
+function peakCylinderPressureBar({ manifoldPsia, compRatio, grossImepBar, fuelType, detonationDeg = 0 }) {
+  const compressionBar = manifoldPsia * 0.0689476 * Math.pow(Math.max(compRatio, 1), POLYTROPIC_N);
+  const riseBar = (COMBUSTION_RISE_PER_IMEP[fuelType] || COMBUSTION_RISE_PER_IMEP.gasoline) *
+    Math.max(0, grossImepBar);
+  const spike = Math.min(DETONATION_RISE_MAX, DETONATION_RISE_PER_DEG * Math.max(0, detonationDeg));
+  return (compressionBar + riseBar) * (1 + spike);
+}
+
+// Utilisation (load / limit) bands
+const RISK_BANDS = [
+  { max: 0.75,     risk: "low",            severity: null },
+  { max: 0.9,      risk: "moderate",       severity: null },
+  { max: 1.0,      risk: "high",           severity: "warn" },
+  { max: Infinity, risk: "failure likely", severity: "danger" },
+];
+
+function riskBand(utilization) {
+  return RISK_BANDS.find((b) => utilization < b.max) || RISK_BANDS[RISK_BANDS.length - 1];
+}
+
+// Piston assembly (pin, rings) mass when unknown: scales with bore³
+function estimatePistonMassG(boreMm, fuelType) {
+  return 0.00045 * Math.pow(boreMm, 3) * (fuelType === "diesel" ? 1.9 : 1);
+}
+
+// Limits actually applied: config values, else stock estimates, times the
+// forged factors when forged internals are selected.
+function stressLimits(cfg, fuelType) {
+  const stock = STOCK_STRESS_LIMITS[fuelType] || STOCK_STRESS_LIMITS.gasoline;
+  const boreM2 = (Math.PI / 4) * (cfg.boreMm / 1000) ** 2;
+  const gasketM2 = (Math.PI / 4) * ((cfg.gasketBoreMm > 0 ? cfg.gasketBoreMm : cfg.boreMm) / 1000) ** 2;
+  const pcpBar = cfg.limitPcpBar > 0 ? cfg.limitPcpBar : stock.pcpBar;
+  const forged = cfg.internals === "forged";
+  const scale = (key) => (forged ? FORGED_FACTOR[key] : 1);
+
+  return {
+    pcpBar: pcpBar * scale("piston"),
+    rodKn: (cfg.limitRodKn > 0 ? cfg.limitRodKn : (pcpBar * 1e5 * boreM2 * ROD_DESIGN_MARGIN) / 1000) * scale("rod"),
+    bearingMpa: (cfg.limitBearingMpa > 0 ? cfg.limitBearingMpa : stock.bearingMpa) * scale("bearing"),
+    headClampKn: (cfg.headClampKn > 0 ? cfg.headClampKn : (pcpBar * 1e5 * gasketM2 * STOCK_CLAMP_PER_LIFT) / 1000) * scale("gasket"),
+  };
+}
+
+// Per-RPM loads on the bottom end and head gasket, and a risk rating per
+// component from the worst RPM. Gas force comes from the peak cylinder
+// pressure (peakCylinderPressureBar); inertia from the reciprocating mass
+// at TDC.
+function componentStress(cfg, fuelType, rodMm, rpmArr, peakPressureBar) {
+  const { boreMm, strokeMm } = cfg;
+  const limits = stressLimits(cfg, fuelType);
+  const pistonG = cfg.pistonMassG > 0 ? cfg.pistonMassG : estimatePistonMassG(boreMm, fuelType);
+  const rodG    = cfg.rodMassG > 0 ? cfg.rodMassG : 1.7 * pistonG;
+  const recipKg = (pistonG + ROD_RECIP_SHARE * rodG) / 1000;
+  const rotKg   = ((1 - ROD_RECIP_SHARE) * rodG) / 1000;
+
+  const journal   = JOURNAL_RATIO[fuelType] || JOURNAL_RATIO.gasoline;
+  const journalMm2 = journal.diameter * boreMm * journal.width * boreMm;
+  const boreM2    = (Math.PI / 4) * (boreMm / 1000) ** 2;
+  const gasketM2  = (Math.PI / 4) * ((cfg.gasketBoreMm > 0 ? cfg.gasketBoreMm : boreMm) / 1000) ** 2;
+
+  const out = {
+    internals: cfg.internals === "forged" ? "forged" : "stock",
+    pistonMassG: pistonG,
+    rodMassG: rodG,
+    limits,
+    rodCompressionKn: [],
+    rodTensionKn: [],
+    bearingMpa: [],
+    gasketLiftKn: [],
+  };
+
+  for (let i = 0; i < rpmArr.length; i++) {
+    const rpm = rpmArr[i];
+    const accel = pistonKinematics(strokeMm, rodMm, rpm).peakAccelMs2;
+    const omega = (2 * Math.PI * rpm) / 60;
+    const gasPa = Math.max(0, peakPressureBar[i] - 1) * 1e5;
+
+    const gasKn     = (gasPa * boreM2) / 1000;
+    const inertiaKn = (recipKg * accel) / 1000;
+    const rotKn     = (rotKg * (strokeMm / 2000) * omega * omega) / 1000;
+
+    const compression = Math.max(0, gasKn - PCP_INERTIA_SHARE * inertiaKn);
+    // exhaust TDC: nothing pushes back on the rod
+    const tension = inertiaKn;
+    out.rodCompressionKn.push(compression);
+    out.rodTensionKn.push(tension);
+    out.bearingMpa.push((Math.max(compression, tension + rotKn) * 1000) / journalMm2);
+    out.gasketLiftKn.push((gasPa * gasketM2) / 1000);
+  }
+
+  const worst = (arr) => {
+    const value = Math.max(...arr);
+    return { value, rpm: rpmArr[arr.indexOf(value)] };
+  };
+  const pcp = worst(peakPressureBar);
+  const rodComp = worst(out.rodCompressionKn);
+  const rodTens = worst(out.rodTensionKn);
+  const rod = rodComp.value >= rodTens.value ? { ...rodComp, mode: "compression" } : { ...rodTens, mode: "tension" };
+  const bearing = worst(out.bearingMpa);
+  const lift = worst(out.gasketLiftKn);
+
+  const component = (key, label, load, limit, unit, rpm, extra = {}) => {
+    const utilization = limit > 0 ? load / limit : 0;
+    const band = riskBand(utilization);
+    return { key, label, load, limit, unit, rpm, utilization, risk: band.risk, severity: band.severity, ...extra };
+  };
+  out.components = [
+    component("piston", "Pistons", pcp.value, limits.pcpBar, "bar", pcp.rpm),
+    component("rod", "Rods", rod.value, limits.rodKn, "kN", rod.rpm, { mode: rod.mode }),
+    component("bearing", "Crank & rod bearings", bearing.value, limits.bearingMpa, "MPa", bearing.rpm),
+    // the gasket holds a lift up to clamp / margin
+    component("gasket", "Head gasket", lift.value, limits.headClampKn / GASKET_CLAMP_MARGIN, "kN", lift.rpm, {
+      clampMargin: lift.value > 0 ? limits.headClampKn / lift.value : null,
+    }),
+  ];
+  return out;
+}
+
+/* =========================================================================
+   GASOLINE – NA
+   ========================================================================= */
+
+function simulateGasolineNa(rpmRange, cfg, bmepRefBar) {
+  const {
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    valvetrainType,
+    valvesPerCyl,
+    compRatio,
+    boreMm,
+    strokeMm,
+    veCurve,
+    camSwitch,
+    camCrossoverRpm,
+  } = cfg;
+
+  let basePeakBmepBar = bmepRefBar; // ~13 bar baseline
+
+  // Tech factor – valvetrain & valves
+  let techFactor = 1.0;
+  if (valvetrainType === "pushrod") techFactor *= 0.95;
+  if (valvetrainType === "sohc")    techFactor *= 1.00;
+  if (valvetrainType === "dohc")    techFactor *= 1.05;
+  if (valvesPerCyl === 2)           techFactor *= 0.95;
+  if (valvesPerCyl === 4)           techFactor *= 1.05;
+
+  // Size factor – bigger NA engines usually lower hp/L
+  let sizeFactor = 1.0;
+  if (displacementL > 2 && sizePenalty > 0) {
+    const penalty = (sizePenalty / 100) * (displacementL - 2);
+    sizeFactor = Math.max(0.75, 1 - penalty);
+  }
+
+  // VE factor around NA baseline
+  const veFactor = (vePeak / 100) / 0.95;
+
+  // Compression factor
+  const idealCr = 10.8;
+  const deltaCr = compRatio - idealCr;
+  let crFactor = 1 - 0.01 * deltaCr * deltaCr;
+  crFactor = Math.max(0.9, Math.min(crFactor, 1.05));
+
+  // Stroke bias – long stroke = more low, less high
+  const boreStrokeRatio = boreMm > 0 && strokeMm > 0 ? boreMm / strokeMm : 1.0;
+  let lowRpmBias = 1.0;
+  let highRpmBias = 1.0;
+  if (boreStrokeRatio < 0.95) {
+    // long stroke
+    lowRpmBias  = 1.05;
+    highRpmBias = 0.95;
+  } else if (boreStrokeRatio > 1.05) {
+    // oversquare
+    lowRpmBias  = 0.95;
+    highRpmBias = 1.05;
+  }
+
+  const peakBmepBar =
+    basePeakBmepBar * techFactor * sizeFactor * veFactor * crFactor;
+
+  // Position of peak torque (reference cam)
+  let ratioPeakTq;
+  if (valvetrainType === "pushrod") ratioPeakTq = 0.55;
+  else if (valvetrainType === "sohc") ratioPeakTq = 0.65;
+  else ratioPeakTq = 0.70;
+
+  if (valvesPerCyl === 2) ratioPeakTq -= 0.05;
+  if (valvesPerCyl === 4) ratioPeakTq += 0.03;
+
+  // apply bore/stroke bias
+  ratioPeakTq *= boreStrokeRatio < 1 ? 0.95 : 1.05;
+  ratioPeakTq = Math.max(0.45, Math.min(ratioPeakTq, 0.8));
+
+  // Cam moves the reference shape; VVT/VTEC run a second shape below crossover
+  const baseShape = {
+    ratioPeakTq,
+    lowBase: 0.40 * lowRpmBias,
+    highFloor: 0.30 * highRpmBias,
+    expLow:
+      valvetrainType === "pushrod" ? 0.75 :
+      valvetrainType === "sohc"    ? 0.90 : 1.05,
+    expHigh:
+      valvetrainType === "pushrod" ? 1.35 :
+      valvetrainType === "sohc"    ? 1.15 : 1.05,
+  };
+  const cam       = camFromConfig(cfg);
+  const lowCam    = lowSpeedCam(cam, camSwitch);
+  const mainShape = camCurveShape(cam, baseShape);
+  const lowShape  = lowCam ? camCurveShape(lowCam, baseShape) : null;
+
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+
+  const shapeFrac = (shape, rpm) => {
+    const rpmPeakTq = shape.ratioPeakTq * redline;
+    if (rpm <= rpmPeakTq) {
+      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
+      return shape.veFactor *
+        (shape.lowBase + (1 - shape.lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), shape.expLow));
+    }
+    const x = (rpm - rpmPeakTq) / (rpmMax - rpmPeakTq);
+    return shape.veFactor *
+      (1 - (1 - shape.highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), shape.expHigh));
+  };
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    let frac;
+
+    if (veCurve) {
+      // user VE table replaces the built-in shape
+      frac = veCurve[i] / vePeak;
+    } else {
+      frac = shapeFrac(lowShape && rpm < camCrossoverRpm ? lowShape : mainShape, rpm);
+    }
+
+    const bmepBar = peakBmepBar * frac;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+}
+
+/* =========================================================================
+   TURBO COMPRESSOR MAPS
+   ========================================================================= */
+
+// Simplified maps in corrected mass flow (lb/min) vs pressure ratio.
+// surge / choke are polylines ordered by PR; islands are closed polygons.
+// Custom maps loaded from JSON use exactly this shape.
+const COMPRESSOR_MAPS = {
+  gt2860: {
+    id: "gt2860",
+    name: "Garrett GT2860R-class (≈250–330 hp)",
+    surge: [[6, 1.3], [8.5, 1.8], [11.5, 2.3], [15, 2.8], [19, 3.2]],
+    choke: [[30, 1.3], [37, 1.8], [40, 2.3], [41, 2.8], [39, 3.2]],
+    islands: [
+      { efficiency: 0.60, points: [
+        [30.5, 2.61], [28.1, 2.8], [24, 2.8], [19.4, 2.61],
+        [15.5, 2.29], [13.3, 1.92], [13.5, 1.59], [15.9, 1.4],
+        [20, 1.4], [24.6, 1.59], [28.5, 1.91], [30.7, 2.28],
+      ] },
+      { efficiency: 0.65, points: [
+        [29.3, 2.53], [27.2, 2.69], [23.7, 2.69], [19.8, 2.54],
+        [16.5, 2.26], [14.6, 1.94], [14.7, 1.67], [16.8, 1.51],
+        [20.3, 1.51], [24.2, 1.66], [27.5, 1.94], [29.4, 2.26],
+      ] },
+      { efficiency: 0.70, points: [
+        [27.7, 2.44], [26.1, 2.56], [23.4, 2.57], [20.3, 2.44],
+        [17.7, 2.23], [16.2, 1.98], [16.3, 1.76], [17.9, 1.64],
+        [20.6, 1.63], [23.7, 1.76], [26.3, 1.97], [27.8, 2.22],
+      ] },
+      { efficiency: 0.74, points: [
+        [26, 2.34], [24.9, 2.43], [23, 2.43], [20.8, 2.34],
+        [18.9, 2.19], [17.9, 2.01], [18, 1.86], [19.1, 1.77],
+        [21, 1.77], [23.2, 1.86], [25.1, 2.01], [26.1, 2.19],
+      ] },
+      { efficiency: 0.76, points: [
+        [24.8, 2.27], [24, 2.33], [22.7, 2.33], [21.1, 2.27],
+        [19.8, 2.16], [19.1, 2.04], [19.2, 1.93], [20, 1.87],
+        [21.3, 1.87], [22.9, 1.93], [24.2, 2.04], [24.9, 2.16],
+      ] },
+    ],
+  },
+  gtx3076: {
+    id: "gtx3076",
+    name: "Garrett GTX3076R-class (≈350–550 hp)",
+    surge: [[9, 1.3], [12, 1.8], [16, 2.4], [21, 3], [26, 3.5]],
+    choke: [[44, 1.3], [54, 1.8], [59, 2.4], [61, 3], [59, 3.5]],
+    islands: [
+      { efficiency: 0.60, points: [
+        [45.5, 3.08], [41.9, 3.33], [36, 3.34], [29.2, 3.09],
+        [23.5, 2.65], [20.3, 2.15], [20.5, 1.72], [24.1, 1.47],
+        [30, 1.46], [36.8, 1.71], [42.5, 2.15], [45.7, 2.65],
+      ] },
+      { efficiency: 0.65, points: [
+        [43.7, 2.99], [40.7, 3.2], [35.6, 3.2], [29.8, 2.99],
+        [24.8, 2.62], [22.1, 2.19], [22.3, 1.81], [25.3, 1.6],
+        [30.4, 1.6], [36.2, 1.81], [41.2, 2.18], [43.9, 2.61],
+      ] },
+      { efficiency: 0.70, points: [
+        [41.6, 2.87], [39.2, 3.04], [35.1, 3.04], [30.4, 2.87],
+        [26.5, 2.57], [24.3, 2.23], [24.4, 1.93], [26.8, 1.76],
+        [30.9, 1.76], [35.6, 1.93], [39.5, 2.23], [41.7, 2.57],
+      ] },
+      { efficiency: 0.74, points: [
+        [39.4, 2.75], [37.6, 2.88], [34.5, 2.88], [31.1, 2.75],
+        [28.1, 2.53], [26.5, 2.27], [26.6, 2.05], [28.4, 1.92],
+        [31.5, 1.92], [34.9, 2.05], [37.9, 2.27], [39.5, 2.53],
+      ] },
+      { efficiency: 0.77, points: [
+        [37.1, 2.62], [35.9, 2.7], [34, 2.7], [31.8, 2.62],
+        [29.9, 2.48], [28.9, 2.32], [28.9, 2.18], [30.1, 2.1],
+        [32, 2.1], [34.2, 2.18], [36.1, 2.32], [37.1, 2.48],
+      ] },
+    ],
+  },
+  gt3582: {
+    id: "gt3582",
+    name: "Garrett GT3582R-class (≈450–650 hp)",
+    surge: [[13, 1.3], [17, 1.8], [23, 2.5], [29, 3.1], [35, 3.6]],
+    choke: [[54, 1.3], [67, 1.8], [74, 2.5], [76, 3.1], [73, 3.6]],
+    islands: [
+      { efficiency: 0.60, points: [
+        [59.5, 3.21], [55.1, 3.48], [47.7, 3.48], [39.3, 3.22],
+        [32.2, 2.76], [28.2, 2.24], [28.5, 1.79], [32.9, 1.52],
+        [40.3, 1.52], [48.7, 1.78], [55.8, 2.24], [59.8, 2.76],
+      ] },
+      { efficiency: 0.65, points: [
+        [57.2, 3.11], [53.4, 3.33], [47.2, 3.33], [40, 3.11],
+        [34, 2.73], [30.6, 2.28], [30.8, 1.89], [34.6, 1.67],
+        [40.8, 1.67], [48, 1.89], [54, 2.27], [57.4, 2.72],
+      ] },
+      { efficiency: 0.70, points: [
+        [54.4, 2.98], [51.4, 3.15], [46.5, 3.15], [40.9, 2.98],
+        [36.1, 2.68], [33.5, 2.33], [33.6, 2.02], [36.6, 1.85],
+        [41.5, 1.85], [47.1, 2.02], [51.9, 2.32], [54.5, 2.67],
+      ] },
+      { efficiency: 0.74, points: [
+        [51.3, 2.84], [49.2, 2.96], [45.8, 2.96], [41.8, 2.84],
+        [38.4, 2.62], [36.6, 2.38], [36.7, 2.16], [38.8, 2.04],
+        [42.2, 2.04], [46.2, 2.16], [49.6, 2.38], [51.4, 2.62],
+      ] },
+      { efficiency: 0.76, points: [
+        [49.2, 2.74], [47.7, 2.83], [45.2, 2.83], [42.4, 2.74],
+        [40.1, 2.59], [38.7, 2.41], [38.8, 2.26], [40.3, 2.17],
+        [42.8, 2.17], [45.6, 2.26], [47.9, 2.41], [49.3, 2.59],
+      ] },
+    ],
+  },
+  he351ve: {
+    id: "he351ve",
+    name: "Holset HE351VE-class diesel (≈300–450 hp)",
+    surge: [[10, 1.3], [14, 1.8], [19, 2.4], [25, 3], [30, 3.5]],
+    choke: [[50, 1.3], [62, 1.8], [68, 2.4], [70, 3], [67, 3.5]],
+    islands: [
+      { efficiency: 0.60, points: [
+        [52, 3.08], [48, 3.33], [41.4, 3.33], [33.8, 3.08],
+        [27.4, 2.65], [23.8, 2.15], [24, 1.72], [28, 1.47],
+        [34.6, 1.47], [42.2, 1.72], [48.6, 2.15], [52.2, 2.65],
+      ] },
+      { efficiency: 0.65, points: [
+        [49.9, 2.98], [46.5, 3.19], [40.8, 3.19], [34.4, 2.98],
+        [29, 2.61], [25.9, 2.19], [26.1, 1.82], [29.5, 1.61],
+        [35.2, 1.61], [41.6, 1.82], [47, 2.19], [50.1, 2.61],
+      ] },
+      { efficiency: 0.70, points: [
+        [47.3, 2.85], [44.7, 3.02], [40.2, 3.02], [35.2, 2.86],
+        [30.9, 2.57], [28.5, 2.24], [28.7, 1.95], [31.3, 1.78],
+        [35.8, 1.78], [40.8, 1.94], [45.1, 2.23], [47.5, 2.56],
+      ] },
+      { efficiency: 0.74, points: [
+        [44.6, 2.72], [42.7, 2.84], [39.6, 2.84], [36, 2.72],
+        [33, 2.52], [31.3, 2.28], [31.4, 2.08], [33.3, 1.96],
+        [36.4, 1.96], [40, 2.08], [43, 2.28], [44.7, 2.52],
+      ] },
+      { efficiency: 0.76, points: [
+        [42.7, 2.63], [41.3, 2.71], [39.1, 2.71], [36.6, 2.63],
+        [34.5, 2.48], [33.3, 2.32], [33.3, 2.17], [34.7, 2.09],
+        [36.9, 2.09], [39.4, 2.17], [41.5, 2.32], [42.7, 2.48],
+      ] },
+    ],
+  },
+};
+
+const AMBIENT_PSIA      = 14.696;
+const AMBIENT_TEMP_K    = 298.15;
+const CHARGE_TEMP_K     = 320;     // intercooled manifold air, for density
+const AIR_LB_PER_FT3    = 0.0765;  // air density at standard conditions
+const OFF_MAP_EFFICIENCY_DROP = 0.05;
+
+// Validates a map (object or JSON text) and returns a clean copy.
+// Throws Error with a readable message when the shape is wrong.
+function parseCompressorMap(input) {
+  const map = typeof input === "string" ? JSON.parse(input) : input;
+  if (!map || typeof map !== "object") throw new Error("Compressor map must be an object.");
+
+  const isLine = (line) =>
+    Array.isArray(line) && line.length >= 2 &&
+    line.every((pt) => Array.isArray(pt) && pt.length === 2 && pt.every(Number.isFinite));
+
+  if (!isLine(map.surge)) throw new Error("Compressor map needs a surge line of [flow, PR] points.");
+  if (!isLine(map.choke)) throw new Error("Compressor map needs a choke line of [flow, PR] points.");
+  if (!Array.isArray(map.islands) || !map.islands.length) {
+    throw new Error("Compressor map needs at least one efficiency island.");
+  }
+  for (const isl of map.islands) {
+    if (!isl || !Number.isFinite(isl.efficiency) || isl.efficiency <= 0 || isl.efficiency >= 1) {
+      throw new Error("Island efficiency must be a fraction between 0 and 1.");
+    }
+    if (!isLine(isl.points) || isl.points.length < 3) {
+      throw new Error("Each island needs a polygon of at least 3 [flow, PR] points.");
+    }
+  }
+
+  const byPr = (a, b) => a[1] - b[1];
+  return {
+    id: String(map.id || "custom"),
+    name: String(map.name || "Custom compressor"),
+    surge: map.surge.map((pt) => pt.slice()).sort(byPr),
+    choke: map.choke.map((pt) => pt.slice()).sort(byPr),
+    islands: map.islands
+      .map((isl) => ({ efficiency: isl.efficiency, points: isl.points.map((pt) => pt.slice()) }))
+      .sort((a, b) => a.efficiency - b.efficiency),
+  };
+}
+
+// Id of a built-in map, a map object, or anything else → null (no map).
+function resolveCompressorMap(mapOrId) {
+  if (!mapOrId) return null;
+  if (typeof mapOrId === "string") return COMPRESSOR_MAPS[mapOrId] || null;
+  try {
+    return parseCompressorMap(mapOrId);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Flow on a surge/choke polyline at a given PR. Below the first point the
+// surge line is extended to zero flow at PR 1; above the last it is held.
+function lineFlowAtPr(line, pr, toZero) {
+  if (pr <= line[0][1]) {
+    if (!toZero) return line[0][0];
+    const t = Math.max(0, (pr - 1) / (line[0][1] - 1));
+    return line[0][0] * t;
+  }
+  for (let i = 0; i < line.length - 1; i++) {
+    const [f0, p0] = line[i];
+    const [f1, p1] = line[i + 1];
+    if (pr <= p1) return f0 + ((f1 - f0) * (pr - p0)) / (p1 - p0);
+  }
+  return line[line.length - 1][0];
+}
+
+function pointInPolygon(x, y, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const [xi, yi] = poly[i];
+    const [xj, yj] = poly[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Highest island containing the point; off-map points get the outermost
+// island's efficiency minus a penalty.
+function compressorEfficiencyAt(map, flow, pr) {
+  let eff = null;
+  for (const isl of map.islands) {
+    if (pointInPolygon(flow, pr, isl.points)) eff = isl.efficiency;
+  }
+  return eff !== null ? eff : Math.max(0.4, map.islands[0].efficiency - OFF_MAP_EFFICIENCY_DROP);
+}
+
+function compressorOutletTempK(inletK, pr, efficiency) {
+  return inletK * (1 + (Math.pow(pr, 0.2857) - 1) / efficiency);
+}
+
+// Walks the operating line: at each RPM the target PR is cut back until the
+// point sits right of surge (this is what sets the spool RPM) and left of
+// choke (the high-RPM boost taper).
+function matchCompressor(map, rpmArr, naFlowLbMin, targetBoostPsi, opts = {}) {
+  const ambientPsia = opts.ambientPsia || AMBIENT_PSIA;
+  const inletK      = opts.inletTempK || AMBIENT_TEMP_K;
+  const chargeK     = opts.chargeTempK || CHARGE_TEMP_K;
+  const targetPr    = (ambientPsia + Math.max(0, targetBoostPsi)) / ambientPsia;
+
+  const out = {
+    mapId: map.id,
+    mapName: map.name,
+    targetBoostPsi,
+    boostPsi: [],
+    pressureRatio: [],
+    flowLbMin: [],
+    efficiency: [],
+    outletTempC: [],
+    limitedBy: [],      // null | "surge" | "choke"
+    spoolRpm: null,
+    chokeRpm: null,
+  };
+
+  for (let i = 0; i < rpmArr.length; i++) {
+    const flowAt = (pr) => naFlowLbMin[i] * pr * (inletK / chargeK);
+
+    let pr = targetPr;
+    let limitedBy = null;
+    // step down until both boundaries are satisfied
+    while (pr > 1) {
+      if (flowAt(pr) < lineFlowAtPr(map.surge, pr, true)) {
+        limitedBy = "surge";
+      } else if (flowAt(pr) > lineFlowAtPr(map.choke, pr, false)) {
+        limitedBy = "choke";
+      } else {
+        break;
+      }
+      pr = Math.max(1, pr - 0.01);
+    }
+    if (pr >= targetPr) limitedBy = null;
+
+    const flow = flowAt(pr);
+    const eff  = compressorEfficiencyAt(map, flow, pr);
+    const boost = (pr - 1) * ambientPsia;
+
+    out.boostPsi.push(boost);
+    out.pressureRatio.push(pr);
+    out.flowLbMin.push(flow);
+    out.efficiency.push(eff);
+    out.outletTempC.push(compressorOutletTempK(inletK, pr, eff) - 273.15);
+    out.limitedBy.push(limitedBy);
+
+    if (out.spoolRpm === null && boost >= 0.9 * targetBoostPsi) out.spoolRpm = rpmArr[i];
+    if (out.chokeRpm === null && limitedBy === "choke") out.chokeRpm = rpmArr[i];
+  }
+
+  return out;
+}
+
+// NA-equivalent engine air mass flow per RPM (lb/min) for map matching.
+function naAirflowLbMin(displacementL, rpmArr, veFrac, cycle = "four_stroke") {
+  return rpmArr.map((rpm) => cfmAtRpm(displacementL, rpm, veFrac, cycle) * AIR_LB_PER_FT3);
+}
+
+// Fraction of peak boosted BMEP delivered at `boostPsi` vs `fullBoostPsi`.
+function matchedBoostFrac(boostPsi, fullBoostPsi, baseNaBmepBar, boostGainPerPsi, capBar) {
+  const full = Math.min(baseNaBmepBar + boostGainPerPsi * fullBoostPsi, capBar);
+  const here = Math.min(baseNaBmepBar + boostGainPerPsi * boostPsi, capBar);
+  return full > 0 ? here / full : 1;
+}
+
+/* =========================================================================
+   CHARGE AIR (INTAKE TEMPERATURE & DENSITY)
+   ========================================================================= */
+
+// sinkOffsetK: what the cooler pulls the charge towards, relative to
+// ambient. Water-to-air coolant runs a little warm; methanol injection
+// cools by evaporation and can take the charge below ambient.
+const INTERCOOLERS = {
+  none:      { label: "None",               effectiveness: 0,    sinkOffsetK: 0 },
+  air_air:   { label: "Air-to-air",         effectiveness: 0.70, sinkOffsetK: 0 },
+  water_air: { label: "Water-to-air",       effectiveness: 0.85, sinkOffsetK: 5 },
+  meth_inj:  { label: "Methanol injection", effectiveness: 0.60, sinkOffsetK: -20 },
+};
+
+// The boostGainPerPsi figures in the boosted sims were tuned on this
+// setup, so it maps psi to psi; anything cooler or hotter shifts them.
+const REFERENCE_CHARGE = {
+  ambientC: 25,
+  compressorEff: 0.70,
+  intercooler: "air_air",
+  intercoolerEff: 0.70,
+};
+
+const AIR_GAS_CONSTANT = 287.05;  // J/(kg·K)
+const PA_PER_PSI       = 6894.76;
+
+// Temperatures in °C, efficiencies as fractions, pressures in psi(a).
+function chargeAirState(boostPsi, { ambientC, compressorEff, intercooler, intercoolerEff, ambientPsia = AMBIENT_PSIA }) {
+  const boost   = Math.max(0, boostPsi);
+  const pr      = (ambientPsia + boost) / ambientPsia;
+  const ambK    = ambientC + 273.15;
+  const outK    = compressorOutletTempK(ambK, pr, Math.max(0.3, compressorEff));
+  const cooler  = INTERCOOLERS[intercooler] || INTERCOOLERS.none;
+  const eff     = cooler === INTERCOOLERS.none ? 0 : Math.max(0, Math.min(intercoolerEff, 1));
+  const sinkK   = ambK + cooler.sinkOffsetK;
+  const iatK    = outK - eff * (outK - sinkK);
+
+  return {
+    pressureRatio: pr,
+    compressorOutC: outK - 273.15,
+    iatC: iatK - 273.15,
+    densityKgM3: ((ambientPsia + boost) * PA_PER_PSI) / (AIR_GAS_CONSTANT * iatK),
+  };
+}
+
+// Boost the sims should see: the psi that gives the same charge density
+// on the reference setup. Equal to boostPsi when the inputs match it.
+function densityEquivalentBoostPsi(boostPsi, charge) {
+  const ref = chargeAirState(boostPsi, REFERENCE_CHARGE);
+  const absPsi = AMBIENT_PSIA + Math.max(0, boostPsi);
+  return absPsi * (charge.densityKgM3 / ref.densityKgM3) - AMBIENT_PSIA;
+}
+
+// Rough boost per RPM for the fixed-spool sims, so IAT can be shown along
+// the curve. Mirrors the spool points in the sim functions.
+function genericBoostCurve(engineMode, rpmRange, redline, boostPsi, displacementL) {
+  const rpmMin = rpmRange[0];
+  const ramp = (rpm, from, to, startFrac) => {
+    const x = Math.max(0, Math.min((rpm - from) / (to - from), 1));
+    return startFrac + (1 - startFrac) * x;
+  };
+
+  return rpmRange.map((rpm) => {
+    if (engineMode === "gas_turbo") {
+      const spoolStart   = Math.max(rpmMin + 300, redline * 0.25);
+      const fullBoostRpm = redline * 0.45;
+      if (rpm < spoolStart) return boostPsi * 0.3 * ramp(rpm, rpmMin, spoolStart, 0);
+      return boostPsi * ramp(rpm, spoolStart, fullBoostRpm, 0.3);
+    }
+    if (engineMode === "diesel_turbo") {
+      const rpmPeakTq = displacementL >= 8.0 ? redline * 0.35 : redline * 0.4;
+      return boostPsi * ramp(rpm, rpmMin, rpmPeakTq, 0.3);
+    }
+    if (engineMode === "methanol_race") {
+      return boostPsi * ramp(rpm, rpmMin, redline * 0.7, 0.3);
+    }
+    return boostPsi; // positive displacement: boost from idle
+  });
+}
+
+/* =========================================================================
+   ENVIRONMENT (ALTITUDE, WEATHER, POWER CORRECTION)
+   ========================================================================= */
+
+// The sims are calibrated at sea level, 25 °C, dry air.
+const STD_BARO_KPA = 101.325;
+const STD_TEMP_K   = 298.15;
+const KPA_PER_PSI  = 6.89476;
+
+// Share of the altitude pressure loss a wastegated turbo wins back by
+// spinning harder. Superchargers are belt-driven and hold pressure ratio
+// instead, so they lose the full ratio. With a compressor map the map
+// itself decides how much is recovered.
+const TURBO_ALTITUDE_RECOVERY = 0.75;
+
+function baroKpaFromAltitude(altitudeM) {
+  return STD_BARO_KPA * Math.pow(1 - 2.25577e-5 * altitudeM, 5.25588);
+}
+
+// Magnus formula, kPa
+function vaporPressureKpa(tempC, humidityPct) {
+  const sat = 0.61094 * Math.exp((17.625 * tempC) / (tempC + 243.04));
+  return sat * Math.max(0, Math.min(humidityPct, 100)) / 100;
+}
+
+function environmentState({ altitudeM, baroKpa, ambientTempC, humidityPct }) {
+  const baro  = baroKpa > 0 ? baroKpa : baroKpaFromAltitude(altitudeM || 0);
+  const vapor = vaporPressureKpa(ambientTempC, humidityPct || 0);
+  return {
+    baroKpa: baro,
+    dryKpa: baro - vapor,
+    vaporKpa: vapor,
+    tempC: ambientTempC,
+    ambientPsia: baro / KPA_PER_PSI,
+  };
+}
+
+// Each returns the factor that takes observed power to the standard's
+// reference conditions. Temperatures in K, pressures in kPa.
+const CORRECTION_STANDARDS = {
+  sae_j1349: {
+    label: "SAE J1349",
+    factor: (env, tK) => 1.18 * (99 / env.dryKpa) * Math.sqrt(tK / 298) - 0.18,
+  },
+  sae_j607: {
+    label: "SAE J607",
+    factor: (env, tK) => (101.6 / env.dryKpa) * Math.sqrt(tK / 288.6),
+  },
+  din70020: {
+    label: "DIN 70020",
+    factor: (env, tK) => (101.3 / env.baroKpa) * Math.sqrt(tK / 293),
+  },
+  eec: {
+    label: "EEC 80/1269",
+    factor: (env, tK) => Math.pow(99 / env.dryKpa, 1.2) * Math.pow(tK / 298, 0.6),
+  },
+};
+
+function correctionFactor(standard, env) {
+  const std = CORRECTION_STANDARDS[standard] || CORRECTION_STANDARDS.sae_j1349;
+  return std.factor(env, env.tempC + 273.15);
+}
+
+// NA engines see the air as it comes: dry-air pressure and temperature.
+// Boosted engines get pressure and temperature through the charge-air
+// model, so only the water vapour's share is taken off here.
+function environmentTorqueFactor(env, inductionType) {
+  if (inductionType !== "na") return env.dryKpa / env.baroKpa;
+  return (env.dryKpa / STD_BARO_KPA) * Math.sqrt(STD_TEMP_K / (env.tempC + 273.15));
+}
+
+// Gauge boost the engine actually runs at this altitude.
+function altitudeBoostPsi(boostPsi, inductionType, ambientPsia, recovery = TURBO_ALTITUDE_RECOVERY) {
+  if (inductionType === "supercharger") return boostPsi * (ambientPsia / AMBIENT_PSIA);
+  if (inductionType === "turbo") {
+    return Math.max(0, boostPsi + recovery * (AMBIENT_PSIA - ambientPsia));
+  }
+  return boostPsi;
+}
+
+/* =========================================================================
+   KNOCK & SPARK TIMING (GASOLINE)
+   ========================================================================= */
+
+// octane is the anti-knock index the pump shows; ethanol blends are rated
+// with their evaporative cooling folded in. bsfcFactor scales fuel mass
+// for the lower energy content.
+const FUEL_GRADES = {
+  aki87:   { label: "87 AKI (regular)",   octane: 87,  bsfcFactor: 1.00 },
+  aki91:   { label: "91 AKI (premium)",   octane: 91,  bsfcFactor: 1.00 },
+  aki93:   { label: "93 AKI (premium)",   octane: 93,  bsfcFactor: 1.00 },
+  e30:     { label: "E30 blend",          octane: 97,  bsfcFactor: 1.12 },
+  e50:     { label: "E50 blend",          octane: 100, bsfcFactor: 1.22 },
+  e85:     { label: "E85",                octane: 105, bsfcFactor: 1.39 },
+  race100: { label: "Race 100+ unleaded", octane: 102, bsfcFactor: 1.00 },
+};
+
+const POLYTROPIC_N          = 1.32;
+const SPARK_DEG_PER_OCTANE  = 1.0;   // retard needed per octane number short
+const MAX_KNOCK_RETARD_DEG  = 15;
+// Retard below both of these is inside normal knock-control noise and is
+// not worth a warning (stock NA engines on their recommended fuel).
+const KNOCK_WARN_RETARD_DEG = 1.0;
+const KNOCK_WARN_TORQUE_PCT = 0.5;
+
+// Reference point for the octane requirement: a current turbo engine on
+// premium – 10:1 with 20 psi of boost at sea level and a 65 °C intercooled
+// charge – needs 91 AKI at MBT. The stock presets sit at or under it on
+// their rated fuel; an NA engine of the same CR is well under it.
+const KNOCK_REF_OCTANE = 91;
+const KNOCK_REF_CR = 10;
+const KNOCK_REF_END_TEMP_K = (65 + 273.15) * Math.pow(KNOCK_REF_CR, POLYTROPIC_N - 1);
+const KNOCK_REF_END_PSIA   = (AMBIENT_PSIA + 20) * Math.pow(KNOCK_REF_CR, POLYTROPIC_N);
+
+// End-of-compression cylinder pressure / end-gas temperature, and the
+// octane the engine needs at MBT timing. Slow RPM gives the end gas more
+// time to auto-ignite, so the requirement falls as RPM rises.
+function octaneRequirement(compRatio, manifoldPsia, iatC, rpm) {
+  const endTempK = (iatC + 273.15) * Math.pow(compRatio, POLYTROPIC_N - 1);
+  const endPsia  = manifoldPsia * Math.pow(compRatio, POLYTROPIC_N);
+  const rpmTerm  = Math.max(-3, Math.min(3, 3 * (1 - rpm / 4000)));
+
+  return {
+    endTempK,
+    endPressureBar: endPsia * 0.0689476,
+    octane:
+      KNOCK_REF_OCTANE +
+      0.09 * (endTempK - KNOCK_REF_END_TEMP_K) +
+      7 * Math.log(endPsia / KNOCK_REF_END_PSIA) +
+      rpmTerm,
+  };
+}
+
+// MBT advance (°BTDC) grows with RPM and shrinks with charge density.
+function mbtAdvance(rpm, redline, boostPsi) {
+  const x = Math.max(0, Math.min((rpm - 1000) / (redline - 1000), 1));
+  return Math.max(6, 12 + 20 * Math.sqrt(x) - 0.3 * Math.max(0, boostPsi));
+}
+
+// Torque kept at a given retard from MBT (roughly quadratic near MBT).
+function retardTorqueFactor(retardDeg) {
+  return 1 - 0.0009 * retardDeg * retardDeg;
+}
+
+function sparkTiming(rpmArr, { compRatio, redline, fuelGrade }, boostArr, iatArr, ambientPsia) {
+  const grade = FUEL_GRADES[fuelGrade] || FUEL_GRADES.aki91;
+  const out = {
+    fuelGrade: FUEL_GRADES[fuelGrade] ? fuelGrade : "aki91",
+    fuelOctane: grade.octane,
+    octaneRequired: [],
+    cylPressureBar: [],
+    endGasTempK: [],
+    mbtAdvance: [],
+    knockRetard: [],
+    advance: [],
+    torqueFactor: [],
+    unresolved: [],   // still knocking at full retard
+  };
+
+  for (let i = 0; i < rpmArr.length; i++) {
+    const rpm = rpmArr[i];
+    const req = octaneRequirement(compRatio, ambientPsia + boostArr[i], iatArr[i], rpm);
+    const needed = Math.max(0, (req.octane - grade.octane) * SPARK_DEG_PER_OCTANE);
+    const retard = Math.min(needed, MAX_KNOCK_RETARD_DEG);
+    const mbt = mbtAdvance(rpm, redline, boostArr[i]);
+
+    out.octaneRequired.push(req.octane);
+    out.cylPressureBar.push(req.endPressureBar);
+    out.endGasTempK.push(req.endTempK);
+    out.mbtAdvance.push(mbt);
+    out.knockRetard.push(retard);
+    out.advance.push(mbt - retard);
+    out.torqueFactor.push(retardTorqueFactor(retard));
+    out.unresolved.push(needed > MAX_KNOCK_RETARD_DEG);
+  }
+
+  return out;
+}
+
+/* =========================================================================
+   GASOLINE – TURBO
+   ========================================================================= */
+
+// Torque fraction the fixed spool ramps give at a share of full boost –
+// the inverse of the ramps genericBoostCurve mirrors (0.3 at spool start).
+function spoolFracAtBoost(boostFrac) {
+  const b = Math.max(0, Math.min(boostFrac, 1));
+  return b < 0.3 ? 0.35 + 0.35 * (b / 0.3) : 0.7 + 0.3 * ((b - 0.3) / 0.7);
+}
+
+// With matchedBoostPsi (per-RPM boost off a compressor map) the spool and
+// boost taper come from the map; otherwise fixed fractions of redline.
+// eBoostFrac (share of full boost an electric turbo holds per RPM) lifts
+// the fixed spool ramps wherever it is ahead of them.
+function simulateGasolineTurbo(
+  rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor, matchedBoostPsi = null, eBoostFrac = null
+) {
+  const {
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    valvetrainType,
+    valvesPerCyl,
+    boreMm,
+    strokeMm,
+    veCurve,
+  } = cfg;
+
+  // NA baseline
+  const baseNaBmepBar = 12.5;
+
+  // Valvetrain / valves tech factor
+  let techFactor = 1.0;
+  if (valvetrainType === "pushrod") techFactor *= 0.93;
+  if (valvetrainType === "sohc")    techFactor *= 1.00;
+  if (valvetrainType === "dohc")    techFactor *= 1.05;
+  if (valvesPerCyl === 2)           techFactor *= 0.95;
+  if (valvesPerCyl === 4)           techFactor *= 1.05;
+
+  // Size factor (big turbo engines still lower hp/L usually)
+  let sizeFactor = 1.0;
+  if (displacementL > 2 && sizePenalty > 0) {
+    const penalty = (sizePenalty / 100) * (displacementL - 2);
+    sizeFactor = Math.max(0.75, 1 - penalty);
+  }
+
+  // VE factor
+  const veFactor = (vePeak / 100) / 1.0; // allow >100% for turbo
+
+  // Boost → BMEP gain
+  const boostGainPerPsi = 0.45;  // ~0.45 bar BMEP per psi is high but in “fun” territory
+  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
+  boostedBmepBar = Math.min(boostedBmepBar, 22); // upper cap for typical street turbo gas
+
+  const peakBmepBar =
+    boostedBmepBar * techFactor * sizeFactor * veFactor * compFactor;
+
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+
+  // Spool & plateau
+  const spoolStart   = Math.max(rpmMin + 300, redline * 0.25);
+  const fullBoostRpm = redline * 0.45;
+  const plateauEnd   = redline * 0.75;
+
+  const boreStrokeRatio = boreMm > 0 && strokeMm > 0 ? boreMm / strokeMm : 1.0;
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    let frac;
+
+    if (veCurve) {
+      const boostFrac = matchedBoostPsi
+        ? matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, 22)
+        : 1;
+      frac = (veCurve[i] / vePeak) * boostFrac;
+    } else if (matchedBoostPsi) {
+      // map sets boost; only the high-rpm breathing fall-off is kept
+      let breathing = 1.0;
+      if (rpm > plateauEnd) {
+        const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
+        breathing = 1 - 0.25 * Math.pow(Math.max(0, Math.min(x, 1)), 1.15);
+      }
+      frac = matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, 22) * breathing;
+    } else if (rpm < spoolStart) {
+      // off-boost
+      const x = (rpm - rpmMin) / (spoolStart - rpmMin);
+      const lowBase = 0.35;
+      const exp = 0.9;
+      frac = lowBase + (0.7 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
+    } else if (rpm < fullBoostRpm) {
+      // building boost
+      const x = (rpm - spoolStart) / (fullBoostRpm - spoolStart);
+      frac = 0.7 + 0.3 * Math.max(0, Math.min(x, 1));
+    } else if (rpm <= plateauEnd) {
+      // full boost plateau – oversquare engines hold slightly better
+      let plateau = 1.0;
+      if (boreStrokeRatio > 1.05) plateau = 1.02;
+      if (boreStrokeRatio < 0.95) plateau = 0.98;
+      frac = plateau;
+    } else {
+      // high rpm fall-off
+      const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
+      const exp = 1.15;
+      const highFloor = 0.55;
+      frac = 1 - (1 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
+    }
+
+    // electric turbo ahead of the exhaust-driven spool (a VE table sees
+    // it in the per-RPM boost instead)
+    if (eBoostFrac && !veCurve && !matchedBoostPsi && rpm < fullBoostRpm) {
+      frac = Math.max(frac, spoolFracAtBoost(eBoostFrac[i]));
+    }
+
+    const bmepBar = peakBmepBar * frac;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+}
+
+/* =========================================================================
+   GASOLINE – SUPERCHARGED
+   ========================================================================= */
+
+function simulateGasolineSupercharged(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor, matchedBoostPsi = null) {
+  const {
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    valvetrainType,
+    valvesPerCyl,
+    veCurve,
+  } = cfg;
+
+  const baseNaBmepBar = 12.5;
+
+  let techFactor = 1.0;
+  if (valvetrainType === "pushrod") techFactor *= 0.97;
+  if (valvetrainType === "dohc")    techFactor *= 1.03;
+  if (valvesPerCyl === 2)           techFactor *= 0.97;
+  if (valvesPerCyl === 4)           techFactor *= 1.03;
+
+  let sizeFactor = 1.0;
+  if (displacementL > 2 && sizePenalty > 0) {
+    const penalty = (sizePenalty / 100) * (displacementL - 2);
+    sizeFactor = Math.max(0.75, 1 - penalty);
+  }
+
+  const veFactor = (vePeak / 100) / 1.0;
+
+  const boostGainPerPsi = 0.40;
+  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
+  boostedBmepBar = Math.min(boostedBmepBar, 20);
+
+  const peakBmepBar =
+    boostedBmepBar * techFactor * sizeFactor * veFactor * compFactor;
+
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    let frac;
+    if (veCurve) {
+      const boostFrac = matchedBoostPsi
+        ? matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, 20)
+        : 1;
+      frac = (veCurve[i] / vePeak) * boostFrac;
+    } else if (rpm < 1500) {
+      const x = (rpm - rpmMin) / (1500 - rpmMin);
+      const lowBase = 0.6;
+      frac = lowBase + (0.98 - lowBase) * Math.max(0, Math.min(x, 1));
+    } else {
+      const x = (rpm - 1500) / (rpmMax - 1500);
+      const highFloor = 0.65;
+      const exp = 1.2;
+      frac = 0.98 - (0.98 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
+    }
+
+    const bmepBar = peakBmepBar * frac;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+}
+
+/* =========================================================================
+   DIESEL – TURBO
+   ========================================================================= */
+
+// `fuelLimits` ({ minLambda, egtLimitC, points }) caps fueling per RPM at
+// the smoke limit and EGT limit; see dieselFuelLimitFrac.
+function simulateDieselTurbo(
+  rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor, matchedBoostPsi = null, fuelLimits = null
+) {
+  const {
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    compRatio,
+    veCurve,
+  } = cfg;
+
+  const baseNaBmepBar = 12;  // “NA” diesel effective baseline
+
+  const heavyDuty = displacementL >= 8.0;
+  const boostGainPerPsi = heavyDuty ? 0.45 : 0.50;
+
+  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
+  const capBar = heavyDuty ? 28 : 26;
+  boostedBmepBar = Math.min(boostedBmepBar, capBar);
+
+  const veFactor = (vePeak / 100) / 0.95;
+
+  let sizeFactor = 1.0;
+  if (displacementL > 6 && sizePenalty > 0) {
+    const penalty = (sizePenalty / 100) * (displacementL - 6);
+    sizeFactor = Math.max(0.80, 1 - penalty);
+  }
+
+  const idealCr = 17;
+  const deltaCr = compRatio - idealCr;
+  let crFactor = 1 - 0.01 * Math.abs(deltaCr);
+  crFactor = Math.max(0.9, Math.min(crFactor, 1.05));
+
+  const peakBmepBar =
+    boostedBmepBar * veFactor * sizeFactor * crFactor * compFactor;
+
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+  const rpmPeakTq  = heavyDuty ? redline * 0.35 : redline * 0.4;
+  const plateauEnd = heavyDuty ? redline * 0.55 : redline * 0.6;
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+  const fuelLimitArr = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    let frac;
+    if (veCurve) {
+      const boostFrac = matchedBoostPsi
+        ? matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, capBar)
+        : 1;
+      frac = (veCurve[i] / vePeak) * boostFrac;
+    } else if (matchedBoostPsi) {
+      let breathing = 1.0;
+      if (rpm > plateauEnd) {
+        const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
+        breathing = 1 - 0.3 * Math.pow(Math.max(0, Math.min(x, 1)), 1.1);
+      }
+      frac = matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, capBar) * breathing;
+    } else if (rpm <= rpmPeakTq) {
+      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
+      const lowBase = 0.6;
+      frac = lowBase + (1 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), 0.7);
+    } else if (rpm <= plateauEnd) {
+      const x = (rpm - rpmPeakTq) / (plateauEnd - rpmPeakTq);
+      frac = 1 - 0.05 * Math.max(0, Math.min(x, 1));  // gentle sag
+    } else {
+      const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
+      const highFloor = 0.55;
+      frac = 0.95 - (0.95 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), 1.1);
+    }
+
+    const fuelFrac = fuelLimits
+      ? dieselFuelLimitFrac(peakBmepBar * frac, rpm, fuelLimits.points[i], fuelLimits.minLambda, fuelLimits.egtLimitC)
+      : 1;
+    const bmepBar = peakBmepBar * frac * fuelFrac;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+    fuelLimitArr.push(fuelFrac);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr, fuelLimitFrac: fuelLimitArr };
+}
+
+/* =========================================================================
+   METHANOL – RACE (NA / TURBO)
+   ========================================================================= */
+
+function simulateMethanol(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor, inductionType, matchedBoostPsi = null) {
+  const {
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    compRatio,
+    veCurve,
+  } = cfg;
+
+  let baseNaBmepBar = 15;        // strong NA baseline
+  const boostGainPerPsi = 0.50;  // meth can go hard
+
+  let boostedBmepBar = baseNaBmepBar;
+  if (inductionType === "turbo") {
+    boostedBmepBar += boostGainPerPsi * effBoostPsi;
+  }
+  const capBar = inductionType === "turbo" ? 24 : 18;
+  boostedBmepBar = Math.min(boostedBmepBar, capBar);
+
+  const veFactor = (vePeak / 100) / 1.0;
+
+  let sizeFactor = 1.0;
+  if (displacementL > 3 && sizePenalty > 0) {
+    const penalty = (sizePenalty / 100) * (displacementL - 3);
+    sizeFactor = Math.max(0.80, 1 - penalty);
+  }
+
+  const idealCr = 13.5;
+  const deltaCr = compRatio - idealCr;
+  let crFactor = 1 + 0.01 * deltaCr;
+  crFactor = Math.max(0.9, Math.min(crFactor, 1.1));
+
+  const peakBmepBar =
+    boostedBmepBar * veFactor * sizeFactor * crFactor * compFactor;
+
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+  const rpmPeakTq = redline * 0.7;
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    let frac;
+    if (veCurve) {
+      const boostFrac = matchedBoostPsi && inductionType === "turbo"
+        ? matchedBoostFrac(matchedBoostPsi[i], effBoostPsi, baseNaBmepBar, boostGainPerPsi, capBar)
+        : 1;
+      frac = (veCurve[i] / vePeak) * boostFrac;
+    } else if (rpm <= rpmPeakTq) {
+      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
+      const lowBase = 0.3;
+      frac = lowBase + (1 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), 1.2);
+    } else {
+      const x = (rpm - rpmPeakTq) / (rpmMax - rpmPeakTq);
+      const highFloor = 0.7;
+      frac = 1 - (1 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), 0.8);
+    }
+
+    const bmepBar = peakBmepBar * frac;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+}
+
+/* =========================================================================
+   TWO-STROKE & ROTARY
+   ========================================================================= */
+
+// Ported engines have no cam or valvetrain factors and run their own
+// curve shape. The NA BMEP is the four-stroke baseline for the fuel scaled
+// by the cycle; boost (density-equivalent psi per RPM, zeros when NA) adds
+// on top, so the same sims cover NA, turbo and supercharged.
+const CYCLE_NA_BMEP_BAR        = { gasoline: 13, methanol: 15 };
+const CYCLE_BOOST_GAIN_PER_PSI = 0.45;
+const CYCLE_BMEP_CAP_BAR       = 22;   // four-stroke equivalent, scaled by the cycle
+
+// Expansion chamber: a weak base that comes "on the pipe" sharply and
+// falls off quickly past the tuned RPM.
+const TWO_STROKE_SHAPE = {
+  pipeRatio: 0.85,     // tuned RPM / redline when pipeRpm is 0
+  lowBase: 0.35,
+  offPipeRise: 0.15,
+  widthBelow: 0.22,    // × redline
+  widthAbove: 0.12,
+};
+
+// Rotary: no valve events to tune, so a broad, flat curve that keeps
+// pulling to redline.
+const ROTARY_SHAPE = {
+  ratioPeakTq: 0.60,
+  lowBase: 0.60,
+  expLow: 0.8,
+  highFloor: 0.80,
+  expHigh: 1.4,
+};
+
+function twoStrokeShapeFrac(rpm, pipeRpm, redline) {
+  const s = TWO_STROKE_SHAPE;
+  const base  = s.lowBase + s.offPipeRise * Math.min(rpm / pipeRpm, 1);
+  const width = (rpm < pipeRpm ? s.widthBelow : s.widthAbove) * redline;
+  const onPipe = Math.exp(-(((rpm - pipeRpm) / width) ** 2));
+  return base + (1 - base) * onPipe;
+}
+
+function rotaryShapeFrac(rpm, rpmMin, rpmMax, redline) {
+  const s = ROTARY_SHAPE;
+  const rpmPeakTq = s.ratioPeakTq * redline;
+  if (rpm <= rpmPeakTq) {
+    const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
+    return s.lowBase + (1 - s.lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), s.expLow);
+  }
+  const x = (rpm - rpmPeakTq) / (rpmMax - rpmPeakTq);
+  return 1 - (1 - s.highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), s.expHigh);
+}
+
+// `shapeFrac(rpm)` is the NA shape (1 at peak torque); a VE table replaces it.
+function simulatePortedCycle(rpmRange, cfg, fuelType, boostPsiArr, compFactor, shapeFrac) {
+  const { displacementL, vePeak, veCurve, engineCycle } = cfg;
+  const scale = engineCycleDef(engineCycle).bmepScale;
+
+  const naPeakBmepBar = (CYCLE_NA_BMEP_BAR[fuelType] || CYCLE_NA_BMEP_BAR.gasoline) * scale * (vePeak / 95);
+  const capBar = CYCLE_BMEP_CAP_BAR * scale;
+
+  const bmepBarArr = [];
+  const torqueArr  = [];
+  const hpArr      = [];
+
+  for (let i = 0; i < rpmRange.length; i++) {
+    const rpm = rpmRange[i];
+    const boostBar = CYCLE_BOOST_GAIN_PER_PSI * scale * boostPsiArr[i];
+
+    // a VE table scales the whole boosted BMEP, so torque stays linear in
+    // table VE (curveTablesFromModel relies on that)
+    const bmepBar = veCurve
+      ? Math.min(naPeakBmepBar + boostBar, capBar) * (veCurve[i] / vePeak) * compFactor
+      : Math.min(naPeakBmepBar * shapeFrac(rpm) + boostBar, capBar) * compFactor;
+    const tq      = torqueFromBmepBar(bmepBar, displacementL, engineCycle);
+    const hp      = hpFromTorque(tq, rpm);
+
+    bmepBarArr.push(bmepBar);
+    torqueArr.push(tq);
+    hpArr.push(hp);
+  }
+
+  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+}
+
+function simulateTwoStroke(rpmRange, cfg, fuelType, boostPsiArr, compFactor) {
+  const { redline, pipeRpm } = cfg;
+  const tunedRpm = pipeRpm > 0 ? pipeRpm : TWO_STROKE_SHAPE.pipeRatio * redline;
+  return simulatePortedCycle(
+    rpmRange, cfg, fuelType, boostPsiArr, compFactor,
+    (rpm) => twoStrokeShapeFrac(rpm, tunedRpm, redline)
+  );
+}
+
+function simulateRotary(rpmRange, cfg, fuelType, boostPsiArr, compFactor) {
+  const rpmMin = rpmRange[0];
+  const rpmMax = rpmRange[rpmRange.length - 1];
+  return simulatePortedCycle(
+    rpmRange, cfg, fuelType, boostPsiArr, compFactor,
+    (rpm) => rotaryShapeFrac(rpm, rpmMin, rpmMax, cfg.redline)
+  );
+}
+
+/* =========================================================================
+   HYBRID (E-ASSIST MOTOR, ELECTRIC TURBO)
+   ========================================================================= */
+
+// The engine curve stays engine-only; the motor is layered on top at the
+// crank. Battery → shaft efficiency covers inverter and motor.
+const E_MOTOR_EFF      = 0.90;
+const E_MOTOR_BASE_RPM = 3000;   // motor RPM where flat torque meets flat power when no torque is given
+const CP_AIR           = 1005;   // J/(kg·K)
+
+// Crank torque / hp the motor adds per RPM and what it draws from the
+// battery. Flat motor torque up to base speed, flat power above it; a
+// battery limit caps the shaft power. `eMotorRatio` is motor turns per
+// crank turn (a belt starter-generator runs ~2.5, a crank motor 1).
+function eAssistCurve(rpmArr, { eMotorKw, eMotorTorqueNm, eMotorRatio, batteryKw }) {
+  const ratio   = eMotorRatio > 0 ? eMotorRatio : 1;
+  const shaftKw = Math.min(eMotorKw, batteryKw > 0 ? batteryKw * E_MOTOR_EFF : Infinity);
+  const peakNm  = eMotorTorqueNm > 0
+    ? eMotorTorqueNm
+    : (eMotorKw * 1000) / ((2 * Math.PI * E_MOTOR_BASE_RPM) / 60);
+
+  const out = { shaftKw, peakNm, torque: [], hp: [], electricKw: [] };
+  for (const rpm of rpmArr) {
+    const omega   = (2 * Math.PI * rpm * ratio) / 60;
+    const motorNm = omega > 0 ? Math.min(peakNm, (shaftKw * 1000) / omega) : peakNm;
+    const tq      = (motorNm * ratio) / 1.35581795;
+    out.torque.push(tq);
+    out.hp.push(hpFromTorque(tq, rpm));
+    out.electricKw.push((motorNm * omega) / 1000 / E_MOTOR_EFF);
+  }
+  return out;
+}
+
+// Shaft power (kW) a compressor needs for `boostPsi`, given the engine's
+// NA mass flow (lb/min); the flow through it rises with pressure ratio.
+function compressorPowerKw(boostPsi, naFlowLbMin, ambientPsia, inletTempK, efficiency) {
+  const pr  = (ambientPsia + Math.max(0, boostPsi)) / ambientPsia;
+  const kgS = (naFlowLbMin * pr * 0.453592) / 60;
+  return (kgS * CP_AIR * (compressorOutletTempK(inletTempK, pr, efficiency) - inletTempK)) / 1000;
+}
+
+// Electric turbo: a motor on the turbo shaft adds up to `budgetKw` of
+// electrical power to what the exhaust already gives the compressor, so
+// boost comes in before the turbine can spool it. Never above the target.
+function eTurboBoostCurve(baseBoostPsi, targetPsi, naFlowLbMin, budgetKw, { ambientPsia, inletTempK, compressorEff }) {
+  const power = (b, i) => compressorPowerKw(b, naFlowLbMin[i], ambientPsia, inletTempK, compressorEff);
+  const out = { budgetKw, baseBoostPsi, boostPsi: [], electricKw: [], neededKw: [] };
+
+  baseBoostPsi.forEach((base, i) => {
+    const exhaustKw = power(base, i);
+    const neededKw  = base < targetPsi ? (power(targetPsi, i) - exhaustKw) / E_MOTOR_EFF : 0;
+    let boost = base;
+    if (neededKw <= budgetKw) {
+      boost = Math.max(base, targetPsi);
+    } else {
+      // largest boost the budget can hold
+      let lo = base;
+      let hi = targetPsi;
+      for (let iter = 0; iter < 30; iter++) {
+        const mid = (lo + hi) / 2;
+        if ((power(mid, i) - exhaustKw) / E_MOTOR_EFF <= budgetKw) lo = mid;
+        else hi = mid;
+      }
+      boost = lo;
+    }
+    out.boostPsi.push(boost);
+    out.electricKw.push((power(boost, i) - exhaustKw) / E_MOTOR_EFF);
+    out.neededKw.push(neededKw);
+  });
+  return out;
+}
+
+// What simulateEngine reports as result.hybrid: the motor layer, the
+// combined crank curve and the e-turbo boost. null with neither fitted.
+function hybridResult(rpmArr, torqueArr, cfg, eTurbo) {
+  const assist = cfg.eMotorKw > 0 ? eAssistCurve(rpmArr, cfg) : null;
+  if (!assist && !eTurbo) return null;
+
+  const motorTorque = assist ? assist.torque : rpmArr.map(() => 0);
+  const combinedTorque = torqueArr.map((tq, i) => tq + motorTorque[i]);
+  return {
+    eMotorKw: assist ? cfg.eMotorKw : 0,
+    shaftKw: assist ? assist.shaftKw : 0,
+    peakMotorNm: assist ? assist.peakNm : 0,
+    eMotorRatio: cfg.eMotorRatio,
+    batteryKw: cfg.batteryKw,
+    assistSeconds: cfg.assistSeconds,
+    motorTorque,
+    motorHp: assist ? assist.hp : rpmArr.map(() => 0),
+    electricKw: assist ? assist.electricKw : rpmArr.map(() => 0),
+    combinedTorque,
+    combinedHp: combinedTorque.map((tq, i) => hpFromTorque(tq, rpmArr[i])),
+    eTurbo,
+  };
+}
+
+/* =========================================================================
+   CONFIG DEFAULTS
+   ========================================================================= */
+
+// Same fallbacks the form reader uses, so a partial plain object from a
+// Node script behaves exactly like a half-filled form.
+const DEFAULT_CONFIG = {
+  engineMode: "gas_na",
+  engineCycle: "four_stroke", // key of ENGINE_CYCLES
+  cylinders: 4,
+  boreMm: 86,
+  strokeMm: 86,
+  compRatio: 10.5,
+  redline: 7000,
+  rpmStep: 250,
+  vePeak: 95,
+  sizePenalty: 0,
+  pistonSpeedLimit: 0,
+  boostPsi: 0,
+  methanolInduction: "na",
+  valvetrainType: "dohc",
+  valvesPerCyl: 4,
+  compressorMap: "generic",   // built-in map id, a map object, or "generic"
+  ambientTempC: 25,
+  compressorEff: 70,          // % – ignored when a compressor map is in use
+  intercooler: "air_air",     // key of INTERCOOLERS
+  intercoolerEff: 70,         // %
+  altitudeM: 0,
+  baroKpa: 0,                 // 0 = derive from altitude
+  humidityPct: 0,
+  correctionStandard: "sae_j1349",
+  fuelGrade: "aki91",         // key of FUEL_GRADES (gasoline modes)
+  curveSource: "model",       // "model" (built-in shapes) or "table"
+  veTable: "",                // see parseRpmTable
+  boostTable: "",             // psi, boosted modes only
+  camIntakeDur: 220,          // deg @ 0.050" – see REFERENCE_CAM
+  camExhaustDur: 220,
+  camLiftMm: 10,
+  camLsa: 112,
+  camIcl: 108,
+  camSwitch: "none",          // key of CAM_SWITCHES
+  camCrossoverRpm: 5000,
+  rodLengthMm: 0,             // 0 = DEFAULT_ROD_RATIO × stroke
+  deckClearanceMm: 0,         // piston below deck at TDC
+  chamberCc: 0,               // 0 = unknown, no static CR from geometry
+  gasketBoreMm: 0,            // 0 = bore
+  gasketThicknessMm: 0.8,
+  pistonCc: 0,                // + dish, − dome
+  ivcAbdc: 0,                 // 0 = from the cam
+  crSource: "typed",          // "typed" or "geometry"
+  pistonAccelLimit: 0,        // m/s², 0 = off
+  injectorFlow: 0,            // 0 = unknown, sizing only
+  injectorFlowUnit: "ccmin",  // "ccmin" or "lbhr"
+  injectorCount: 0,           // 0 = one per cylinder (two per rotor)
+  injectorRatedPsi: 43.5,     // pressure the injector flow is quoted at
+  fuelPressurePsi: 43.5,      // regulator base pressure
+  fuelPressureRef: "boost",   // "boost" (rises 1:1 with boost) or "fixed"
+  pumpFlowLph: 0,             // rated at PUMP_RATED_PSI, 0 = unknown
+  dutyCycleTarget: 85,        // %
+  lambdaTarget: 0,            // WOT lambda for spark engines, 0 = mode default
+  smokeLimitLambda: 0,        // diesel fueling stops at this lambda, 0 = off
+  egtLimitC: 0,               // 0 = off; derates diesel fueling
+  internals: "stock",         // "stock" or "forged"
+  pistonMassG: 0,             // piston + pin + rings, 0 = estimate from bore
+  rodMassG: 0,                // 0 = estimate from piston mass
+  limitPcpBar: 0,             // stock limits, 0 = estimate (see STOCK_STRESS_LIMITS)
+  limitRodKn: 0,
+  limitBearingMpa: 0,
+  headClampKn: 0,             // head bolt clamp per cylinder
+  rotorCount: 2,              // rotary only
+  rotorChamberCc: 654,        // swept volume per rotor (one face), 13B = 654
+  rotorRadiusMm: 105,         // generating radius, for apex-seal speed
+  pipeRpm: 0,                 // two-stroke pipe tuned RPM, 0 = 85% of redline
+  eMotorKw: 0,                // e-assist motor shaft power, 0 = off
+  eMotorTorqueNm: 0,          // peak motor torque, 0 = flat to E_MOTOR_BASE_RPM
+  eMotorRatio: 1,             // motor turns per crank turn
+  batteryKw: 0,               // battery discharge limit, 0 = no limit
+  assistSeconds: 0,           // assist per vehicle run, 0 = no limit
+  eTurboKw: 0,                // electric turbo budget, 0 = off (Gasoline – Turbo)
+};
+
+function normalizeConfig(cfg = {}) {
+  const out = { ...DEFAULT_CONFIG };
+  for (const key of Object.keys(cfg)) {
+    if (cfg[key] !== undefined && cfg[key] !== null && cfg[key] !== "") out[key] = cfg[key];
+  }
+
+  // displacement is derived unless the caller pinned it
+  if (!(out.displacementL > 0)) {
+    out.displacementL = sweptDisplacementL(out);
+  }
+  out.valvesPerCyl = parseInt(out.valvesPerCyl) || DEFAULT_CONFIG.valvesPerCyl;
+
+  return out;
+}
+
+/* =========================================================================
+   DIAGNOSTICS
+   ========================================================================= */
+
+// Each warning: { code, severity, message, input, rpmFrom, rpmTo }.
+// severity is "info" (input ignored), "warn" (model adjusted something)
+// or "danger" (well past what the model considers sane).
+const SEVERITY_ORDER = { danger: 0, warn: 1, info: 2 };
+
+function addWarning(warnings, code, severity, input, rpmFrom, rpmTo, message) {
+  warnings.push({ code, severity, input, rpmFrom, rpmTo, message });
+}
+
+function sortWarnings(warnings) {
+  return warnings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+}
+
+// Checks that only need the inputs (before any curve is built).
+function diagnoseInputs(cfg, modeMeta, inductionType, boostInfo, rpmRange) {
+  const { engineMode, compRatio, boostPsi, methanolInduction } = cfg;
+  const warnings = [];
+  const rpmFrom  = rpmRange[0];
+  const rpmTo    = rpmRange[rpmRange.length - 1];
+
+  const [crMin, crMax] = modeMeta.crBand;
+  if (compRatio < crMin || compRatio > crMax) {
+    const far = compRatio < crMin - 1.5 || compRatio > crMax + 1.5;
+    addWarning(
+      warnings, "cr_out_of_band", far ? "danger" : "warn", "compRatio", rpmFrom, rpmTo,
+      `Compression ratio ${compRatio.toFixed(1)}:1 is outside the usual ` +
+      `${crMin}–${crMax}:1 band for this mode.`
+    );
+  }
+
+  if (modeMeta.fuelType !== "gasoline" && cfg.fuelGrade !== DEFAULT_CONFIG.fuelGrade) {
+    addWarning(
+      warnings, "fuel_grade_ignored", "info", "fuelGrade", rpmFrom, rpmTo,
+      "Fuel grade only applies to the gasoline modes and is ignored here."
+    );
+  }
+
+  if (engineMode === "gas_na" && boostPsi > 0) {
+    addWarning(
+      warnings, "boost_ignored_na", "info", "boostPsi", rpmFrom, rpmTo,
+      `Boost of ${boostPsi.toFixed(1)} psi is ignored in Gasoline – NA mode.`
+    );
+  }
+
+  if (engineMode === "methanol_race" && inductionType === "na" && boostPsi > 0) {
+    addWarning(
+      warnings, "boost_ignored_methanol_na", "info", "boostPsi", rpmFrom, rpmTo,
+      `Boost of ${boostPsi.toFixed(1)} psi is ignored with NA methanol induction.`
+    );
+  }
+
+  if (engineMode !== "methanol_race" && methanolInduction && methanolInduction !== "na") {
+    addWarning(
+      warnings, "methanol_induction_ignored", "info", "methanolInduction", rpmFrom, rpmTo,
+      "Methanol induction is only used in Methanol – Race mode and is ignored here."
+    );
+  }
+
+  if (modeMeta.fuelType !== "diesel" && cfg.smokeLimitLambda > 0) {
+    addWarning(
+      warnings, "smoke_limit_ignored", "info", "smokeLimitLambda", rpmFrom, rpmTo,
+      "The smoke limiter only caps diesel fueling and is ignored here."
+    );
+  }
+
+  if (cfg.engineCycle !== "four_stroke" && modeMeta.fuelType === "diesel") {
+    addWarning(
+      warnings, "cycle_diesel_four_stroke", "warn", "engineCycle", rpmFrom, rpmTo,
+      `The diesel model is four-stroke only; ${engineCycleDef(cfg.engineCycle).label.toLowerCase()} ` +
+      "is ignored and the displacement run as a four-stroke."
+    );
+  } else if (cfg.engineCycle !== "four_stroke" && cfg.camSwitch && cfg.camSwitch !== "none") {
+    addWarning(
+      warnings, "cam_ignored_ported", "info", "camSwitch", rpmFrom, rpmTo,
+      `A ${engineCycleDef(cfg.engineCycle).label.toLowerCase()} is ported: cam, VVT and valvetrain inputs are ignored.`
+    );
+  }
+
+  if (cfg.baroKpa > 0 && cfg.altitudeM) {
+    addWarning(
+      warnings, "baro_overrides_altitude", "info", "altitudeM", rpmFrom, rpmTo,
+      `Barometer reading of ${cfg.baroKpa} kPa is used; altitude is ignored.`
+    );
+  }
+
+  const usesMap = cfg.compressorMap && cfg.compressorMap !== "generic";
+  if (usesMap && engineMode !== "gas_turbo" && engineMode !== "diesel_turbo") {
+    addWarning(
+      warnings, "compressor_map_ignored", "info", "compressorMap", rpmFrom, rpmTo,
+      "Compressor maps are only matched in the Gasoline – Turbo and Diesel – Turbo modes."
+    );
+  } else if (cfg.compressorMap === "custom") {
+    addWarning(
+      warnings, "compressor_map_missing", "warn", "compressorMap", rpmFrom, rpmTo,
+      "Custom compressor map selected but no map file is loaded; using the generic spool model."
+    );
+  } else if (usesMap && !resolveCompressorMap(cfg.compressorMap)) {
+    addWarning(
+      warnings, "compressor_map_unknown", "warn", "compressorMap", rpmFrom, rpmTo,
+      "Compressor map not recognised; falling back to the generic spool model."
+    );
+  }
+
+  return warnings;
+}
+
+// Summarises the rows where mean piston speed exceeded the limit.
+function diagnosePistonSpeed(rpmArr, pistonSpeedArr, psFactorArr, pistonSpeedLimit) {
+  const warnings = [];
+  if (!(pistonSpeedLimit > 0)) return warnings;
+
+  let firstIdx = -1;
+  let lastIdx  = -1;
+  for (let i = 0; i < rpmArr.length; i++) {
+    if (pistonSpeedArr[i] > pistonSpeedLimit) {
+      if (firstIdx < 0) firstIdx = i;
+      lastIdx = i;
+    }
+  }
+  if (firstIdx < 0) return warnings;
+
+  const maxSpeed   = pistonSpeedArr[lastIdx];
+  const overPct    = ((maxSpeed - pistonSpeedLimit) / pistonSpeedLimit) * 100;
+  const worstLoss  = (1 - Math.min(...psFactorArr)) * 100;
+
+  addWarning(
+    warnings, "piston_speed_over_limit", overPct > 20 ? "danger" : "warn",
+    "pistonSpeedLimit", rpmArr[firstIdx], rpmArr[lastIdx],
+    `Mean piston speed exceeds ${pistonSpeedLimit} m/s from ${rpmArr[firstIdx]} rpm, ` +
+    `peaking at ${maxSpeed.toFixed(1)} m/s (${overPct.toFixed(0)}% over); ` +
+    `torque reduced by up to ${worstLoss.toFixed(0)}%.`
+  );
+
+  return warnings;
+}
+
+// Same idea as diagnosePistonSpeed, for peak (TDC) piston acceleration.
+function diagnosePistonAccel(rpmArr, pistonAccelArr, psFactorArr, pistonAccelLimit) {
+  const warnings = [];
+  if (!(pistonAccelLimit > 0)) return warnings;
+
+  const firstIdx = pistonAccelArr.findIndex((a) => a > pistonAccelLimit);
+  if (firstIdx < 0) return warnings;
+
+  const lastIdx   = rpmArr.length - 1;
+  const maxAccel  = pistonAccelArr[lastIdx];
+  const overPct   = ((maxAccel - pistonAccelLimit) / pistonAccelLimit) * 100;
+  const worstLoss = (1 - Math.min(...psFactorArr)) * 100;
+
+  addWarning(
+    warnings, "piston_accel_over_limit", overPct > 20 ? "danger" : "warn",
+    "pistonAccelLimit", rpmArr[firstIdx], rpmArr[lastIdx],
+    `Peak piston acceleration exceeds ${pistonAccelLimit.toFixed(0)} m/s² from ${rpmArr[firstIdx]} rpm, ` +
+    `reaching ${maxAccel.toFixed(0)} m/s² (${overPct.toFixed(0)}% over); ` +
+    `torque reduced by up to ${worstLoss.toFixed(0)}%.`
+  );
+
+  return warnings;
+}
+
+function diagnoseFuelSystem(rpmArr, fuel) {
+  const warnings = [];
+  if (!fuel) return warnings;
+
+  const lastIdx = rpmArr.length - 1;
+  if (fuel.ratedCcMin) {
+    const firstIdx = fuel.dutyCycle.findIndex((d) => d > fuel.dutyTarget);
+    if (firstIdx >= 0) {
+      const maxDuty = Math.max(...fuel.dutyCycle);
+      const size = fuel.recommendedSizeCc
+        ? `${fuel.recommendedSizeCc} cc/min`
+        : `more than ${INJECTOR_SIZES_CC[INJECTOR_SIZES_CC.length - 1]} cc/min (add injectors)`;
+      addWarning(
+        warnings, maxDuty >= 100 ? "injector_static" : "injector_duty_high",
+        maxDuty >= 100 ? "danger" : "warn",
+        "injectorFlow", rpmArr[firstIdx], rpmArr[lastIdx],
+        `Injector duty cycle passes ${fuel.dutyTarget.toFixed(0)}% from ${rpmArr[firstIdx]} rpm and ` +
+        `peaks at ${maxDuty.toFixed(0)}%${maxDuty >= 100 ? " – the injectors go static and the engine runs lean" : ""}; ` +
+        `${fuel.injectorCount} × ${size} @ 3 bar keeps it in target.`
+      );
+    }
+  }
+
+  if (fuel.pumpLph[0] !== null) {
+    const minHeadroom = Math.min(...fuel.pumpHeadroomPct);
+    if (minHeadroom < PUMP_MIN_HEADROOM_PCT) {
+      const idx = fuel.pumpHeadroomPct.indexOf(minHeadroom);
+      addWarning(
+        warnings, "fuel_pump_headroom", minHeadroom < 0 ? "danger" : "warn",
+        "pumpFlowLph", rpmArr[idx], rpmArr[idx],
+        `Fuel pump ${minHeadroom < 0 ? "falls short by" : "has only"} ${Math.abs(minHeadroom).toFixed(0)}% ` +
+        `${minHeadroom < 0 ? "" : "headroom "}at ${fuel.railPsi[idx].toFixed(0)} psi ` +
+        `${fuel.commonRail ? "supply" : "rail"} pressure; ` +
+        `a pump of about ${Math.ceil(fuel.recommendedPumpLph / 5) * 5} lph @ ${PUMP_RATED_PSI} psi is needed.`
+      );
+    }
+  }
+
+  return warnings;
+}
+
+function diagnoseHybrid(cfg, hybrid, rpmArr) {
+  const warnings = [];
+  const lastIdx  = rpmArr.length - 1;
+
+  if (cfg.eTurboKw > 0 && !(hybrid && hybrid.eTurbo)) {
+    addWarning(
+      warnings, "eturbo_ignored", "info", "eTurboKw", rpmArr[0], rpmArr[lastIdx],
+      "The electric turbo only runs in Gasoline – Turbo mode on the generic spool model " +
+      "(no compressor map or boost table); it is ignored here."
+    );
+  }
+  if (!hybrid) return warnings;
+
+  if (hybrid.eMotorKw > 0 && hybrid.shaftKw < hybrid.eMotorKw) {
+    addWarning(
+      warnings, "battery_limits_motor", "info", "batteryKw", rpmArr[0], rpmArr[lastIdx],
+      `The ${hybrid.batteryKw.toFixed(0)} kW battery limit holds the motor to ` +
+      `${hybrid.shaftKw.toFixed(1)} of its ${hybrid.eMotorKw.toFixed(0)} kW.`
+    );
+  }
+
+  const et = hybrid.eTurbo;
+  if (et) {
+    const short = et.neededKw.map((kw, i) => kw > et.budgetKw && et.electricKw[i] > 0);
+    const firstIdx = short.indexOf(true);
+    if (firstIdx >= 0) {
+      const lastShort = short.lastIndexOf(true);
+      addWarning(
+        warnings, "eturbo_budget_short", "info", "eTurboKw", rpmArr[firstIdx], rpmArr[lastShort],
+        `The ${et.budgetKw.toFixed(1)} kW e-turbo budget falls short of full boost up to ${rpmArr[lastShort]} rpm; ` +
+        `about ${Math.max(...et.neededKw).toFixed(1)} kW would remove the spool lag entirely.`
+      );
+    }
+  }
+
+  return warnings;
+}
+
+function diagnoseExhaust(rpmArr, exhaust, fuelType) {
+  const warnings = [];
+  const lastIdx = rpmArr.length - 1;
+
+  if (exhaust.fuelLimitFrac) {
+    const limited = exhaust.fuelLimitFrac.map((f) => f < 0.995);
+    const firstIdx = limited.indexOf(true);
+    if (firstIdx >= 0) {
+      const worst = (1 - Math.min(...exhaust.fuelLimitFrac)) * 100;
+      const egtLimited = exhaust.egtLimitC > 0 && exhaust.egtC.some((t, i) => limited[i] && t >= exhaust.egtLimitC - 5);
+      addWarning(
+        warnings, egtLimited ? "egt_limit_derate" : "smoke_limit_derate", "warn",
+        egtLimited ? "egtLimitC" : "smokeLimitLambda", rpmArr[firstIdx], rpmArr[limited.lastIndexOf(true)],
+        egtLimited
+          ? `Fueling cut by up to ${worst.toFixed(0)}% to hold EGT at ${exhaust.egtLimitC.toFixed(0)} °C; ` +
+            `more boost (air) or a higher limit gets the torque back.`
+          : `Fueling cut by up to ${worst.toFixed(0)}% at the smoke limit (lambda ` +
+            `${Math.min(...exhaust.lambda).toFixed(2)}); the turbo is not supplying enough air.`
+      );
+    }
+  }
+
+  if (exhaust.egtLimitC > 0 && fuelType !== "diesel") {
+    const firstIdx = exhaust.egtC.findIndex((t) => t > exhaust.egtLimitC);
+    if (firstIdx >= 0) {
+      const maxEgt = Math.max(...exhaust.egtC);
+      addWarning(
+        warnings, "egt_over_limit", maxEgt > exhaust.egtLimitC + 50 ? "danger" : "warn",
+        "egtLimitC", rpmArr[firstIdx], rpmArr[lastIdx],
+        `EGT passes ${exhaust.egtLimitC.toFixed(0)} °C from ${rpmArr[firstIdx]} rpm and reaches ` +
+        `${maxEgt.toFixed(0)} °C; run richer (a lower lambda target) or less boost.`
+      );
+    }
+  }
+
+  return warnings;
+}
+
+function diagnoseStress(stress) {
+  const warnings = [];
+  const inputs = { piston: "limitPcpBar", rod: "limitRodKn", bearing: "limitBearingMpa", gasket: "headClampKn" };
+
+  for (const c of stress.components) {
+    if (!c.severity) continue;
+    const what = c.key === "gasket"
+      ? `clamp margin ${c.clampMargin.toFixed(2)}× (wants ${GASKET_CLAMP_MARGIN}×)`
+      : `${c.load.toFixed(c.unit === "bar" ? 0 : 1)} ${c.unit}${c.mode ? ` in ${c.mode}` : ""} against ` +
+        `a ${c.limit.toFixed(c.unit === "bar" ? 0 : 1)} ${c.unit} ${stress.internals} limit`;
+    addWarning(
+      warnings, `stress_${c.key}`, c.severity, inputs[c.key], c.rpm, c.rpm,
+      `${c.label}: ${(c.utilization * 100).toFixed(0)}% of capacity at ${c.rpm} rpm – ${what}; ` +
+      `${c.severity === "danger" ? "failure likely" : "little margin left"}.`
+    );
+  }
+
+  return warnings;
+}
+
+// Typed CR vs the CR stack, and stack inputs that cannot be used.
+function diagnoseGeometry(cfg, geometry, rpmRange) {
+  const warnings = [];
+  const rpmFrom  = rpmRange[0];
+  const rpmTo    = rpmRange[rpmRange.length - 1];
+
+  if (cfg.crSource === "geometry" && geometry.staticCr === null) {
+    addWarning(
+      warnings, "cr_geometry_incomplete", "warn", "chamberCc", rpmFrom, rpmTo,
+      "Compression ratio from geometry needs a combustion chamber volume; the typed ratio is used."
+    );
+  } else if (geometry.crSource === "typed" && geometry.staticCr !== null &&
+             Math.abs(geometry.staticCr - cfg.compRatio) > 0.3) {
+    addWarning(
+      warnings, "cr_geometry_mismatch", "info", "compRatio", rpmFrom, rpmTo,
+      `The chamber / gasket / deck / piston stack gives ${geometry.staticCr.toFixed(1)}:1, ` +
+      `not the typed ${cfg.compRatio.toFixed(1)}:1.`
+    );
+  }
+
+  if (geometry.rodKnown && geometry.rodRatio < 1.4) {
+    addWarning(
+      warnings, "rod_ratio_low", "info", "rodLengthMm", rpmFrom, rpmTo,
+      `Rod/stroke ratio of ${geometry.rodRatio.toFixed(2)} is short – high side loads ` +
+      "and piston acceleration."
+    );
+  }
+
+  return warnings;
+}
+
+function diagnoseKnock(rpmArr, spark) {
+  const warnings = [];
+  const knocking = spark.knockRetard.map((r, i) =>
+    r >= KNOCK_WARN_RETARD_DEG || (1 - spark.torqueFactor[i]) * 100 >= KNOCK_WARN_TORQUE_PCT);
+  const firstIdx = knocking.indexOf(true);
+
+  if (firstIdx >= 0) {
+    const lastIdx  = knocking.lastIndexOf(true);
+    const maxRetard = Math.max(...spark.knockRetard);
+    const worstLoss = (1 - Math.min(...spark.torqueFactor)) * 100;
+    const grade = FUEL_GRADES[spark.fuelGrade];
+
+    addWarning(
+      warnings, "knock_retard", maxRetard >= 8 ? "warn" : "info", "fuelGrade",
+      rpmArr[firstIdx], rpmArr[lastIdx],
+      `Knock-limited on ${grade.label}: timing pulled up to ${maxRetard.toFixed(1)}° ` +
+      `from MBT, costing up to ${worstLoss.toFixed(1)}% torque.`
+    );
+  }
+
+  const unresolvedIdx = spark.unresolved.indexOf(true);
+  if (unresolvedIdx >= 0) {
+    const peakReq = Math.max(...spark.octaneRequired);
+    addWarning(
+      warnings, "knock_unresolved", "danger", "fuelGrade",
+      rpmArr[unresolvedIdx], rpmArr[spark.unresolved.lastIndexOf(true)],
+      `Still knocking at ${MAX_KNOCK_RETARD_DEG}° retard – needs about ` +
+      `${peakReq.toFixed(0)} octane. Lower boost or compression, or use better fuel.`
+    );
+  }
+
+  return warnings;
+}
+
+// Overlap above this (at 0.050") gives a lumpy idle and low vacuum
+const CAM_IDLE_OVERLAP_DEG = 15;
+// Dynamic CR band on 91 AKI, NA; boost lowers the ceiling, octane raises it
+const DCR_MAX_NA_91     = 10.0;
+const DCR_BOOST_OFFSET  = 0.5;
+const DCR_PER_OCTANE    = 0.15;
+const DCR_MIN_NA        = 7.0;
+
+function diagnoseCam(cam, cfg, modeMeta, inductionType, rpmRange) {
+  const warnings = [];
+  const rpmFrom  = rpmRange[0];
+  const rpmTo    = rpmRange[rpmRange.length - 1];
+  // idle and cranking run on the low-speed cam when there is one
+  const idle = cam.lowSpeed || cam;
+
+  if (idle.overlapDeg > CAM_IDLE_OVERLAP_DEG) {
+    addWarning(
+      warnings, "cam_idle_quality", "warn", "camLsa", rpmFrom, rpmFrom,
+      `${idle.overlapDeg.toFixed(0)}° of overlap at 0.050" – expect a lumpy idle, ` +
+      "low manifold vacuum and poor low-speed drivability."
+    );
+  }
+
+  if (modeMeta.fuelType === "gasoline") {
+    const grade = FUEL_GRADES[cfg.fuelGrade] || FUEL_GRADES[DEFAULT_CONFIG.fuelGrade];
+    const dcrMax = DCR_MAX_NA_91 + DCR_PER_OCTANE * (grade.octane - 91) -
+      (inductionType === "na" ? 0 : DCR_BOOST_OFFSET);
+    const dcrHigh = Math.max(cam.dynamicCr, idle.dynamicCr);
+    if (dcrHigh > dcrMax) {
+      addWarning(
+        warnings, "cam_dcr_high", "warn", "camIcl", rpmFrom, cam.crossoverRpm || rpmTo,
+        `Dynamic compression ${dcrHigh.toFixed(1)}:1 is above about ${dcrMax.toFixed(1)}:1 ` +
+        `for ${grade.label}${inductionType === "na" ? "" : " with boost"}; ` +
+        "expect low-speed knock. A later intake closing or lower static CR brings it down."
+      );
+    }
+  }
+
+  if (modeMeta.fuelType !== "diesel" && inductionType === "na" && cam.dynamicCr < DCR_MIN_NA) {
+    addWarning(
+      warnings, "cam_dcr_low", "info", "camIcl", rpmFrom, rpmTo,
+      `Dynamic compression is only ${cam.dynamicCr.toFixed(1)}:1 – the intake closes late ` +
+      "for this static CR, so low-speed torque will be soft."
+    );
+  }
+
+  if (cam.crossoverRpm !== null && (cam.crossoverRpm <= rpmFrom || cam.crossoverRpm >= rpmTo)) {
+    addWarning(
+      warnings, "cam_crossover_outside_range", "info", "camCrossoverRpm", rpmFrom, rpmTo,
+      `Cam crossover at ${cam.crossoverRpm} rpm is outside the simulated ` +
+      `${rpmFrom}–${rpmTo} rpm range, so only one cam is ever used.`
+    );
+  }
+
+  return warnings;
+}
+
+function diagnoseCurveTables(cfg, tables, inductionType, rpmRange) {
+  const warnings = [];
+  const rpmFrom  = rpmRange[0];
+  const rpmTo    = rpmRange[rpmRange.length - 1];
+
+  const typed = [["veTable", "ve_table_rows_skipped", "VE table"]];
+  if (inductionType !== "na") typed.push(["boostTable", "boost_table_rows_skipped", "Boost table"]);
+  for (const [key, code, label] of typed) {
+    const unread = unreadRpmTableLines(cfg[key]);
+    if (unread.length) {
+      addWarning(
+        warnings, code, "warn", key, rpmFrom, rpmTo,
+        `${label}: ${unread.length === 1 ? "1 row" : `${unread.length} rows`} could not be read and ` +
+        `${unread.length === 1 ? "was" : "were"} skipped ("${unread[0]}").`
+      );
+    }
+  }
+
+  if (!tables) {
+    addWarning(
+      warnings, "ve_table_invalid", "warn", "veTable", rpmFrom, rpmTo,
+      "VE table needs at least two \"rpm, VE%\" rows; using the built-in curve shape."
+    );
+    return warnings;
+  }
+
+  const outOfRange = tables.veTable.filter(([, ve]) => ve < 30 || ve > 150);
+  if (outOfRange.length) {
+    addWarning(
+      warnings, "ve_table_range", "warn", "veTable",
+      outOfRange[0][0], outOfRange[outOfRange.length - 1][0],
+      `VE table has values outside 30–150% (e.g. ${outOfRange[0][1]}% @ ${outOfRange[0][0]} rpm).`
+    );
+  }
+
+  const [tableFrom, tableTo] = [tables.veTable[0][0], tables.veTable[tables.veTable.length - 1][0]];
+  if (tableFrom > rpmFrom || tableTo < rpmTo) {
+    addWarning(
+      warnings, "ve_table_extrapolated", "info", "veTable", rpmFrom, rpmTo,
+      `VE table covers ${tableFrom}–${tableTo} rpm; values are held flat beyond that.`
+    );
+  }
+
+  if (inductionType === "na" && parseRpmTable(cfg.boostTable)) {
+    addWarning(
+      warnings, "boost_table_ignored", "info", "boostTable", rpmFrom, rpmTo,
+      "Boost table is ignored for naturally aspirated engines."
+    );
+  } else if (tables.boostTable && cfg.compressorMap && cfg.compressorMap !== "generic") {
+    addWarning(
+      warnings, "compressor_map_overridden", "info", "compressorMap", rpmFrom, rpmTo,
+      "Boost table takes over from the compressor map."
+    );
+  }
+
+  return warnings;
+}
+
+const IAT_WARN_C   = 65;
+const IAT_DANGER_C = 90;
+
+function diagnoseCharge(rpmArr, chargeArr, inductionType, intercooler) {
+  const warnings = [];
+  if (inductionType === "na") return warnings;
+
+  const iat = chargeArr.map((c) => c.iatC);
+  const maxIat = Math.max(...iat);
+  if (maxIat > IAT_WARN_C) {
+    const firstIdx = iat.findIndex((t) => t > IAT_WARN_C);
+    const coolerHint = intercooler === "none" ? " Consider an intercooler." : "";
+    addWarning(
+      warnings, "iat_high", maxIat > IAT_DANGER_C ? "danger" : "warn", "intercooler",
+      rpmArr[firstIdx], rpmArr[rpmArr.length - 1],
+      `Intake air reaches ${maxIat.toFixed(0)} °C from ${rpmArr[firstIdx]} rpm; ` +
+      `charge density and knock margin suffer.${coolerHint}`
+    );
+  }
+
+  return warnings;
+}
+
+const COMPRESSOR_OUTLET_LIMIT_C = 180;
+
+function diagnoseCompressor(turbo, rpmArr) {
+  const warnings = [];
+  const rpmTo = rpmArr[rpmArr.length - 1];
+
+  if (turbo.chokeRpm !== null) {
+    const minBoost = Math.min(...turbo.boostPsi.slice(rpmArr.indexOf(turbo.chokeRpm)));
+    addWarning(
+      warnings, "compressor_choke", minBoost < turbo.targetBoostPsi * 0.7 ? "danger" : "warn",
+      "compressorMap", turbo.chokeRpm, rpmTo,
+      `${turbo.mapName} runs into its choke line from ${turbo.chokeRpm} rpm; ` +
+      `boost tapers to ${minBoost.toFixed(1)} psi by redline.`
+    );
+  }
+
+  if (turbo.spoolRpm === null && turbo.targetBoostPsi > 0) {
+    addWarning(
+      warnings, "compressor_no_spool", "danger", "compressorMap", rpmArr[0], rpmTo,
+      `${turbo.mapName} never reaches 90% of the ${turbo.targetBoostPsi.toFixed(1)} psi target.`
+    );
+  }
+
+  const maxOutlet = Math.max(...turbo.outletTempC);
+  if (maxOutlet > COMPRESSOR_OUTLET_LIMIT_C) {
+    const idx = turbo.outletTempC.indexOf(maxOutlet);
+    addWarning(
+      warnings, "compressor_outlet_hot", "warn", "compressorMap", rpmArr[idx], rpmArr[idx],
+      `Compressor outlet reaches ${maxOutlet.toFixed(0)} °C; the compressor is working ` +
+      `far from its efficiency islands.`
+    );
+  }
+
+  return warnings;
+}
+
+/* =========================================================================
+   MASTER SIM DRIVER
+   ========================================================================= */
+
+function simulateEngine(inputCfg) {
+  const cfg = normalizeConfig(inputCfg);
+  // the CR stack can stand in for the typed compression ratio
+  const geometry = engineGeometry(cfg);
+  cfg.compRatio = geometry.compRatio;
+  const {
+    engineMode,
+    displacementL,
+    compRatio,
+    redline,
+    rpmStep,
+    vePeak,
+    sizePenalty,
+    pistonSpeedLimit,
+    pistonAccelLimit,
+    strokeMm,
+    valvetrainType,
+    valvesPerCyl,
+    boostPsi,
+    methanolInduction,
+    boreMm,
+    compressorMap,
+    ambientTempC,
+    compressorEff,
+    intercooler,
+    intercoolerEff,
+    correctionStandard,
+    curveSource,
+    camIntakeDur,
+    camExhaustDur,
+    camLiftMm,
+    camLsa,
+    camIcl,
+    camSwitch,
+    camCrossoverRpm,
+  } = cfg;
+
+  const modeMeta  = getModeConfig(engineMode);
+  const fuelType  = modeMeta.fuelType;
+
+  // the diesel model is four-stroke only (diagnoseInputs says so)
+  const engineCycle = fuelType === "diesel" || !ENGINE_CYCLES[cfg.engineCycle] ? "four_stroke" : cfg.engineCycle;
+  const cycleDef    = engineCycleDef(engineCycle);
+  const ported      = engineCycle !== "four_stroke";
+  // VE is read against what this cycle makes at the mode reference
+  const bmepRefBar  = modeMeta.bmepRefBar * cycleDef.bmepScale;
+
+  const rpmRange = createRpmRange(redline, rpmStep, 1000);
+
+  let inductionType = "na";
+  if (engineMode === "gas_na")       inductionType = "na";
+  else if (engineMode === "gas_turbo")   inductionType = "turbo";
+  else if (engineMode === "gas_sc")      inductionType = "supercharger";
+  else if (engineMode === "diesel_turbo")inductionType = "turbo";
+  else if (engineMode === "methanol_race")
+    inductionType = methanolInduction || "na";
+
+  const boostInfo = getEffectiveBoostAndCompFactor(
+    fuelType,
+    inductionType,
+    compRatio,
+    boostPsi
+  );
+  const { effBoostPsi, compFactor } = boostInfo;
+
+  const warnings = diagnoseInputs(cfg, modeMeta, inductionType, boostInfo, rpmRange);
+
+  // no pistons / rods on a rotary, no cam on either ported cycle
+  if (engineCycle !== "rotary") warnings.push(...diagnoseGeometry(cfg, geometry, rpmRange));
+  const cam = ported ? null : camSummary(cfg, geometry.rodRatio);
+  if (cam) warnings.push(...diagnoseCam(cam, cfg, modeMeta, inductionType, rpmRange));
+
+  // VE / boost tables replace the built-in curve shapes
+  const tables = curveSource === "table"
+    ? resolveCurveTables(cfg, rpmRange, inductionType)
+    : null;
+  if (curveSource === "table") {
+    warnings.push(...diagnoseCurveTables(cfg, tables, inductionType, rpmRange));
+  }
+  const tableBoost = tables && tables.boostCurve;
+
+  const simCfg = {
+    engineCycle,
+    displacementL,
+    redline,
+    vePeak,
+    sizePenalty,
+    valvetrainType,
+    valvesPerCyl,
+    compRatio,
+    boreMm,
+    strokeMm,
+    camIntakeDur,
+    camExhaustDur,
+    camLiftMm,
+    camLsa,
+    camIcl,
+    camSwitch,
+    camCrossoverRpm,
+    pipeRpm: cfg.pipeRpm,
+    veCurve: tables ? tables.veCurve : null,
+  };
+
+  const env = environmentState(cfg);
+
+  // Compressor map matching (turbo gas / diesel only)
+  let turbo = null;
+  // (a boost table is measured boost, so it takes over from the map)
+  const map = (engineMode === "gas_turbo" || engineMode === "diesel_turbo") && !tableBoost
+    ? resolveCompressorMap(compressorMap)
+    : null;
+  // boost actually run at this altitude (a map-matched turbo chases the full target)
+  const siteBoostPsi = tableBoost
+    ? Math.max(...tableBoost)
+    : altitudeBoostPsi(effBoostPsi, inductionType, env.ambientPsia, map ? 1 : undefined);
+  if (map) {
+    const naFlow = naAirflowLbMin(displacementL, rpmRange, vePeak / 100, engineCycle);
+    turbo = matchCompressor(map, rpmRange, naFlow, siteBoostPsi, {
+      ambientPsia: env.ambientPsia,
+      inletTempK: ambientTempC + 273.15,
+    });
+    warnings.push(...diagnoseCompressor(turbo, rpmRange));
+  }
+
+  // Charge air: IAT and density per RPM. The sims are fed the boost that
+  // gives the same density on the reference setup, not the raw psi.
+  const chargeOpts = {
+    ambientC: ambientTempC,
+    compressorEff: compressorEff / 100,
+    intercooler,
+    intercoolerEff: intercoolerEff / 100,
+    ambientPsia: env.ambientPsia,
+  };
+  const baseBoostCurve = tableBoost
+    || (turbo && turbo.boostPsi)
+    || genericBoostCurve(engineMode, rpmRange, redline, inductionType === "na" ? 0 : siteBoostPsi, displacementL);
+  // electric turbo: motor power on the turbo shaft fills in the spool lag
+  // of the generic spool (a map's cut-backs are surge / choke, not power)
+  const eTurbo = cfg.eTurboKw > 0 && engineMode === "gas_turbo" && !tableBoost && !turbo
+    ? eTurboBoostCurve(
+      baseBoostCurve,
+      siteBoostPsi,
+      naAirflowLbMin(displacementL, rpmRange, vePeak / 100, engineCycle).map((f) => (f * env.ambientPsia) / AMBIENT_PSIA),
+      cfg.eTurboKw,
+      { ambientPsia: env.ambientPsia, inletTempK: ambientTempC + 273.15, compressorEff: compressorEff / 100 }
+    )
+    : null;
+  const boostCurve = eTurbo ? eTurbo.boostPsi : baseBoostCurve;
+  const chargeArr = boostCurve.map((b, i) =>
+    chargeAirState(b, turbo ? { ...chargeOpts, compressorEff: turbo.efficiency[i] } : chargeOpts)
+  );
+
+  let chargeBoostPsi = 0;
+  if (inductionType !== "na") {
+    const fullEff = turbo ? Math.max(...turbo.efficiency) : chargeOpts.compressorEff;
+    const fullCharge = chargeAirState(siteBoostPsi, { ...chargeOpts, compressorEff: fullEff });
+    chargeBoostPsi = densityEquivalentBoostPsi(siteBoostPsi, fullCharge);
+  }
+  // per-RPM boost for the sims: off the map, or along the table shape
+  const matchedBoostPsi = inductionType !== "na" && (turbo || tables)
+    ? boostCurve.map((b, i) => densityEquivalentBoostPsi(b, chargeArr[i]))
+    : null;
+
+  warnings.push(...diagnoseCharge(rpmRange, chargeArr, inductionType, intercooler));
+
+  // Diesel air does not follow fueling: it is what the cylinders breathe
+  const dieselAirKgMin = rpmRange.map((rpm, i) =>
+    airMassKgMin(displacementL, rpm, (tables ? tables.veCurve[i] : vePeak) / 100, chargeArr[i].densityKgM3, engineCycle)
+  );
+  const lambdaWot = wotLambda(fuelType, inductionType, cfg.lambdaTarget);
+
+  // Knock: gasoline only; the retard from MBT costs torque per RPM
+  const spark = fuelType === "gasoline"
+    ? sparkTiming(rpmRange, cfg, boostCurve, chargeArr.map((c) => c.iatC), env.ambientPsia)
+    : null;
+  if (spark) warnings.push(...diagnoseKnock(rpmRange, spark));
+
+  const envFactor = environmentTorqueFactor(env, inductionType);
+  const corrFactor = correctionFactor(correctionStandard, env);
+
+  let baseResult;
+  if (ported) {
+    // per-RPM boost the way the cylinders see it, on top of the NA shape
+    const cycleBoostPsi = inductionType === "na"
+      ? rpmRange.map(() => 0)
+      : boostCurve.map((b, i) => densityEquivalentBoostPsi(b, chargeArr[i]));
+    baseResult = engineCycle === "rotary"
+      ? simulateRotary(rpmRange, simCfg, fuelType, cycleBoostPsi, compFactor)
+      : simulateTwoStroke(rpmRange, simCfg, fuelType, cycleBoostPsi, compFactor);
+  } else if (fuelType === "diesel") {
+    // optional fueling limiters: smoke (lambda) and EGT
+    const fuelLimits = cfg.smokeLimitLambda > 0 || cfg.egtLimitC > 0 ? {
+      minLambda: cfg.smokeLimitLambda,
+      egtLimitC: cfg.egtLimitC,
+      points: rpmRange.map((rpm, i) => ({
+        displacementL,
+        redline,
+        compRatio,
+        pistonSpeedMs: meanPistonSpeed(strokeMm, rpm),
+        boostPsi: boostCurve[i],
+        ambientPsia: env.ambientPsia,
+        airKgMin: dieselAirKgMin[i],
+        chargeTempC: chargeArr[i].iatC,
+      })),
+    } : null;
+    baseResult = simulateDieselTurbo(
+      rpmRange, simCfg, bmepRefBar, chargeBoostPsi, compFactor, matchedBoostPsi, fuelLimits
+    );
+  } else if (fuelType === "methanol") {
+    baseResult = simulateMethanol(
+      rpmRange,
+      simCfg,
+      bmepRefBar,
+      chargeBoostPsi,
+      compFactor,
+      inductionType,
+      matchedBoostPsi
+    );
+  } else {
+    // gasoline paths
+    if (engineMode === "gas_na") {
+      baseResult = simulateGasolineNa(rpmRange, simCfg, bmepRefBar);
+    } else if (engineMode === "gas_turbo") {
+      baseResult = simulateGasolineTurbo(
+        rpmRange,
+        simCfg,
+        bmepRefBar,
+        chargeBoostPsi,
+        compFactor,
+        matchedBoostPsi,
+        eTurbo ? eTurbo.boostPsi.map((b) => (siteBoostPsi > 0 ? b / siteBoostPsi : 1)) : null
+      );
+    } else if (engineMode === "gas_sc") {
+      baseResult = simulateGasolineSupercharged(
+        rpmRange,
+        simCfg,
+        bmepRefBar,
+        chargeBoostPsi,
+        compFactor,
+        matchedBoostPsi
+      );
+    } else {
+      baseResult = simulateGasolineNa(rpmRange, simCfg, bmepRefBar);
+    }
+  }
+
+  // Piston-speed penalty and air density (applied after base mode curves)
+  const torqueArr   = [];
+  const hpArr       = [];
+  const bmepBarArr2 = [];
+  const corrTorqueArr = [];
+  const corrHpArr     = [];
+
+  // Derived per-RPM columns (what the results table shows)
+  const bmepPsiArr     = [];
+  const veArr          = [];
+  const pistonSpeedArr = [];
+  const pistonAccelArr = [];
+  const imepBarArr     = [];
+  const fmepBarArr     = [];
+  const fmepLimitBarArr= [];
+  const pmepBarArr     = [];
+  const mechEffArr     = [];
+  const peakPressureArr= [];
+  const cfmArr         = [];
+  const fuelLbHrArr    = [];
+  const fuelGalHrArr   = [];
+  const psFactorArr    = [];
+  const bsfcArr        = [];
+  const bteArr         = [];
+  const exhaustArr     = [];
+
+  const grade      = fuelType === "gasoline" ? FUEL_GRADES[cfg.fuelGrade] : null;
+  const bsfcFactor = (grade ? grade.bsfcFactor : 1) * cycleDef.bsfcFactor;
+  const density    = getFuelDensityLbPerGal(fuelType);
+
+  for (let i = 0; i < baseResult.rpm.length; i++) {
+    const rpm = baseResult.rpm[i];
+    // a rotary's apex seals stand in for the pistons; nothing reciprocates
+    const ps  = engineCycle === "rotary" ? apexSealSpeed(cfg.rotorRadiusMm, rpm) : meanPistonSpeed(strokeMm, rpm);
+    const acc = engineCycle === "rotary" ? 0 : pistonKinematics(strokeMm, geometry.rodMm, rpm).peakAccelMs2;
+
+    // whichever of the two limits is exceeded further sets the penalty
+    let psFactor = 1.0;
+    if (pistonSpeedLimit > 0 && ps > pistonSpeedLimit) {
+      const excess = (ps - pistonSpeedLimit) / pistonSpeedLimit;
+      psFactor = Math.max(0.6, 1 - 0.6 * excess);
+    }
+    if (pistonAccelLimit > 0 && acc > pistonAccelLimit) {
+      const excess = (acc - pistonAccelLimit) / pistonAccelLimit;
+      psFactor = Math.min(psFactor, Math.max(0.6, 1 - 0.6 * excess));
+    }
+
+    psFactorArr.push(psFactor);
+
+    const knockFactor    = spark ? spark.torqueFactor[i] : 1.0;
+    const adjustedTorque = baseResult.torque[i] * psFactor * envFactor * knockFactor;
+    const adjustedHp     = hpFromTorque(adjustedTorque, rpm);
+
+    torqueArr.push(adjustedTorque);
+    hpArr.push(adjustedHp);
+    corrTorqueArr.push(adjustedTorque * corrFactor);
+    corrHpArr.push(adjustedHp * corrFactor);
+
+    const bmepPsiVal = bmepPsiFromTorque(adjustedTorque, displacementL, engineCycle);
+    const bmepBar    = bmepPsiVal * 0.0689476;
+    bmepBarArr2.push(bmepBar);
+
+    // Loss breakdown: torque taken by the piston speed / accel limit is
+    // shown as friction on top of the Chen-Flynn estimate
+    const pmepBar = pumpingMepBar(inductionType, rpm, redline, boostCurve[i], env.ambientPsia);
+    const { fmepBar } = frictionMepBar(bmepBar, pmepBar, ps, fuelType, cycleDef.frictionScale);
+    const fmepLimitBar = bmepBar * (1 / psFactor - 1);
+    const imepBar = bmepBar + fmepBar + fmepLimitBar + pmepBar;
+    imepBarArr.push(imepBar);
+    fmepBarArr.push(fmepBar);
+    fmepLimitBarArr.push(fmepLimitBar);
+    pmepBarArr.push(pmepBar);
+    mechEffArr.push(imepBar > 0 ? (100 * bmepBar) / imepBar : 0);
+    peakPressureArr.push(peakCylinderPressureBar({
+      manifoldPsia: env.ambientPsia + Math.max(0, boostCurve[i] || 0),
+      compRatio: cfg.compRatio,
+      grossImepBar: bmepBar / knockFactor + fmepBar + pmepBar,
+      fuelType,
+      detonationDeg: spark && spark.unresolved[i]
+        ? (spark.octaneRequired[i] - spark.fuelOctane) * SPARK_DEG_PER_OCTANE - MAX_KNOCK_RETARD_DEG
+        : 0,
+    }));
+
+    // BSFC from indicated efficiency × mechanical efficiency at this point
+    const eff = brakeEfficiency({
+      bmepBar, imepBar, compRatio: cfg.compRatio, fuelType, lambdaWot,
+      pistonSpeedMs: ps, knockFactor, bsfcFactor,
+    });
+    bsfcArr.push(eff.bsfc);
+    bteArr.push(eff.bte * 100);
+
+    // VE comes from the table when there is one, otherwise it is
+    // back-calculated from BMEP vs. the mode reference
+    let veFrac;
+    if (simCfg.veCurve) {
+      veFrac = simCfg.veCurve[i] / 100;
+    } else {
+      veFrac = bmepRefBar > 0 ? bmepBar / bmepRefBar : 1.0;
+      veFrac = Math.max(0.6, Math.min(veFrac, 1.2));
+    }
+
+    const fuelLbHr = adjustedHp > 0 && eff.bsfc ? adjustedHp * eff.bsfc : 0;
+
+    bmepPsiArr.push(bmepPsiVal);
+    veArr.push(veFrac * 100);
+    pistonSpeedArr.push(ps);
+    pistonAccelArr.push(acc);
+    cfmArr.push(cfmAtRpm(displacementL, rpm, veFrac, engineCycle));
+    fuelLbHrArr.push(fuelLbHr);
+    fuelGalHrArr.push(fuelLbHr / density);
+
+    exhaustArr.push(exhaustState({
+      fuelType,
+      inductionType,
+      lambdaWot,
+      airKgMin: fuelType === "diesel"
+        ? dieselAirKgMin[i]
+        : airMassKgMin(displacementL, rpm, veFrac, chargeArr[i].densityKgM3, engineCycle),
+      fuelLbHr,
+      hp: adjustedHp,
+      indicatedEff: eff.indicatedEff,
+      chargeTempC: chargeArr[i].iatC,
+      pistonSpeedMs: ps,
+      compRatio: cfg.compRatio,
+    }));
+  }
+
+  const exhaust = {
+    lambdaWot,
+    egtLimitC: cfg.egtLimitC,
+    fuelLimitFrac: baseResult.fuelLimitFrac || null,
+  };
+  for (const key of Object.keys(exhaustArr[0] || {})) exhaust[key] = exhaustArr.map((e) => e[key]);
+
+  warnings.push(
+    ...diagnosePistonSpeed(baseResult.rpm, pistonSpeedArr, psFactorArr, pistonSpeedLimit),
+    ...diagnosePistonAccel(baseResult.rpm, pistonAccelArr, psFactorArr, pistonAccelLimit)
+  );
+
+  const fuelSystem = fuelSystemSizing({ ...cfg, engineCycle }, fuelType, baseResult.rpm, boostCurve, fuelGalHrArr);
+  warnings.push(...diagnoseFuelSystem(baseResult.rpm, fuelSystem));
+  warnings.push(...diagnoseExhaust(baseResult.rpm, exhaust, fuelType));
+
+  const stress = engineCycle === "rotary"
+    ? null
+    : componentStress(cfg, fuelType, geometry.rodMm, baseResult.rpm, peakPressureArr);
+  if (stress) warnings.push(...diagnoseStress(stress));
+
+  const hybrid = hybridResult(baseResult.rpm, torqueArr, cfg, eTurbo);
+  warnings.push(...diagnoseHybrid(cfg, hybrid, baseResult.rpm));
+
+  const result = {
+    rpm: baseResult.rpm,
+    torque: torqueArr,
+    hp: hpArr,
+    bmepBarArr: bmepBarArr2,
+    bmepPsi: bmepPsiArr,
+    ve: veArr,
+    pistonSpeed: pistonSpeedArr,
+    pistonAccel: pistonAccelArr,
+    imepBar: imepBarArr,
+    fmepBar: fmepBarArr,
+    fmepLimitBar: fmepLimitBarArr,
+    pmepBar: pmepBarArr,
+    mechEff: mechEffArr,
+    peakPressureBar: peakPressureArr,
+    bsfc: bsfcArr,
+    bte: bteArr,
+    bsfcFactor,
+    cfm: cfmArr,
+    fuelLbHr: fuelLbHrArr,
+    fuelGalHr: fuelGalHrArr,
+    iat: chargeArr.map((c) => c.iatC),
+    chargeDensity: chargeArr.map((c) => c.densityKgM3),
+    chargeBoostPsi,
+    correctedTorque: corrTorqueArr,
+    correctedHp: corrHpArr,
+    correctionFactor: corrFactor,
+    correctionStandard: CORRECTION_STANDARDS[correctionStandard] ? correctionStandard : "sae_j1349",
+    environment: env,
+    spark,
+    cam,
+    geometry,
+    fuelSystem,
+    exhaust,
+    stress,
+    hybrid,
+    boostPsi: boostCurve,
+    curveSource: tables ? "table" : "model",
+    bmepRefBar,
+    engineCycle,
+    fuelType,
+    inductionType,
+    displacementL,
+    config: cfg,
+    turbo,
+    warnings: sortWarnings(warnings),
+  };
+  result.summary = summarizeResult(result);
+
+  return result;
+}
+
+/* =========================================================================
+   SUMMARY (PEAKS)
+   ========================================================================= */
+
+function summarizeResult(result) {
+  const { rpm, torque, hp, displacementL, fuelType, engineCycle } = result;
+
+  let peakHpIdx = 0;
+  let peakTqIdx = 0;
+  for (let i = 1; i < rpm.length; i++) {
+    if (hp[i] > hp[peakHpIdx])         peakHpIdx = i;
+    if (torque[i] > torque[peakTqIdx]) peakTqIdx = i;
+  }
+
+  const peakHp = rpm.length ? hp[peakHpIdx] : 0;
+  const peakTq = rpm.length ? torque[peakTqIdx] : 0;
+
+  const fuelPeakLbHr  = rpm.length ? result.fuelLbHr[peakHpIdx] : 0;
+  const fuelPeakGalHr = rpm.length ? result.fuelGalHr[peakHpIdx] : 0;
+  const bsfcPeak      = rpm.length ? result.bsfc[peakHpIdx] : null;
+
+  // engine + e-assist motor at the crank
+  let combined = null;
+  if (result.hybrid && result.hybrid.eMotorKw > 0 && rpm.length) {
+    const { combinedHp, combinedTorque } = result.hybrid;
+    let hpIdx = 0;
+    let tqIdx = 0;
+    for (let i = 1; i < rpm.length; i++) {
+      if (combinedHp[i] > combinedHp[hpIdx])         hpIdx = i;
+      if (combinedTorque[i] > combinedTorque[tqIdx]) tqIdx = i;
+    }
+    combined = {
+      peakHp: combinedHp[hpIdx],
+      peakHpRpm: rpm[hpIdx],
+      peakTq: combinedTorque[tqIdx],
+      peakTqRpm: rpm[tqIdx],
+    };
+  }
+
+  return {
+    peakHp,
+    peakHpRpm: rpm.length ? rpm[peakHpIdx] : 0,
+    peakTq,
+    peakTqRpm: rpm.length ? rpm[peakTqIdx] : 0,
+    hpPerL: displacementL > 0 ? peakHp / displacementL : 0,
+    bmepPeakPsi: bmepPsiFromTorque(peakTq, displacementL, engineCycle),
+    // airflow is taken at the torque peak, where VE is highest
+    cfmPeak: rpm.length ? result.cfm[peakTqIdx] : 0,
+    fuelPeakLbHr,
+    fuelPeakGalHr,
+    bsfcPeak,
+    correctionFactor: result.correctionFactor,
+    correctedPeakHp: peakHp * result.correctionFactor,
+    correctedPeakTq: peakTq * result.correctionFactor,
+    combined,
+  };
+}
+
+/* =========================================================================
+   RUN COMPARISON
+   ========================================================================= */
+
+// Linear interpolation of a per-RPM column; null outside the swept range.
+function interpolateAtRpm(rpmArr, valArr, rpm) {
+  const n = rpmArr.length;
+  if (!n || rpm < rpmArr[0] || rpm > rpmArr[n - 1]) return null;
+  for (let i = 0; i < n - 1; i++) {
+    if (rpm <= rpmArr[i + 1]) {
+      const span = rpmArr[i + 1] - rpmArr[i];
+      const t = span > 0 ? (rpm - rpmArr[i]) / span : 0;
+      return valArr[i] + (valArr[i + 1] - valArr[i]) * t;
+    }
+  }
+  return valArr[n - 1];
+}
+
+// Deltas of `run` against `baseline`, row by row on the baseline RPM grid.
+function compareRuns(baseline, run) {
+  const rows = baseline.rpm.map((rpm, i) => {
+    const hp = interpolateAtRpm(run.rpm, run.hp, rpm);
+    const tq = interpolateAtRpm(run.rpm, run.torque, rpm);
+    return {
+      rpm,
+      baseHp: baseline.hp[i],
+      hp,
+      hpDelta: hp === null ? null : hp - baseline.hp[i],
+      tqDelta: tq === null ? null : tq - baseline.torque[i],
+    };
+  });
+
+  return {
+    peakHpDelta: run.summary.peakHp - baseline.summary.peakHp,
+    peakTqDelta: run.summary.peakTq - baseline.summary.peakTq,
+    rows,
+  };
+}
+
+/* =========================================================================
+   DYNO DATA & CALIBRATION
+   ========================================================================= */
+
+// Splits CSV text into a header and rows of cells. The delimiter (comma,
+// semicolon or tab) is picked from the first line; a first line with any
+// non-numeric cell is taken as the header.
+function parseCsvRows(text) {
+  const lines = String(text).split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (!lines.length) return { header: [], rows: [] };
+
+  const first = lines[0];
+  const delim = first.includes("\t") ? "\t"
+    : (first.split(";").length > first.split(",").length ? ";" : ",");
+  const split = (line) => line.split(delim).map((c) => c.trim().replace(/^"(.*)"$/, "$1"));
+
+  const firstCells = split(first);
+  const hasHeader  = firstCells.some((c) => c !== "" && !Number.isFinite(Number(c)));
+  const header = hasHeader ? firstCells : firstCells.map((c, i) => `Column ${i + 1}`);
+  const rows   = (hasHeader ? lines.slice(1) : lines).map(split);
+
+  return { header, rows };
+}
+
+// Best guess at which columns hold RPM, power and torque (-1 = not found).
+function guessDynoColumns(header) {
+  const find = (re, skip = []) => header.findIndex((h, i) => re.test(h) && !skip.includes(i));
+  const rpm    = find(/rpm|engine ?speed|\brev/i);
+  const torque = find(/torque|\btq\b|lb.?ft|\bnm\b/i, [rpm]);
+  const power  = find(/power|\bhp\b|bhp|whp|\bkw\b|\bps\b/i, [rpm, torque]);
+  return { rpm, power, torque };
+}
+
+// Dyno pull in base units, sorted by RPM. Either power or torque may be
+// missing (column -1); it is derived from the other.
+function parseDynoCsv(text, mapping = {}) {
+  const { header, rows } = parseCsvRows(text);
+  const guess = guessDynoColumns(header);
+  const {
+    rpmCol = guess.rpm,
+    powerCol = guess.power,
+    torqueCol = guess.torque,
+    powerUnit = "hp",
+    torqueUnit = "lbft",
+  } = mapping;
+
+  if (rpmCol < 0) throw new Error("Dyno file needs an RPM column.");
+  if (powerCol < 0 && torqueCol < 0) throw new Error("Dyno file needs a power or a torque column.");
+
+  const cell = (row, col) => (col >= 0 ? parseFloat(row[col]) : NaN);
+  const points = [];
+  for (const row of rows) {
+    const rpm = cell(row, rpmCol);
+    let hp = toBaseUnit("power", powerUnit, cell(row, powerCol));
+    let tq = toBaseUnit("torque", torqueUnit, cell(row, torqueCol));
+    if (!(rpm > 0)) continue;
+    if (!Number.isFinite(tq) && Number.isFinite(hp)) tq = (hp * 5252) / rpm;
+    if (!Number.isFinite(hp) && Number.isFinite(tq)) hp = hpFromTorque(tq, rpm);
+    if (Number.isFinite(hp) && Number.isFinite(tq)) points.push({ rpm, hp, tq });
+  }
+  if (points.length < 3) throw new Error("Dyno file has fewer than 3 usable rows.");
+
+  points.sort((a, b) => a.rpm - b.rpm);
+  return {
+    header,
+    rpm: points.map((p) => p.rpm),
+    hp: points.map((p) => p.hp),
+    torque: points.map((p) => p.tq),
+  };
+}
+
+// Model vs dyno at every dyno point inside the simulated RPM range.
+// basis "corrected" compares against the model's corrected curves (most
+// dyno sheets are corrected), "observed" against the raw ones.
+function dynoError(result, dyno, basis = "corrected") {
+  const hpArr = basis === "observed" ? result.hp : result.correctedHp;
+  const tqArr = basis === "observed" ? result.torque : result.correctedTorque;
+
+  let n = 0;
+  let sumHp = 0;
+  let sumTq = 0;
+  let maxHp = { dev: 0, rpm: null };
+  let maxTq = { dev: 0, rpm: null };
+
+  dyno.rpm.forEach((rpm, i) => {
+    const hp = interpolateAtRpm(result.rpm, hpArr, rpm);
+    const tq = interpolateAtRpm(result.rpm, tqArr, rpm);
+    if (hp === null || tq === null) return;
+
+    const dHp = hp - dyno.hp[i];
+    const dTq = tq - dyno.torque[i];
+    n++;
+    sumHp += dHp * dHp;
+    sumTq += dTq * dTq;
+    if (Math.abs(dHp) > Math.abs(maxHp.dev)) maxHp = { dev: dHp, rpm };
+    if (Math.abs(dTq) > Math.abs(maxTq.dev)) maxTq = { dev: dTq, rpm };
+  });
+
+  const peakHp = Math.max(...dyno.hp);
+  const rmsHp  = n ? Math.sqrt(sumHp / n) : null;
+  return {
+    points: n,
+    rmsHp,
+    rmsTq: n ? Math.sqrt(sumTq / n) : null,
+    rmsPct: n && peakHp > 0 ? (100 * rmsHp) / peakHp : null,
+    maxHpDev: maxHp.dev,
+    maxHpRpm: maxHp.rpm,
+    maxTqDev: maxTq.dev,
+    maxTqRpm: maxTq.rpm,
+  };
+}
+
+// Search ranges for the scalar fit, matching the form's input limits.
+const CALIBRATION_PARAMS = [
+  { key: "vePeak",           min: 60, max: 130, step: 8 },
+  { key: "sizePenalty",      min: 0,  max: 10,  step: 2 },
+  { key: "pistonSpeedLimit", min: 15, max: 40,  step: 4 },
+];
+
+// Fits vePeak, sizePenalty and pistonSpeedLimit by coordinate descent on
+// RMS torque error. With fitShape the curve shape is then taken over by a
+// VE table (tuner mode) solved at every `shapeStepRpm` inside the pull.
+// Returns only the changed config keys in `params`, ready for the form.
+function calibrateToDyno(inputCfg, dyno, { basis = "corrected", fitShape = false, shapeStepRpm = 250 } = {}) {
+  const baseCfg = { ...normalizeConfig(inputCfg), curveSource: "model" };
+  const score = (cfg) => {
+    const err = dynoError(simulateEngine(cfg), dyno, basis);
+    return err.points ? err.rmsTq : Infinity;
+  };
+  const clamp = (p, v) => Math.max(p.min, Math.min(p.max, v));
+
+  const before = dynoError(simulateEngine(normalizeConfig(inputCfg)), dyno, basis);
+
+  // an unset piston speed limit (0) starts at the top of the range
+  const cfg = { ...baseCfg };
+  for (const p of CALIBRATION_PARAMS) {
+    cfg[p.key] = cfg[p.key] > 0 || p.min === 0 ? clamp(p, cfg[p.key]) : p.max;
+  }
+  let best = score(cfg);
+
+  for (let scale = 1; scale >= 1 / 32; scale /= 2) {
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const p of CALIBRATION_PARAMS) {
+        for (const dir of [-1, 1]) {
+          const value = clamp(p, cfg[p.key] + dir * p.step * scale);
+          if (value === cfg[p.key]) continue;
+          const err = score({ ...cfg, [p.key]: value });
+          if (err < best - 1e-6) {
+            best = err;
+            cfg[p.key] = value;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  const params = {};
+  for (const p of CALIBRATION_PARAMS) params[p.key] = +cfg[p.key].toFixed(2);
+  params.curveSource = "model";
+
+  if (fitShape) {
+    const fitted = simulateEngine({ ...cfg, ...params });
+    const from = Math.max(dyno.rpm[0], fitted.rpm[0]);
+    const to   = Math.min(dyno.rpm[dyno.rpm.length - 1], fitted.rpm[fitted.rpm.length - 1]);
+    const points = [];
+    for (let rpm = Math.ceil(from / shapeStepRpm) * shapeStepRpm; rpm <= to; rpm += shapeStepRpm) {
+      points.push(rpm);
+    }
+
+    if (points.length >= 2) {
+      const boostTable = fitted.inductionType !== "na"
+        ? points.map((rpm) => [rpm, interpolateAtRpm(fitted.rpm, fitted.boostPsi, rpm)])
+        : null;
+      const probeCfg = {
+        ...cfg,
+        ...params,
+        curveSource: "table",
+        veTable: points.map((rpm) => [rpm, 100]),
+        boostTable,
+      };
+      const probe = simulateEngine(probeCfg);
+      const probeTq = basis === "observed" ? probe.torque : probe.correctedTorque;
+
+      // torque is linear in table VE, so one probe gives the answer
+      const veTable = points.map((rpm) => {
+        const target = interpolateAtRpm(dyno.rpm, dyno.torque, rpm);
+        const model  = interpolateAtRpm(probe.rpm, probeTq, rpm);
+        return [rpm, model > 0 ? (100 * target) / model : 100];
+      });
+
+      params.curveSource = "table";
+      params.veTable = formatRpmTable(veTable);
+      params.boostTable = boostTable ? formatRpmTable(boostTable) : "";
+    }
+  }
+
+  const after = dynoError(simulateEngine({ ...baseCfg, ...params }), dyno, basis);
+  return { params, before, after };
+}
+
+/* =========================================================================
+   VEHICLE ACCELERATION (0–60, 0–100, QUARTER MILE)
+   ========================================================================= */
+
+const GRAVITY      = 9.80665;  // m/s²
+const AIR_DENSITY  = 1.225;    // kg/m³, sea-level standard
+const QUARTER_MILE_M = 402.336;
+const MPH_PER_MS   = 2.23693629;
+const KMH_PER_MS   = 3.6;
+
+const DEFAULT_VEHICLE = {
+  massKg: 1400,               // with driver
+  gearRatios: [3.25, 2.13, 1.55, 1.21, 0.97, 0.81],
+  finalDrive: 4.1,
+  tyreSize: "225/45R17",
+  drivetrainLoss: 15,         // % of crank torque lost before the wheels
+  cdA: 0.65,                  // m²
+  crr: 0.012,
+  launchRpm: 3000,            // clutch slips until wheel speed catches up
+  shiftTimeS: 0.3,
+  tractionMu: 1.0,            // tyre grip on the driven axle
+  driveWeightFraction: 0.6,   // share of weight on the driven wheels
+};
+
+// "245/40R18" → overall diameter in metres (null if unparseable)
+function tyreDiameterFromSize(size) {
+  const m = /^\s*(\d{3})\s*\/\s*(\d{2})\s*Z?R\s*(\d{2})\s*$/i.exec(String(size || ""));
+  if (!m) return null;
+  const widthMm  = parseInt(m[1], 10);
+  const aspect   = parseInt(m[2], 10) / 100;
+  const rimMm    = parseInt(m[3], 10) * 25.4;
+  return (rimMm + 2 * widthMm * aspect) / 1000;
+}
+
+function normalizeVehicle(vehicle = {}) {
+  const out = { ...DEFAULT_VEHICLE };
+  for (const key of Object.keys(vehicle)) {
+    if (vehicle[key] !== undefined && vehicle[key] !== null && vehicle[key] !== "") out[key] = vehicle[key];
+  }
+  out.gearRatios = (out.gearRatios || []).filter((g) => Number.isFinite(g) && g > 0);
+  if (!out.gearRatios.length) out.gearRatios = DEFAULT_VEHICLE.gearRatios.slice();
+  out.tyreDiameterM =
+    tyreDiameterFromSize(out.tyreSize) || tyreDiameterFromSize(DEFAULT_VEHICLE.tyreSize);
+  return out;
+}
+
+// Engine torque (Nm) at any RPM inside the simulated band, 0 outside it.
+// withAssist adds the hybrid motor (see result.hybrid).
+function engineTorqueNmAt(engineResult, rpm, withAssist = false) {
+  const hybrid = engineResult.hybrid;
+  const curve  = withAssist && hybrid ? hybrid.combinedTorque : engineResult.torque;
+  const tq = interpolateAtRpm(engineResult.rpm, curve, rpm);
+  return tq === null ? 0 : tq * 1.35581795;
+}
+
+// Tractive force (N) in a gear at road speed v (m/s), before traction limit.
+function wheelForceAt(engineResult, veh, gearIdx, v) {
+  const ratio   = veh.gearRatios[gearIdx] * veh.finalDrive;
+  const radius  = veh.tyreDiameterM / 2;
+  const rpmMin  = engineResult.rpm[0];
+  const rpmMax  = engineResult.rpm[engineResult.rpm.length - 1];
+  const rpm     = Math.max(rpmMin, (v / radius) * ratio * (60 / (2 * Math.PI)));
+  if (rpm > rpmMax) return { force: 0, rpm };
+
+  const wheelTq = engineTorqueNmAt(engineResult, rpm) * ratio * (1 - veh.drivetrainLoss / 100);
+  return { force: wheelTq / radius, rpm };
+}
+
+// Best upshift RPM per gear: the speed where the next gear makes more
+// wheel force, or redline if it never does.
+function optimalShiftPoints(engineResult, vehicle) {
+  const veh    = vehicle.tyreDiameterM ? vehicle : normalizeVehicle(vehicle);
+  const radius = veh.tyreDiameterM / 2;
+  const rpmMax = engineResult.rpm[engineResult.rpm.length - 1];
+  const points = [];
+
+  for (let g = 0; g < veh.gearRatios.length - 1; g++) {
+    const ratio  = veh.gearRatios[g] * veh.finalDrive;
+    const vMax   = (rpmMax / ratio) * (2 * Math.PI / 60) * radius;
+    let shiftV   = vMax;
+
+    for (let v = 1; v <= vMax; v += 0.1) {
+      const cur  = wheelForceAt(engineResult, veh, g, v).force;
+      const next = wheelForceAt(engineResult, veh, g + 1, v).force;
+      if (next > 0 && next >= cur) {
+        shiftV = v;
+        break;
+      }
+    }
+
+    const shiftRpm = (shiftV / radius) * ratio * (60 / (2 * Math.PI));
+    points.push({
+      gear: g + 1,
+      rpm: Math.min(rpmMax, shiftRpm),
+      speedMph: shiftV * MPH_PER_MS,
+    });
+  }
+  return points;
+}
+
+// Time-steps the car from rest using the engine's full-load torque curve,
+// plus the hybrid motor for its assist time (shift points stay engine-only).
+function simulateVehicle(engineResult, vehicle = {}) {
+  const veh    = normalizeVehicle(vehicle);
+  const radius = veh.tyreDiameterM / 2;
+  const shifts = optimalShiftPoints(engineResult, veh);
+  const hybrid = engineResult.hybrid && engineResult.hybrid.eMotorKw > 0 ? engineResult.hybrid : null;
+
+  const dt          = 0.005;
+  const sampleEvery = 0.05;
+  const maxTime     = 60;
+  const rollForce   = veh.crr * veh.massKg * GRAVITY;
+  const tractionMax = veh.tractionMu * veh.massKg * GRAVITY * veh.driveWeightFraction;
+
+  let t = 0;
+  let v = 0;
+  let x = 0;
+  let gear = 0;
+  let shiftTimer = 0;
+  let nextSample = 0;
+
+  let t60mph = null;
+  let t100kmh = null;
+  let quarterEt = null;
+  let trapMph = null;
+  let assistKj = 0;
+
+  const trace = { time: [], speedMph: [], rpm: [], gear: [] };
+
+  while (t < maxTime && quarterEt === null) {
+    const ratio   = veh.gearRatios[gear] * veh.finalDrive;
+    const wheelRpm = (v / radius) * (60 / (2 * Math.PI));
+    // clutch slip: engine held at launch RPM until the wheels catch up
+    const rpm = Math.max(wheelRpm * ratio, gear === 0 ? veh.launchRpm : engineResult.rpm[0]);
+
+    let drive = 0;
+    if (shiftTimer > 0) {
+      shiftTimer -= dt;
+    } else {
+      const assist  = hybrid !== null && (!(hybrid.assistSeconds > 0) || t < hybrid.assistSeconds);
+      const wheelTq = engineTorqueNmAt(engineResult, rpm, assist) * ratio * (1 - veh.drivetrainLoss / 100);
+      drive = Math.min(wheelTq / radius, tractionMax);
+      if (assist) assistKj += (interpolateAtRpm(engineResult.rpm, hybrid.electricKw, rpm) || 0) * dt;
+    }
+
+    const drag = 0.5 * AIR_DENSITY * veh.cdA * v * v;
+    // rotating inertia grows with the gearbox ratio
+    const massFactor = 1.04 + 0.0025 * veh.gearRatios[gear] * veh.gearRatios[gear];
+    const accel = (drive - drag - (v > 0 || drive > rollForce ? rollForce : drive)) /
+      (veh.massKg * massFactor);
+
+    v = Math.max(0, v + accel * dt);
+    x += v * dt;
+    t += dt;
+
+    if (t60mph === null && v * MPH_PER_MS >= 60) t60mph = t;
+    if (t100kmh === null && v * KMH_PER_MS >= 100) t100kmh = t;
+    if (x >= QUARTER_MILE_M) {
+      quarterEt = t;
+      trapMph = v * MPH_PER_MS;
+    }
+
+    if (t >= nextSample) {
+      trace.time.push(+t.toFixed(3));
+      trace.speedMph.push(v * MPH_PER_MS);
+      trace.rpm.push(rpm);
+      trace.gear.push(gear + 1);
+      nextSample += sampleEvery;
+    }
+
+    const shift = shifts[gear];
+    if (shift && shiftTimer <= 0 && rpm >= shift.rpm) {
+      gear++;
+      shiftTimer = veh.shiftTimeS;
+    }
+  }
+
+  return {
+    vehicle: veh,
+    zeroTo60Mph: t60mph,
+    zeroTo100Kmh: t100kmh,
+    quarterMileEt: quarterEt,
+    trapSpeedMph: trapMph,
+    assistEnergyKj: hybrid ? assistKj : null,
+    shiftPoints: shifts,
+    trace,
+  };
+}
+
+/* =========================================================================
+   GEARING (TRACTIVE FORCE ENVELOPE)
+   ========================================================================= */
+
+// Wheel force vs road speed for every gear, one point per simulated RPM.
+function tractiveForceCurves(engineResult, vehicle = {}) {
+  const veh    = normalizeVehicle(vehicle);
+  const radius = veh.tyreDiameterM / 2;
+  const keep   = 1 - veh.drivetrainLoss / 100;
+
+  return veh.gearRatios.map((gearRatio, g) => {
+    const ratio = gearRatio * veh.finalDrive;
+    const points = engineResult.rpm.map((rpm, i) => {
+      const v = (rpm / ratio) * (2 * Math.PI / 60) * radius;
+      const forceN = (engineResult.torque[i] * 1.35581795 * ratio * keep) / radius;
+      return { rpm, speedMph: v * MPH_PER_MS, forceN };
+    });
+    return { gear: g + 1, ratio: gearRatio, points };
+  });
+}
+
+// Best wheel force across all gears on a common speed grid (mph).
+function tractionEnvelope(engineResult, vehicle = {}, maxSpeedMph = null, stepMph = 1) {
+  const veh    = normalizeVehicle(vehicle);
+  const curves = tractiveForceCurves(engineResult, veh);
+  const top    = curves[curves.length - 1].points;
+  const vMax   = maxSpeedMph !== null ? maxSpeedMph : top[top.length - 1].speedMph;
+
+  const envelope = [];
+  for (let mph = 0; mph <= vMax + 1e-9; mph += stepMph) {
+    let best = 0;
+    let bestGear = null;
+    for (const c of curves) {
+      const speeds = c.points.map((p) => p.speedMph);
+      const forces = c.points.map((p) => p.forceN);
+      // below a gear's idle speed the clutch slips at the lowest simulated RPM
+      const f = mph < speeds[0] ? forces[0] : interpolateAtRpm(speeds, forces, mph);
+      if (f !== null && f > best) {
+        best = f;
+        bestGear = c.gear;
+      }
+    }
+    envelope.push({ speedMph: mph, forceN: best, gear: bestGear });
+  }
+
+  // area = ∫ F dv in N·(m/s); divided by the span it is the mean wheel
+  // force the gearing can deliver across the speed range
+  let area = 0;
+  for (let i = 1; i < envelope.length; i++) {
+    const dv = (envelope[i].speedMph - envelope[i - 1].speedMph) / MPH_PER_MS;
+    area += 0.5 * (envelope[i].forceN + envelope[i - 1].forceN) * dv;
+  }
+  const spanMs = envelope.length ? envelope[envelope.length - 1].speedMph / MPH_PER_MS : 0;
+
+  return {
+    curves,
+    envelope,
+    area,
+    meanForceN: spanMs > 0 ? area / spanMs : 0,
+    maxSpeedMph: vMax,
+  };
+}
+
+// Current vs alternate gearing over the speed span both can reach.
+function compareGearing(engineResult, vehicle, altVehicle) {
+  const topSpeed = (veh) => {
+    const curves = tractiveForceCurves(engineResult, veh);
+    const pts = curves[curves.length - 1].points;
+    return pts[pts.length - 1].speedMph;
+  };
+  const span = Math.floor(Math.min(topSpeed(vehicle), topSpeed(altVehicle)));
+
+  const base = tractionEnvelope(engineResult, vehicle, span);
+  const alt  = tractionEnvelope(engineResult, altVehicle, span);
+
+  return {
+    base: { ...base, shiftPoints: optimalShiftPoints(engineResult, vehicle) },
+    alt: { ...alt, shiftPoints: optimalShiftPoints(engineResult, altVehicle) },
+    spanMph: span,
+    areaDeltaPct: base.area > 0 ? ((alt.area - base.area) / base.area) * 100 : 0,
+  };
+}
+
+/* =========================================================================
+   UNITS
+   ========================================================================= */
+
+// The model works in imperial (hp, lb-ft, psi, CFM, lb/hr, gal/hr); every
+// other unit is a display factor on top of that base.
+const UNIT_DEFS = {
+  power: {
+    hp: { label: "hp",     factor: 1 },
+    kw: { label: "kW",     factor: 0.745699872 },
+    ps: { label: "PS",     factor: 1.01386967 },
+  },
+  torque: {
+    lbft: { label: "lb-ft", factor: 1 },
+    nm:   { label: "Nm",    factor: 1.35581795 },
+  },
+  pressure: {
+    psi: { label: "psi", factor: 1 },
+    bar: { label: "bar", factor: 0.0689476 },
+    kpa: { label: "kPa", factor: 6.89476 },
+  },
+  airflow: {
+    cfm:   { label: "CFM",    factor: 1 },
+    m3min: { label: "m³/min", factor: 0.0283168 },
+    ls:    { label: "L/s",    factor: 0.471947 },
+  },
+  fuelMass: {
+    lbhr: { label: "lb/hr", factor: 1 },
+    kgh:  { label: "kg/h",  factor: 0.45359237 },
+  },
+  fuelVolume: {
+    galhr: { label: "gal/hr", factor: 1 },
+    lh:    { label: "L/h",    factor: 3.78541 },
+  },
+  speed: {
+    mph: { label: "mph",  factor: 1 },
+    kmh: { label: "km/h", factor: 1.609344 },
+  },
+  bsfc: {
+    lbhphr: { label: "lb/hp·hr", factor: 1 },
+    gkwh:   { label: "g/kWh",    factor: 608.277 },
+  },
+};
+
+const IMPERIAL_UNITS = {
+  power: "hp",
+  torque: "lbft",
+  pressure: "psi",
+  airflow: "cfm",
+  fuelMass: "lbhr",
+  fuelVolume: "galhr",
+  speed: "mph",
+  bsfc: "lbhphr",
+};
+
+function metricUnits(powerUnit = "kw", airflowUnit = "m3min") {
+  return {
+    power: powerUnit,
+    torque: "nm",
+    pressure: "bar",
+    airflow: airflowUnit,
+    fuelMass: "kgh",
+    fuelVolume: "lh",
+    speed: "kmh",
+    bsfc: "gkwh",
+  };
+}
+
+function unitDef(quantity, unit) {
+  const defs = UNIT_DEFS[quantity];
+  return (defs && defs[unit]) || null;
+}
+
+function unitLabel(quantity, unit) {
+  const def = unitDef(quantity, unit);
+  return def ? def.label : unit;
+}
+
+// base (imperial) → `unit`
+function convertUnit(quantity, unit, value) {
+  const def = unitDef(quantity, unit);
+  return def ? value * def.factor : value;
+}
+
+// `unit` → base (imperial)
+function toBaseUnit(quantity, unit, value) {
+  const def = unitDef(quantity, unit);
+  return def ? value / def.factor : value;
+}
+
+/* =========================================================================
+   EXPORT (CSV / JSON)
+   ========================================================================= */
+
+// `quantity` columns follow the chosen units; the others have fixed units.
+// `rotaryHeader` names the column on a rotary, as the results table does.
+const EXPORT_COLUMNS = [
+  { key: "rpm",             header: "RPM",                     digits: 0 },
+  { key: "power",           header: "Power",                   digits: 2, quantity: "power" },
+  { key: "torque",          header: "Torque",                  digits: 2, quantity: "torque" },
+  { key: "ve",              header: "VE (%)",                  digits: 1 },
+  { key: "pistonSpeed",     header: "Piston Speed (m/s)",      digits: 2, rotaryHeader: "Apex Seal Speed (m/s)" },
+  { key: "pistonAccel",     header: "Piston Accel (m/s²)",     digits: 0 },
+  { key: "bmepPsi",         header: "BMEP (psi)",              digits: 1 },
+  { key: "bmepBar",         header: "BMEP (bar)",              digits: 2 },
+  { key: "imepBar",         header: "IMEP (bar)",              digits: 2 },
+  { key: "fmepBar",         header: "FMEP (bar)",              digits: 2 },
+  { key: "pmepBar",         header: "PMEP (bar)",              digits: 2 },
+  { key: "mechEff",         header: "Mech Eff (%)",            digits: 1 },
+  { key: "airflow",         header: "Airflow",                 digits: 2, quantity: "airflow" },
+  { key: "fuelMass",        header: "Fuel",                    digits: 2, quantity: "fuelMass" },
+  { key: "fuelVolume",      header: "Fuel",                    digits: 3, quantity: "fuelVolume" },
+  { key: "bsfc",            header: "BSFC",                    digits: 3, quantity: "bsfc" },
+  { key: "bte",             header: "BTE (%)",                 digits: 1 },
+  { key: "injectorDuty",    header: "Injector Duty (%)",       digits: 1 },
+  { key: "lambda",          header: "Lambda",                  digits: 3 },
+  { key: "egt",             header: "EGT (°C)",                digits: 0 },
+  { key: "turbineInlet",    header: "Turbine Inlet (°C)",      digits: 0 },
+  { key: "co2",             header: "CO2 (g/kWh)",             digits: 0 },
+  { key: "noxIndex",        header: "NOx Index",               digits: 0 },
+  { key: "smoke",           header: "Smoke (FSN)",             digits: 2 },
+  { key: "iat",             header: "IAT (°C)",                digits: 1 },
+  { key: "chargeDensity",   header: "Charge Density (kg/m³)",  digits: 3 },
+  { key: "correctedPower",  header: "Corrected Power",         digits: 2, quantity: "power" },
+  { key: "correctedTorque", header: "Corrected Torque",        digits: 2, quantity: "torque" },
+  { key: "motorTorque",     header: "E-Motor Torque",          digits: 2, quantity: "torque" },
+  { key: "combinedPower",   header: "Combined Power",          digits: 2, quantity: "power" },
+  { key: "eAssistKw",       header: "E-Assist Draw (kW)",      digits: 1 },
+  { key: "eTurboKw",        header: "E-Turbo Draw (kW)",       digits: 2 },
+];
+
+function exportColumnHeader(col, units, engineCycle) {
+  const header = engineCycle === "rotary" && col.rotaryHeader ? col.rotaryHeader : col.header;
+  return col.quantity ? `${header} (${unitLabel(col.quantity, units[col.quantity])})` : header;
+}
+
+// One plain object per RPM row, keyed like EXPORT_COLUMNS, in `units`.
+function resultToRows(result, units = IMPERIAL_UNITS) {
+  const hybrid = result.hybrid;
+  return result.rpm.map((rpm, i) => ({
+    rpm,
+    power: convertUnit("power", units.power, result.hp[i]),
+    torque: convertUnit("torque", units.torque, result.torque[i]),
+    ve: result.ve[i],
+    pistonSpeed: result.pistonSpeed[i],
+    pistonAccel: result.pistonAccel[i],
+    bmepPsi: result.bmepPsi[i],
+    bmepBar: result.bmepBarArr[i],
+    imepBar: result.imepBar[i],
+    fmepBar: result.fmepBar[i] + result.fmepLimitBar[i],
+    pmepBar: result.pmepBar[i],
+    mechEff: result.mechEff[i],
+    airflow: convertUnit("airflow", units.airflow, result.cfm[i]),
+    fuelMass: convertUnit("fuelMass", units.fuelMass, result.fuelLbHr[i]),
+    fuelVolume: convertUnit("fuelVolume", units.fuelVolume, result.fuelGalHr[i]),
+    bsfc: result.bsfc[i] === null ? null : convertUnit("bsfc", units.bsfc, result.bsfc[i]),
+    bte: result.bte[i],
+    injectorDuty: result.fuelSystem ? result.fuelSystem.dutyCycle[i] : null,
+    lambda: result.exhaust.lambda[i],
+    egt: result.exhaust.egtC[i],
+    turbineInlet: result.exhaust.turbineInletC[i],
+    co2: result.exhaust.co2GPerKwh[i],
+    noxIndex: result.exhaust.noxIndex[i],
+    smoke: result.exhaust.smokeFsn[i],
+    iat: result.iat[i],
+    chargeDensity: result.chargeDensity[i],
+    correctedPower: convertUnit("power", units.power, result.correctedHp[i]),
+    correctedTorque: convertUnit("torque", units.torque, result.correctedTorque[i]),
+    motorTorque: hybrid && hybrid.eMotorKw > 0 ? convertUnit("torque", units.torque, hybrid.motorTorque[i]) : null,
+    combinedPower: hybrid && hybrid.eMotorKw > 0 ? convertUnit("power", units.power, hybrid.combinedHp[i]) : null,
+    eAssistKw: hybrid && hybrid.eMotorKw > 0 ? hybrid.electricKw[i] : null,
+    eTurboKw: hybrid && hybrid.eTurbo ? hybrid.eTurbo.electricKw[i] : null,
+  }));
+}
+
+function csvCell(value) {
+  const str = String(value);
+  return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Config goes first as "# key,value" lines, then the per-RPM table.
+function resultToCsv(result, units = IMPERIAL_UNITS) {
+  const lines = [];
+  for (const [key, value] of Object.entries(result.config)) {
+    // a custom compressor map is an object; its id is enough here
+    const cell = value && typeof value === "object" ? value.id : value;
+    lines.push(`# ${csvCell(key)},${csvCell(cell)}`);
+  }
+  lines.push(EXPORT_COLUMNS.map((c) => csvCell(exportColumnHeader(c, units, result.engineCycle))).join(","));
+  for (const row of resultToRows(result, units)) {
+    lines.push(EXPORT_COLUMNS.map((c) => (row[c.key] === null ? "" : row[c.key].toFixed(c.digits))).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Operating map as lookup tables: one block per quantity, load rows
+// (100 % first) by RPM columns, in `units`.
+function operatingMapToCsv(map, units = IMPERIAL_UNITS) {
+  const lines = [];
+  for (const col of OPERATING_MAP_QUANTITIES) {
+    if (lines.length) lines.push("");
+    lines.push(`# ${csvCell(exportColumnHeader(col, units))}`);
+    lines.push([OPERATING_MAP_LOAD_LABELS[map.loadAxis], ...map.rpm].map(csvCell).join(","));
+    for (let j = map.loads.length - 1; j >= 0; j--) {
+      const cells = map.rpm.map((_, i) => {
+        const value = map[col.key][i][j];
+        return value === null ? "" : convertUnit(col.quantity, units[col.quantity], value).toFixed(col.digits);
+      });
+      lines.push([(map.loads[j] * 100).toFixed(0), ...cells].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Config and summary stay in model (imperial) units; `units` applies to rows.
+function resultToJson(result, units = IMPERIAL_UNITS) {
+  const unitLabels = {};
+  for (const col of EXPORT_COLUMNS) {
+    if (col.quantity) unitLabels[col.key] = unitLabel(col.quantity, units[col.quantity]);
+  }
+
+  return JSON.stringify(
+    {
+      generator: "Engine Simulator v4",
+      config: result.config,
+      fuelType: result.fuelType,
+      inductionType: result.inductionType,
+      environment: result.environment,
+      correctionStandard: result.correctionStandard,
+      summary: result.summary,
+      warnings: result.warnings,
+      units: unitLabels,
+      rows: resultToRows(result, units),
+    },
+    null,
+    2
+  );
+}
+
+/* =========================================================================
+   PRESETS
+   ========================================================================= */
+
+const PRESETS = {
+  k20c1: {
+    engineMode: "gas_turbo",
+    cylinders: 4,
+    boreMm: 86.0,
+    strokeMm: 85.9,
+    compRatio: 9.8,
+    redline: 7000,
+    vePeak: 105,
+    sizePenalty: 3,
+    pistonSpeedLimit: 26,
+    boostPsi: 21,
+    valvetrainType: "dohc",
+    valvesPerCyl: 4,
+    camIntakeDur: 228,
+    camExhaustDur: 222,
+    camLiftMm: 11.2,
+    camLsa: 115,
+    camIcl: 111,
+    camSwitch: "vvt",
+    camCrossoverRpm: 3500,
+    rodLengthMm: 139.0,
+    pistonMassG: 290,
+    rodMassG: 480,
+    limitPcpBar: 150,
+    limitRodKn: 85,
+    limitBearingMpa: 88,
+    headClampKn: 165,
+  },
+  k24z7: {
+    engineMode: "gas_na",
+    cylinders: 4,
+    boreMm: 87.0,
+    strokeMm: 99.0,
+    compRatio: 11.0,
+    redline: 7500,
+    vePeak: 100,
+    sizePenalty: 3,
+    pistonSpeedLimit: 25,
+    boostPsi: 0,
+    valvetrainType: "dohc",
+    valvesPerCyl: 4,
+    camIntakeDur: 226,
+    camExhaustDur: 216,
+    camLiftMm: 10.8,
+    camLsa: 114,
+    camIcl: 110,
+    camSwitch: "vtec",
+    camCrossoverRpm: 5000,
+    rodLengthMm: 152.0,
+  },
+  coyote50: {
+    engineMode: "gas_na",
+    cylinders: 8,
+    boreMm: 92.2,
+    strokeMm: 92.7,
+    compRatio: 11.0,
+    redline: 7000,
+    vePeak: 100,
+    sizePenalty: 3,
+    pistonSpeedLimit: 25,
+    boostPsi: 0,
+    valvetrainType: "dohc",
+    valvesPerCyl: 4,
+    camIntakeDur: 232,
+    camExhaustDur: 230,
+    camLiftMm: 12.0,
+    camLsa: 116,
+    camIcl: 112,
+    camSwitch: "vvt",
+    camCrossoverRpm: 3500,
+    rodLengthMm: 150.7,
+  },
+  ls3: {
+    engineMode: "gas_na",
+    cylinders: 8,
+    boreMm: 103.25,
+    strokeMm: 92.0,
+    compRatio: 10.7,
+    redline: 6600,
+    vePeak: 95,
+    sizePenalty: 4,
+    pistonSpeedLimit: 24,
+    boostPsi: 0,
+    valvetrainType: "pushrod",
+    valvesPerCyl: 2,
+    camIntakeDur: 204,
+    camExhaustDur: 211,
+    camLiftMm: 13.9,
+    camLsa: 117,
+    camIcl: 113,
+    camSwitch: "none",
+    camCrossoverRpm: 5000,
+    rodLengthMm: 154.0,
+  },
+  l15b7: {
+    engineMode: "gas_turbo",
+    cylinders: 4,
+    boreMm: 73.0,
+    strokeMm: 89.5,
+    compRatio: 10.6,
+    redline: 6500,
+    vePeak: 100,
+    sizePenalty: 3,
+    pistonSpeedLimit: 25,
+    boostPsi: 16,
+    valvetrainType: "dohc",
+    valvesPerCyl: 4,
+    camIntakeDur: 214,
+    camExhaustDur: 210,
+    camLiftMm: 9.5,
+    camLsa: 112,
+    camIcl: 122,
+    camSwitch: "vvt",
+    camCrossoverRpm: 3000,
+    rodLengthMm: 134.0,
+    limitPcpBar: 135,
+  },
+  cummins67: {
+    engineMode: "diesel_turbo",
+    cylinders: 6,
+    boreMm: 107.0,
+    strokeMm: 124.0,
+    compRatio: 16.5,
+    redline: 3600,
+    vePeak: 95,
+    sizePenalty: 2,
+    pistonSpeedLimit: 20,
+    boostPsi: 26,
+    valvetrainType: "sohc",
+    valvesPerCyl: 4,
+    camIntakeDur: 196,
+    camExhaustDur: 204,
+    camLiftMm: 11.0,
+    camLsa: 114,
+    camIcl: 112,
+    camSwitch: "none",
+    camCrossoverRpm: 2500,
+    rodLengthMm: 192.0,
+    // a truck's charge-air cooler is big for the flow; at the 70 % default
+    // 26 psi comes out of it at 68 °C
+    intercoolerEff: 75,
+    pistonMassG: 1750,
+    rodMassG: 2400,
+    limitPcpBar: 275,
+    limitRodKn: 245,
+    limitBearingMpa: 100,
+    headClampKn: 380,
+  },
+  // ported engines: no bore / stroke (rotary) or valvetrain; the speed
+  // limit on a rotary is the apex-seal speed
+  mazda13brew: {
+    engineMode: "gas_turbo",
+    engineCycle: "rotary",
+    rotorCount: 2,
+    rotorChamberCc: 654,
+    rotorRadiusMm: 105,
+    compRatio: 9.0,
+    redline: 8000,
+    vePeak: 100,
+    sizePenalty: 0,
+    pistonSpeedLimit: 36,
+    boostPsi: 10,
+    camSwitch: "none",
+  },
+  renesis13b: {
+    engineMode: "gas_na",
+    engineCycle: "rotary",
+    rotorCount: 2,
+    rotorChamberCc: 654,
+    rotorRadiusMm: 105,
+    compRatio: 10.0,
+    redline: 9000,
+    vePeak: 100,
+    sizePenalty: 0,
+    pistonSpeedLimit: 36,
+    boostPsi: 0,
+    camSwitch: "none",
+  },
+  mx250: {
+    engineMode: "gas_na",
+    engineCycle: "two_stroke",
+    cylinders: 1,
+    boreMm: 66.4,
+    strokeMm: 72.0,
+    compRatio: 9.5,
+    redline: 9500,
+    vePeak: 100,
+    sizePenalty: 0,
+    pistonSpeedLimit: 25,
+    boostPsi: 0,
+    pipeRpm: 8000,
+    camSwitch: "none",
+  },
+};
+
+// Keys that describe the engine itself rather than the run: a built-in
+// preset sets them, and presets without them put back DEFAULT_CONFIG, so
+// nothing from the previous engine (a VE table, a CR stack, forged
+// internals, a rotary's rotors, a bigger intercooler) carries over onto the
+// new one.
+const PRESET_ENGINE_KEYS = [
+  "curveSource", "veTable", "boostTable", "intercooler", "intercoolerEff",
+  "crSource", "deckClearanceMm", "chamberCc", "gasketBoreMm", "gasketThicknessMm", "pistonCc", "ivcAbdc",
+  "internals", "pistonMassG", "rodMassG", "limitPcpBar", "limitRodKn", "limitBearingMpa", "headClampKn",
+  "engineCycle", "rotorCount", "rotorChamberCc", "rotorRadiusMm", "pipeRpm",
+];
+
+function presetEngineConfig(preset) {
+  return Object.fromEntries(PRESET_ENGINE_KEYS.map((k) => [k, k in preset ? preset[k] : DEFAULT_CONFIG[k]]));
+}
+/* =========================================================================
+   EXPORTS
+   ========================================================================= */
+
+const EngineCore = {
+  hpFromTorque,
+  createRpmRange,
+  litersFromBoreStroke,
+  litersToCID,
+  bmepPsiFromTorque,
+  torqueFromBmepBar,
+  cfmAtRpm,
+  meanPistonSpeed,
+  ENGINE_CYCLES,
+  engineCycleDef,
+  revsPerCycle,
+  sweptDisplacementL,
+  apexSealSpeed,
+  getBsfc,
+  getFuelDensityLbPerGal,
+  getModeConfig,
+  getEffectiveBoostAndCompFactor,
+  parseRpmTable,
+  unreadRpmTableLines,
+  formatRpmTable,
+  interpolateTable,
+  curveTablesFromModel,
+  REFERENCE_CAM,
+  CAM_SWITCHES,
+  camOverlapDeg,
+  intakeValveClosingAbdc,
+  dynamicCompressionRatio,
+  camCurveShape,
+  camSummary,
+  staticCompressionRatio,
+  pistonKinematics,
+  engineGeometry,
+  CHEN_FLYNN,
+  pumpingMepBar,
+  frictionMepBar,
+  indicatedEfficiency,
+  brakeEfficiency,
+  partLoadPoint,
+  wotOperatingPoints,
+  bsfcMap,
+  operatingMap,
+  OPERATING_MAP_LOADS,
+  OPERATING_MAP_QUANTITIES,
+  OPERATING_MAP_LOAD_LABELS,
+  contourSegments,
+  CC_MIN_PER_LB_HR,
+  INJECTOR_SIZES_CC,
+  injectorFlowCcMin,
+  pumpFlowAtPressure,
+  fuelSystemSizing,
+  STOICH_AFR,
+  wotLambda,
+  exhaustGasTempC,
+  noxIndex,
+  smokeFsn,
+  airMassKgMin,
+  exhaustState,
+  dieselExhaustAt,
+  dieselFuelLimitFrac,
+  STOCK_STRESS_LIMITS,
+  FORGED_FACTOR,
+  RISK_BANDS,
+  riskBand,
+  estimatePistonMassG,
+  stressLimits,
+  peakCylinderPressureBar,
+  componentStress,
+  COMPRESSOR_MAPS,
+  parseCompressorMap,
+  resolveCompressorMap,
+  compressorEfficiencyAt,
+  matchCompressor,
+  INTERCOOLERS,
+  REFERENCE_CHARGE,
+  chargeAirState,
+  densityEquivalentBoostPsi,
+  baroKpaFromAltitude,
+  environmentState,
+  CORRECTION_STANDARDS,
+  correctionFactor,
+  environmentTorqueFactor,
+  altitudeBoostPsi,
+  FUEL_GRADES,
+  octaneRequirement,
+  mbtAdvance,
+  sparkTiming,
+  simulateGasolineNa,
+  spoolFracAtBoost,
+  simulateGasolineTurbo,
+  simulateGasolineSupercharged,
+  simulateDieselTurbo,
+  simulateMethanol,
+  TWO_STROKE_SHAPE,
+  ROTARY_SHAPE,
+  simulateTwoStroke,
+  simulateRotary,
+  E_MOTOR_EFF,
+  E_MOTOR_BASE_RPM,
+  eAssistCurve,
+  compressorPowerKw,
+  eTurboBoostCurve,
+  hybridResult,
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  diagnoseInputs,
+  diagnosePistonSpeed,
+  diagnoseCompressor,
+  diagnoseCharge,
+  diagnoseKnock,
+  diagnoseCam,
+  diagnoseGeometry,
+  diagnosePistonAccel,
+  diagnoseCurveTables,
+  simulateEngine,
+  summarizeResult,
+  interpolateAtRpm,
+  compareRuns,
+  parseCsvRows,
+  guessDynoColumns,
+  parseDynoCsv,
+  dynoError,
+  calibrateToDyno,
+  DEFAULT_VEHICLE,
+  tyreDiameterFromSize,
+  normalizeVehicle,
+  optimalShiftPoints,
+  simulateVehicle,
+  tractiveForceCurves,
+  tractionEnvelope,
+  compareGearing,
+  UNIT_DEFS,
+  IMPERIAL_UNITS,
+  metricUnits,
+  unitLabel,
+  convertUnit,
+  toBaseUnit,
+  EXPORT_COLUMNS,
+  resultToRows,
+  resultToCsv,
+  operatingMapToCsv,
+  resultToJson,
+  PRESETS,
+  PRESET_ENGINE_KEYS,
+  presetEngineConfig,
+};
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = EngineCore;
+}
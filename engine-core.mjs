@@ -0,0 +1,154 @@
+// engine-core.mjs – ES module entry for the headless simulation core.
+// engine-core.js stays a plain script so the browser can load it without a
+// bundler; Node hands its CommonJS exports to us as the default import.
+
+import EngineCore from "./engine-core.js";
+
+export const {
+  hpFromTorque,
+  createRpmRange,
+  litersFromBoreStroke,
+  litersToCID,
+  bmepPsiFromTorque,
+  torqueFromBmepBar,
+  cfmAtRpm,
+  meanPistonSpeed,
+  ENGINE_CYCLES,
+  engineCycleDef,
+  revsPerCycle,
+  sweptDisplacementL,
+  apexSealSpeed,
+  getBsfc,
+  getFuelDensityLbPerGal,
+  getModeConfig,
+  getEffectiveBoostAndCompFactor,
+  parseRpmTable,
+  unreadRpmTableLines,
+  formatRpmTable,
+  interpolateTable,
+  curveTablesFromModel,
+  REFERENCE_CAM,
+  CAM_SWITCHES,
+  camOverlapDeg,
+  intakeValveClosingAbdc,
+  dynamicCompressionRatio,
+  camCurveShape,
+  camSummary,
+  staticCompressionRatio,
+  pistonKinematics,
+  engineGeometry,
+  CHEN_FLYNN,
+  pumpingMepBar,
+  frictionMepBar,
+  indicatedEfficiency,
+  brakeEfficiency,
+  partLoadPoint,
+  wotOperatingPoints,
+  bsfcMap,
+  operatingMap,
+  OPERATING_MAP_LOADS,
+  OPERATING_MAP_QUANTITIES,
+  OPERATING_MAP_LOAD_LABELS,
+  contourSegments,
+  CC_MIN_PER_LB_HR,
+  INJECTOR_SIZES_CC,
+  injectorFlowCcMin,
+  pumpFlowAtPressure,
+  fuelSystemSizing,
+  STOICH_AFR,
+  wotLambda,
+  exhaustGasTempC,
+  noxIndex,
+  smokeFsn,
+  airMassKgMin,
+  exhaustState,
+  dieselExhaustAt,
+  dieselFuelLimitFrac,
+  STOCK_STRESS_LIMITS,
+  FORGED_FACTOR,
+  RISK_BANDS,
+  riskBand,
+  estimatePistonMassG,
+  stressLimits,
+  peakCylinderPressureBar,
+  componentStress,
+  COMPRESSOR_MAPS,
+  parseCompressorMap,
+  resolveCompressorMap,
+  compressorEfficiencyAt,
+  matchCompressor,
+  INTERCOOLERS,
+  REFERENCE_CHARGE,
+  chargeAirState,
+  densityEquivalentBoostPsi,
+  baroKpaFromAltitude,
+  environmentState,
+  CORRECTION_STANDARDS,
+  correctionFactor,
+  environmentTorqueFactor,
+  altitudeBoostPsi,
+  FUEL_GRADES,
+  octaneRequirement,
+  mbtAdvance,
+  sparkTiming,
+  simulateGasolineNa,
+  spoolFracAtBoost,
+  simulateGasolineTurbo,
+  simulateGasolineSupercharged,
+  simulateDieselTurbo,
+  simulateMethanol,
+  TWO_STROKE_SHAPE,
+  ROTARY_SHAPE,
+  simulateTwoStroke,
+  simulateRotary,
+  E_MOTOR_EFF,
+  E_MOTOR_BASE_RPM,
+  eAssistCurve,
+  compressorPowerKw,
+  eTurboBoostCurve,
+  hybridResult,
+  DEFAULT_CONFIG,
+  normalizeConfig,
+  diagnoseInputs,
+  diagnosePistonSpeed,
+  diagnoseCompressor,
+  diagnoseCharge,
+  diagnoseKnock,
+  diagnoseCam,
+  diagnoseGeometry,
+  diagnosePistonAccel,
+  diagnoseCurveTables,
+  simulateEngine,
+  summarizeResult,
+  interpolateAtRpm,
+  compareRuns,
+  parseCsvRows,
+  guessDynoColumns,
+  parseDynoCsv,
+  dynoError,
+  calibrateToDyno,
+  DEFAULT_VEHICLE,
+  tyreDiameterFromSize,
+  normalizeVehicle,
+  optimalShiftPoints,
+  simulateVehicle,
+  tractiveForceCurves,
+  tractionEnvelope,
+  compareGearing,
+  UNIT_DEFS,
+  IMPERIAL_UNITS,
+  metricUnits,
+  unitLabel,
+  convertUnit,
+  toBaseUnit,
+  EXPORT_COLUMNS,
+  resultToRows,
+  resultToCsv,
+  operatingMapToCsv,
+  resultToJson,
+  PRESETS,
+  PRESET_ENGINE_KEYS,
+  presetEngineConfig,
+} = EngineCore;
+
+export default EngineCore;
@@ -1,7 +1,37 @@
 // script.js – Engine Simulator v4
 // BMEP → Torque → Horsepower, mode-first design
+// Browser UI only – the physics lives in engine-core.js (loaded first).
 
 let powerChart = null;
+let accelChart = null;
+let gearChart = null;
+let compressorChart = null;
+let veTableChart = null;
+let lossChart = null;
+let bsfcChart = null;
+let lastResult = null;   // most recent simulateEngine() output
+let lastOperatingMap = null;   // operatingMap() of lastResult
+let lastVehicleResult = null;
+let lastGearingResult = null;
+
+// Runs pinned for overlay: { id, name, color, result }
+const pinnedRuns = [];
+let baselineRunId = null;
+let nextRunId = 1;
+
+const RUN_COLORS = ["#f97316", "#22c55e", "#a855f7", "#eab308", "#ec4899", "#14b8a6"];
+
+// { system, metricPower, metricAirflow, boost } – see UNITS section
+let unitPrefs = null;
+
+// compressor map loaded from a JSON file ("custom" in the select)
+let customCompressorMap = null;
+
+// dyno pull loaded from CSV: raw text plus the parsed pull (base units),
+// and the last calibrateToDyno() output waiting to be applied
+let dynoText = null;
+let dynoPull = null;
+let lastCalibration = null;
 
 /* =========================================================================
    BOOTSTRAP
@@ -10,18 +40,43 @@ let powerChart = null;
 document.addEventListener("DOMContentLoaded", () => {
   console.log("Engine Simulator v4 loaded");
 
+  // units first – the boost field and labels depend on them
+  initUnitControls();
+
   const form = document.getElementById("engine-form");
   if (form) {
     form.addEventListener("submit", onFormSubmit);
   }
 
   // geometry → displacement
-  ["boreMm", "strokeMm", "cylinders"].forEach((id) => {
+  ["boreMm", "strokeMm", "cylinders", "rotorCount", "rotorChamberCc"].forEach((id) => {
     const el = document.getElementById(id);
     if (el) el.addEventListener("input", updateDisplacementFromGeometry);
   });
   updateDisplacementFromGeometry();
 
+  // cycle → bore / stroke or rotor fields
+  const cycleSelect = document.getElementById("engineCycle");
+  if (cycleSelect) {
+    cycleSelect.addEventListener("change", () => {
+      updateCycleFields();
+      updateDisplacementFromGeometry();
+      updateGeometryInfo();
+    });
+  }
+  updateCycleFields();
+
+  // rods / deck / chamber → CR, rod ratio and piston motion readout
+  [
+    "boreMm", "strokeMm", "compressionRatio", "redlineRpm", "rodLengthMm", "deckClearanceMm",
+    "chamberCc", "gasketBoreMm", "gasketThicknessMm", "pistonCc", "ivcAbdc", "crSource",
+    "camIntakeDur", "camIcl", "rotorRadiusMm",
+  ].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("input", updateGeometryInfo);
+  });
+  updateGeometryInfo();
+
   // mode change → sensible defaults
   const modeSelect = document.getElementById("engineMode");
   if (modeSelect) {
@@ -36,133 +91,141 @@ document.addEventListener("DOMContentLoaded", () => {
   if (presetSelect) {
     presetSelect.addEventListener("change", () => {
       applyPreset(presetSelect.value);
+      updateUserPresetButtons();
     });
   }
 
-  initChart();
-});
-
-/* =========================================================================
-   BASIC MATH HELPERS
-   ========================================================================= */
-
-function hpFromTorque(tqLbFt, rpm) {
-  return (tqLbFt * rpm) / 5252;
-}
-
-function createRpmRange(redline, step, idle = 1000) {
-  const maxRpm = Math.max(redline || 6000, idle + step);
-  const arr = [];
-  for (let r = idle; r <= maxRpm; r += step) arr.push(r);
-  return arr;
-}
-
-function litersFromBoreStroke(boreMm, strokeMm, cylinders) {
-  if (!boreMm || !strokeMm || !cylinders) return 0;
-  const boreCm = boreMm / 10;
-  const strokeCm = strokeMm / 10;
-  const cylVolCc = (Math.PI / 4) * boreCm * boreCm * strokeCm;
-  const totalCc = cylVolCc * cylinders;
-  return totalCc / 1000;
-}
-
-function litersToCID(liters) {
-  return liters * 61.023744;
-}
-
-function bmepPsiFromTorque(torqueLbFt, displacementL) {
-  if (!displacementL || displacementL <= 0) return 0;
-  // BMEP(psi) ≈ 150.8 * T(lb-ft) / Vd(L)
-  return (150.8 * torqueLbFt) / displacementL;
-}
-
-function torqueFromBmepBar(bmepBar, displacementL) {
-  if (!displacementL || displacementL <= 0) return 0;
-  const Vd_m3 = displacementL / 1000;  // L → m^3
-  const bmepPa = bmepBar * 1e5;       // bar → Pa
-  const torqueNm = (bmepPa * Vd_m3) / (4 * Math.PI);
-  const torqueLbFt = torqueNm / 1.35581795;
-  return torqueLbFt;
-}
+  // user presets
+  renderUserPresetOptions();
+  const presetHandlers = {
+    savePresetBtn: saveCurrentAsPreset,
+    renamePresetBtn: renameSelectedPreset,
+    deletePresetBtn: deleteSelectedPreset,
+    exportPresetsBtn: exportUserPresets,
+  };
+  for (const [id, handler] of Object.entries(presetHandlers)) {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", handler);
+  }
+  const importInput = document.getElementById("importPresetsInput");
+  const importBtn   = document.getElementById("importPresetsBtn");
+  if (importInput && importBtn) {
+    importBtn.addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", () => {
+      if (importInput.files.length) importUserPresets(importInput.files[0]);
+      importInput.value = "";
+    });
+  }
 
-function cfmAtRpm(displacementL, rpm, veFrac) {
-  const dispCID = litersToCID(displacementL);
-  const cfm100 = (dispCID * rpm) / 3456;
-  return cfm100 * veFrac;
-}
+  // run comparison
+  const pinBtn = document.getElementById("pinRunBtn");
+  if (pinBtn) pinBtn.addEventListener("click", pinCurrentRun);
 
-function meanPistonSpeed(strokeMm, rpm) {
-  if (!strokeMm || strokeMm <= 0) return 0;
-  const strokeM = strokeMm / 1000;
-  return (2 * strokeM * rpm) / 60;
-}
+  // exports
+  const exportHandlers = {
+    exportCsvBtn: exportCsv,
+    exportJsonBtn: exportJson,
+    exportPngBtn: exportPng,
+    exportMapCsvBtn: exportOperatingMapCsv,
+  };
+  for (const [id, handler] of Object.entries(exportHandlers)) {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", handler);
+  }
 
-/* =========================================================================
-   FUEL & BSFC
-   ========================================================================= */
+  initChart();
+  initLossChart();
+  initBsfcChart();
+
+  const opMapSelect = document.getElementById("opMapQuantity");
+  if (opMapSelect) opMapSelect.addEventListener("change", updateOperatingMap);
+
+  // compressor maps
+  const mapInput = document.getElementById("compressorMapInput");
+  const mapBtn   = document.getElementById("loadCompressorMapBtn");
+  if (mapInput && mapBtn) {
+    mapBtn.addEventListener("click", () => mapInput.click());
+    mapInput.addEventListener("change", () => {
+      if (mapInput.files.length) loadCompressorMapFile(mapInput.files[0]);
+      mapInput.value = "";
+    });
+  }
+  initCompressorChart();
 
-function getBsfc(fuelType, inductionType) {
-  // Crude but “reasonable” BSFC bands
-  if (fuelType === "diesel") {
-    return inductionType === "na" ? 0.40 : 0.38;
+  // VE / boost tables
+  const curveSelect = document.getElementById("curveSource");
+  if (curveSelect) curveSelect.addEventListener("change", updateVeTableEditor);
+  ["veTable", "boostTable"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("input", updateVeTableEditor);
+  });
+  const fillBtn = document.getElementById("fillTablesBtn");
+  if (fillBtn) fillBtn.addEventListener("click", fillTablesFromRun);
+  initVeTableChart();
+
+  // dyno data & calibration
+  const dynoInput = document.getElementById("dynoInput");
+  const dynoBtn   = document.getElementById("loadDynoBtn");
+  if (dynoInput && dynoBtn) {
+    dynoBtn.addEventListener("click", () => dynoInput.click());
+    dynoInput.addEventListener("change", () => {
+      if (dynoInput.files.length) loadDynoFile(dynoInput.files[0]);
+      dynoInput.value = "";
+    });
   }
-  if (fuelType === "methanol") {
-    return inductionType === "na" ? 0.70 : 0.75;
+  ["dynoRpmCol", "dynoPowerCol", "dynoPowerUnit", "dynoTorqueCol", "dynoTorqueUnit"].forEach((id) => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener("change", parseDynoFromForm);
+  });
+  const basisSelect = document.getElementById("dynoBasis");
+  if (basisSelect) basisSelect.addEventListener("change", updateDynoReport);
+  const dynoHandlers = {
+    calibrateDynoBtn: runCalibration,
+    applyCalibrationBtn: applyCalibration,
+    saveCalibrationBtn: saveCalibrationAsPreset,
+    clearDynoBtn: clearDyno,
+  };
+  for (const [id, handler] of Object.entries(dynoHandlers)) {
+    const btn = document.getElementById(id);
+    if (btn) btn.addEventListener("click", handler);
   }
-  // gasoline
-  if (inductionType === "na") return 0.50;
-  return 0.60;
-}
 
-function getFuelDensityLbPerGal(fuelType) {
-  switch (fuelType) {
-    case "diesel":
-      return 7.1;
-    case "methanol":
-      return 6.6;
-    default:
-      return 6.2; // gasoline
+  // intercooler type → typical effectiveness
+  const coolerSelect = document.getElementById("intercooler");
+  const coolerEffEl  = document.getElementById("intercoolerEff");
+  if (coolerSelect && coolerEffEl) {
+    coolerSelect.addEventListener("change", () => {
+      const cooler = INTERCOOLERS[coolerSelect.value];
+      if (cooler) coolerEffEl.value = Math.round(cooler.effectiveness * 100);
+    });
   }
-}
-
-/* =========================================================================
-   MODE CONFIG (FUEL TYPE, REFERENCE BMEP)
-   ========================================================================= */
 
-function getModeConfig(engineMode) {
-  switch (engineMode) {
-    case "gas_na":
-      return {
-        fuelType: "gasoline",
-        bmepRefBar: 13,   // decent NA gas
-      };
-    case "gas_turbo":
-      return {
-        fuelType: "gasoline",
-        bmepRefBar: 20,   // good turbo gas
-      };
-    case "gas_sc":
-      return {
-        fuelType: "gasoline",
-        bmepRefBar: 19,   // SC gas
-      };
-    case "diesel_turbo":
-      return {
-        fuelType: "diesel",
-        bmepRefBar: 24,   // boosted diesel
-      };
-    case "methanol_race":
-      return {
-        fuelType: "methanol",
-        bmepRefBar: 18,   // hot NA/turbo methanol
-      };
-    default:
-      return {
-        fuelType: "gasoline",
-        bmepRefBar: 13,
-      };
+  // vehicle acceleration
+  const vehicleForm = document.getElementById("vehicle-form");
+  if (vehicleForm) {
+    vehicleForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!lastResult) runSimulation();
+      else updateVehicle();
+    });
   }
-}
+  initAccelChart();
+
+  // gearing optimizer
+  const gearingForm = document.getElementById("gearing-form");
+  if (gearingForm) {
+    gearingForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      if (!lastResult) runSimulation();
+      else updateGearing();
+    });
+  }
+  initGearChart();
+
+  // shared links: #v=1&engineMode=... fills the form and runs straight away
+  loadConfigFromUrl();
+  window.addEventListener("hashchange", loadConfigFromUrl);
+});
 
 /* =========================================================================
    MODE-BASED DEFAULTS (UX)
@@ -187,7 +250,7 @@ function applyModeDefaults(mode) {
     veEl.value = 95;
     sizePenEl.value = 3;
     pistEl.value = 25;
-    boostEl.value = 0;
+    setBoostInputPsi(0);
     if (vtEl) vtEl.value = "dohc";
     if (valvesEl) valvesEl.value = "4";
   } else if (mode === "gas_turbo") {
@@ -196,7 +259,7 @@ function applyModeDefaults(mode) {
     veEl.value = 100;
     sizePenEl.value = 3;
     pistEl.value = 25;
-    boostEl.value = 18;
+    setBoostInputPsi(18);
     if (vtEl) vtEl.value = "dohc";
     if (valvesEl) valvesEl.value = "4";
   } else if (mode === "gas_sc") {
@@ -205,7 +268,7 @@ function applyModeDefaults(mode) {
     veEl.value = 100;
     sizePenEl.value = 3;
     pistEl.value = 24;
-    boostEl.value = 10;
+    setBoostInputPsi(10);
     if (vtEl) vtEl.value = "sohc";
     if (valvesEl) valvesEl.value = "4";
   } else if (mode === "diesel_turbo") {
@@ -214,7 +277,7 @@ function applyModeDefaults(mode) {
     veEl.value = 95;
     sizePenEl.value = 2;
     pistEl.value = 20;
-    boostEl.value = 25;
+    setBoostInputPsi(25);
     if (vtEl) vtEl.value = "sohc";
     if (valvesEl) valvesEl.value = "4";
   } else if (mode === "methanol_race") {
@@ -223,7 +286,7 @@ function applyModeDefaults(mode) {
     veEl.value = 105;
     sizePenEl.value = 1;
     pistEl.value = 28;
-    boostEl.value = 20;
+    setBoostInputPsi(20);
     if (vtEl) vtEl.value = "dohc";
     if (valvesEl) valvesEl.value = "4";
     if (methIndEl) methIndEl.value = "na";
@@ -231,603 +294,135 @@ function applyModeDefaults(mode) {
 }
 
 /* =========================================================================
-   COMPRESSION / BOOST INTERACTION
-   ========================================================================= */
-
-function getEffectiveBoostAndCompFactor(fuelType, inductionType, compRatio, boostPsi) {
-  let effBoostPsi = boostPsi;
-  let compFactor  = 1.0;
-
-  if (fuelType === "gasoline") {
-    if (inductionType === "na") {
-      const ideal = 10.8;
-      const delta = compRatio - ideal;
-      compFactor = 1 - 0.01 * delta * delta;
-      compFactor = Math.max(0.9, Math.min(compFactor, 1.05));
-      effBoostPsi = 0;
-    } else {
-      // Turbo / SC gas – crude knock-limited behavior
-      const idealCr  = 9.5;
-      const deltaCr  = compRatio - idealCr;
-      compFactor     = 1 - 0.015 * Math.abs(deltaCr);
-      compFactor     = Math.max(0.85, Math.min(compFactor, 1.02));
-
-      const baseSafe = inductionType === "turbo" ? 22 : 18;
-      const safeBoostPsi = Math.max(0, baseSafe - 5 * Math.max(0, compRatio - idealCr));
-      effBoostPsi = Math.min(boostPsi, safeBoostPsi);
-    }
-  } else if (fuelType === "diesel") {
-    const ideal = 17;
-    const delta = compRatio - ideal;
-    compFactor = 1 - 0.01 * Math.abs(delta);
-    compFactor = Math.max(0.9, Math.min(compFactor, 1.05));
-    effBoostPsi = boostPsi;
-  } else if (fuelType === "methanol") {
-    const ideal = 13.5;
-    const delta = compRatio - ideal;
-    compFactor = 1 + 0.01 * delta;
-    compFactor = Math.max(0.9, Math.min(compFactor, 1.1));
-    effBoostPsi = boostPsi;
-  }
-
-  return { effBoostPsi, compFactor };
-}
-
-/* =========================================================================
-   GASOLINE – NA
-   ========================================================================= */
-
-function simulateGasolineNa(rpmRange, cfg, bmepRefBar) {
-  const {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    valvetrainType,
-    valvesPerCyl,
-    compRatio,
-    boreMm,
-    strokeMm,
-  } = cfg;
-
-  let basePeakBmepBar = bmepRefBar; // ~13 bar baseline
-
-  // Tech factor – valvetrain & valves
-  let techFactor = 1.0;
-  if (valvetrainType === "pushrod") techFactor *= 0.95;
-  if (valvetrainType === "sohc")    techFactor *= 1.00;
-  if (valvetrainType === "dohc")    techFactor *= 1.05;
-  if (valvesPerCyl === 2)           techFactor *= 0.95;
-  if (valvesPerCyl === 4)           techFactor *= 1.05;
-
-  // Size factor – bigger NA engines usually lower hp/L
-  let sizeFactor = 1.0;
-  if (displacementL > 2 && sizePenalty > 0) {
-    const penalty = (sizePenalty / 100) * (displacementL - 2);
-    sizeFactor = Math.max(0.75, 1 - penalty);
-  }
-
-  // VE factor around NA baseline
-  const veFactor = (vePeak / 100) / 0.95;
-
-  // Compression factor
-  const idealCr = 10.8;
-  const deltaCr = compRatio - idealCr;
-  let crFactor = 1 - 0.01 * deltaCr * deltaCr;
-  crFactor = Math.max(0.9, Math.min(crFactor, 1.05));
-
-  // Stroke bias – long stroke = more low, less high
-  const boreStrokeRatio = boreMm > 0 && strokeMm > 0 ? boreMm / strokeMm : 1.0;
-  let lowRpmBias = 1.0;
-  let highRpmBias = 1.0;
-  if (boreStrokeRatio < 0.95) {
-    // long stroke
-    lowRpmBias  = 1.05;
-    highRpmBias = 0.95;
-  } else if (boreStrokeRatio > 1.05) {
-    // oversquare
-    lowRpmBias  = 0.95;
-    highRpmBias = 1.05;
-  }
-
-  const peakBmepBar =
-    basePeakBmepBar * techFactor * sizeFactor * veFactor * crFactor;
-
-  // Position of peak torque
-  let ratioPeakTq;
-  if (valvetrainType === "pushrod") ratioPeakTq = 0.55;
-  else if (valvetrainType === "sohc") ratioPeakTq = 0.65;
-  else ratioPeakTq = 0.70;
-
-  if (valvesPerCyl === 2) ratioPeakTq -= 0.05;
-  if (valvesPerCyl === 4) ratioPeakTq += 0.03;
-
-  // apply bore/stroke bias
-  ratioPeakTq *= boreStrokeRatio < 1 ? 0.95 : 1.05;
-  ratioPeakTq = Math.max(0.45, Math.min(ratioPeakTq, 0.8));
-
-  const rpmPeakTq = ratioPeakTq * redline;
-  const rpmMin    = rpmRange[0];
-  const rpmMax    = rpmRange[rpmRange.length - 1];
-
-  const bmepBarArr = [];
-  const torqueArr  = [];
-  const hpArr      = [];
-
-  for (const rpm of rpmRange) {
-    let frac;
-
-    if (rpm <= rpmPeakTq) {
-      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
-      const lowBase = 0.40 * lowRpmBias;
-      const exp =
-        valvetrainType === "pushrod" ? 0.75 :
-        valvetrainType === "sohc"    ? 0.90 : 1.05;
-      frac = lowBase + (1 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
-    } else {
-      const x = (rpm - rpmPeakTq) / (rpmMax - rpmPeakTq);
-      const exp =
-        valvetrainType === "pushrod" ? 1.35 :
-        valvetrainType === "sohc"    ? 1.15 : 1.05;
-      const highFloor = 0.30 * highRpmBias;
-      frac = 1 - (1 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
-    }
-
-    const bmepBar = peakBmepBar * frac;
-    const tq      = torqueFromBmepBar(bmepBar, displacementL);
-    const hp      = hpFromTorque(tq, rpm);
-
-    bmepBarArr.push(bmepBar);
-    torqueArr.push(tq);
-    hpArr.push(hp);
-  }
-
-  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
-}
-
-/* =========================================================================
-   GASOLINE – TURBO
-   ========================================================================= */
-
-function simulateGasolineTurbo(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor) {
-  const {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    valvetrainType,
-    valvesPerCyl,
-    boreMm,
-    strokeMm,
-  } = cfg;
-
-  // NA baseline
-  const baseNaBmepBar = 12.5;
-
-  // Valvetrain / valves tech factor
-  let techFactor = 1.0;
-  if (valvetrainType === "pushrod") techFactor *= 0.93;
-  if (valvetrainType === "sohc")    techFactor *= 1.00;
-  if (valvetrainType === "dohc")    techFactor *= 1.05;
-  if (valvesPerCyl === 2)           techFactor *= 0.95;
-  if (valvesPerCyl === 4)           techFactor *= 1.05;
-
-  // Size factor (big turbo engines still lower hp/L usually)
-  let sizeFactor = 1.0;
-  if (displacementL > 2 && sizePenalty > 0) {
-    const penalty = (sizePenalty / 100) * (displacementL - 2);
-    sizeFactor = Math.max(0.75, 1 - penalty);
-  }
-
-  // VE factor
-  const veFactor = (vePeak / 100) / 1.0; // allow >100% for turbo
-
-  // Boost → BMEP gain
-  const boostGainPerPsi = 0.45;  // ~0.45 bar BMEP per psi is high but in “fun” territory
-  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
-  boostedBmepBar = Math.min(boostedBmepBar, 22); // upper cap for typical street turbo gas
-
-  const peakBmepBar =
-    boostedBmepBar * techFactor * sizeFactor * veFactor * compFactor;
-
-  const rpmMin = rpmRange[0];
-  const rpmMax = rpmRange[rpmRange.length - 1];
-
-  // Spool & plateau
-  const spoolStart   = Math.max(rpmMin + 300, redline * 0.25);
-  const fullBoostRpm = redline * 0.45;
-  const plateauEnd   = redline * 0.75;
-
-  const boreStrokeRatio = boreMm > 0 && strokeMm > 0 ? boreMm / strokeMm : 1.0;
-
-  const bmepBarArr = [];
-  const torqueArr  = [];
-  const hpArr      = [];
-
-  for (const rpm of rpmRange) {
-    let frac;
-
-    if (rpm < spoolStart) {
-      // off-boost
-      const x = (rpm - rpmMin) / (spoolStart - rpmMin);
-      const lowBase = 0.35;
-      const exp = 0.9;
-      frac = lowBase + (0.7 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
-    } else if (rpm < fullBoostRpm) {
-      // building boost
-      const x = (rpm - spoolStart) / (fullBoostRpm - spoolStart);
-      frac = 0.7 + 0.3 * Math.max(0, Math.min(x, 1));
-    } else if (rpm <= plateauEnd) {
-      // full boost plateau – oversquare engines hold slightly better
-      let plateau = 1.0;
-      if (boreStrokeRatio > 1.05) plateau = 1.02;
-      if (boreStrokeRatio < 0.95) plateau = 0.98;
-      frac = plateau;
-    } else {
-      // high rpm fall-off
-      const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
-      const exp = 1.15;
-      const highFloor = 0.55;
-      frac = 1 - (1 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
-    }
-
-    const bmepBar = peakBmepBar * frac;
-    const tq      = torqueFromBmepBar(bmepBar, displacementL);
-    const hp      = hpFromTorque(tq, rpm);
-
-    bmepBarArr.push(bmepBar);
-    torqueArr.push(tq);
-    hpArr.push(hp);
-  }
-
-  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
-}
-
-/* =========================================================================
-   GASOLINE – SUPERCHARGED
-   ========================================================================= */
-
-function simulateGasolineSupercharged(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor) {
-  const {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    valvetrainType,
-    valvesPerCyl,
-  } = cfg;
-
-  const baseNaBmepBar = 12.5;
-
-  let techFactor = 1.0;
-  if (valvetrainType === "pushrod") techFactor *= 0.97;
-  if (valvetrainType === "dohc")    techFactor *= 1.03;
-  if (valvesPerCyl === 2)           techFactor *= 0.97;
-  if (valvesPerCyl === 4)           techFactor *= 1.03;
-
-  let sizeFactor = 1.0;
-  if (displacementL > 2 && sizePenalty > 0) {
-    const penalty = (sizePenalty / 100) * (displacementL - 2);
-    sizeFactor = Math.max(0.75, 1 - penalty);
-  }
-
-  const veFactor = (vePeak / 100) / 1.0;
-
-  const boostGainPerPsi = 0.40;
-  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
-  boostedBmepBar = Math.min(boostedBmepBar, 20);
-
-  const peakBmepBar =
-    boostedBmepBar * techFactor * sizeFactor * veFactor * compFactor;
-
-  const rpmMin = rpmRange[0];
-  const rpmMax = rpmRange[rpmRange.length - 1];
-
-  const bmepBarArr = [];
-  const torqueArr  = [];
-  const hpArr      = [];
-
-  for (const rpm of rpmRange) {
-    let frac;
-    if (rpm < 1500) {
-      const x = (rpm - rpmMin) / (1500 - rpmMin);
-      const lowBase = 0.6;
-      frac = lowBase + (0.98 - lowBase) * Math.max(0, Math.min(x, 1));
-    } else {
-      const x = (rpm - 1500) / (rpmMax - 1500);
-      const highFloor = 0.65;
-      const exp = 1.2;
-      frac = 0.98 - (0.98 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), exp);
-    }
-
-    const bmepBar = peakBmepBar * frac;
-    const tq      = torqueFromBmepBar(bmepBar, displacementL);
-    const hp      = hpFromTorque(tq, rpm);
-
-    bmepBarArr.push(bmepBar);
-    torqueArr.push(tq);
-    hpArr.push(hp);
-  }
-
-  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
-}
-
-/* =========================================================================
-   DIESEL – TURBO
+   FORM → CONFIG
    ========================================================================= */
 
-function simulateDieselTurbo(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor) {
-  const {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    compRatio,
-  } = cfg;
-
-  const baseNaBmepBar = 12;  // “NA” diesel effective baseline
-
-  const heavyDuty = displacementL >= 8.0;
-  const boostGainPerPsi = heavyDuty ? 0.45 : 0.50;
-
-  let boostedBmepBar = baseNaBmepBar + boostGainPerPsi * effBoostPsi;
-  boostedBmepBar = Math.min(boostedBmepBar, heavyDuty ? 28 : 26);
-
-  const veFactor = (vePeak / 100) / 0.95;
-
-  let sizeFactor = 1.0;
-  if (displacementL > 6 && sizePenalty > 0) {
-    const penalty = (sizePenalty / 100) * (displacementL - 6);
-    sizeFactor = Math.max(0.80, 1 - penalty);
+// Every user-editable config field and the form element that holds it.
+// displacementL is derived from geometry, so it is not listed.
+const FORM_FIELDS = [
+  { key: "engineMode",         id: "engineMode",         type: "enum"  },
+  { key: "engineCycle",        id: "engineCycle",        type: "enum"  },
+  { key: "fuelGrade",          id: "fuelGrade",          type: "enum"  },
+  { key: "cylinders",          id: "cylinders",          type: "int"   },
+  { key: "boreMm",             id: "boreMm",             type: "float" },
+  { key: "strokeMm",           id: "strokeMm",           type: "float" },
+  { key: "rotorCount",         id: "rotorCount",         type: "int"   },
+  { key: "rotorChamberCc",     id: "rotorChamberCc",     type: "float" },
+  { key: "rotorRadiusMm",      id: "rotorRadiusMm",      type: "float" },
+  { key: "pipeRpm",            id: "pipeRpm",            type: "int"   },
+  { key: "compRatio",          id: "compressionRatio",   type: "float" },
+  { key: "redline",            id: "redlineRpm",         type: "int"   },
+  { key: "rpmStep",            id: "rpmStep",            type: "int"   },
+  { key: "rodLengthMm",        id: "rodLengthMm",        type: "float" },
+  { key: "deckClearanceMm",    id: "deckClearanceMm",    type: "float" },
+  { key: "chamberCc",          id: "chamberCc",          type: "float" },
+  { key: "gasketBoreMm",       id: "gasketBoreMm",       type: "float" },
+  { key: "gasketThicknessMm",  id: "gasketThicknessMm",  type: "float" },
+  { key: "pistonCc",           id: "pistonCc",           type: "float" },
+  { key: "ivcAbdc",            id: "ivcAbdc",            type: "float" },
+  { key: "crSource",           id: "crSource",           type: "enum"  },
+  { key: "vePeak",             id: "vePeak",             type: "float" },
+  { key: "sizePenalty",        id: "sizePenalty",        type: "float" },
+  { key: "pistonSpeedLimit",   id: "pistonSpeedLimit",   type: "float" },
+  { key: "pistonAccelLimit",   id: "pistonAccelLimit",   type: "float" },
+  { key: "boostPsi",           id: "boostPsi",           type: "float", quantity: "pressure" },
+  { key: "methanolInduction",  id: "methanolInduction",  type: "enum"  },
+  { key: "compressorMap",      id: "compressorMap",      type: "enum"  },
+  { key: "compressorEff",      id: "compressorEff",      type: "float" },
+  { key: "intercooler",        id: "intercooler",        type: "enum"  },
+  { key: "intercoolerEff",     id: "intercoolerEff",     type: "float" },
+  { key: "altitudeM",          id: "altitudeM",          type: "float" },
+  { key: "baroKpa",            id: "baroKpa",            type: "float" },
+  { key: "ambientTempC",       id: "ambientTempC",       type: "float" },
+  { key: "humidityPct",        id: "humidityPct",        type: "float" },
+  { key: "correctionStandard", id: "correctionStandard", type: "enum"  },
+  { key: "curveSource",        id: "curveSource",        type: "enum"  },
+  { key: "veTable",            id: "veTable",            type: "table" },
+  { key: "boostTable",         id: "boostTable",         type: "table", quantity: "pressure" },
+  { key: "valvetrainType",     id: "valvetrainType",     type: "enum"  },
+  { key: "valvesPerCyl",       id: "valvesPerCyl",       type: "enum"  },
+  { key: "camIntakeDur",       id: "camIntakeDur",       type: "float" },
+  { key: "camExhaustDur",      id: "camExhaustDur",      type: "float" },
+  { key: "camLiftMm",          id: "camLiftMm",          type: "float" },
+  { key: "camLsa",             id: "camLsa",             type: "float" },
+  { key: "camIcl",             id: "camIcl",             type: "float" },
+  { key: "camSwitch",          id: "camSwitch",          type: "enum"  },
+  { key: "camCrossoverRpm",    id: "camCrossoverRpm",    type: "int"   },
+  { key: "injectorFlow",       id: "injectorFlow",       type: "float" },
+  { key: "injectorFlowUnit",   id: "injectorFlowUnit",   type: "enum"  },
+  { key: "injectorCount",      id: "injectorCount",      type: "int"   },
+  { key: "injectorRatedPsi",   id: "injectorRatedPsi",   type: "float" },
+  { key: "fuelPressurePsi",    id: "fuelPressurePsi",    type: "float" },
+  { key: "fuelPressureRef",    id: "fuelPressureRef",    type: "enum"  },
+  { key: "pumpFlowLph",        id: "pumpFlowLph",        type: "float" },
+  { key: "dutyCycleTarget",    id: "dutyCycleTarget",    type: "float" },
+  { key: "lambdaTarget",       id: "lambdaTarget",       type: "float" },
+  { key: "smokeLimitLambda",   id: "smokeLimitLambda",   type: "float" },
+  { key: "egtLimitC",          id: "egtLimitC",          type: "float" },
+  { key: "eMotorKw",           id: "eMotorKw",           type: "float" },
+  { key: "eMotorTorqueNm",     id: "eMotorTorqueNm",     type: "float" },
+  { key: "eMotorRatio",        id: "eMotorRatio",        type: "float" },
+  { key: "batteryKw",          id: "batteryKw",          type: "float" },
+  { key: "assistSeconds",      id: "assistSeconds",      type: "float" },
+  { key: "eTurboKw",           id: "eTurboKw",           type: "float" },
+  { key: "internals",          id: "internals",          type: "enum"  },
+  { key: "pistonMassG",        id: "pistonMassG",        type: "float" },
+  { key: "rodMassG",           id: "rodMassG",           type: "float" },
+  { key: "limitPcpBar",        id: "limitPcpBar",        type: "float" },
+  { key: "limitRodKn",         id: "limitRodKn",         type: "float" },
+  { key: "limitBearingMpa",    id: "limitBearingMpa",    type: "float" },
+  { key: "headClampKn",        id: "headClampKn",        type: "float" },
+];
+
+// Returns the value the field would accept, or null if `raw` is unusable
+// (unknown option, not a number, outside the input's min/max). An empty
+// table is valid and means "no table".
+function validateFieldValue(field, raw) {
+  const el = document.getElementById(field.id);
+  if (!el || raw === undefined || raw === null) return null;
+
+  if (field.type === "table") {
+    const str = String(raw).trim();
+    return str === "" || parseRpmTable(str) ? str : null;
   }
+  if (raw === "") return null;
 
-  const idealCr = 17;
-  const deltaCr = compRatio - idealCr;
-  let crFactor = 1 - 0.01 * Math.abs(deltaCr);
-  crFactor = Math.max(0.9, Math.min(crFactor, 1.05));
-
-  const peakBmepBar =
-    boostedBmepBar * veFactor * sizeFactor * crFactor * compFactor;
-
-  const rpmMin = rpmRange[0];
-  const rpmMax = rpmRange[rpmRange.length - 1];
-  const rpmPeakTq  = heavyDuty ? redline * 0.35 : redline * 0.4;
-  const plateauEnd = heavyDuty ? redline * 0.55 : redline * 0.6;
-
-  const bmepBarArr = [];
-  const torqueArr  = [];
-  const hpArr      = [];
-
-  for (const rpm of rpmRange) {
-    let frac;
-    if (rpm <= rpmPeakTq) {
-      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
-      const lowBase = 0.6;
-      frac = lowBase + (1 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), 0.7);
-    } else if (rpm <= plateauEnd) {
-      const x = (rpm - rpmPeakTq) / (plateauEnd - rpmPeakTq);
-      frac = 1 - 0.05 * Math.max(0, Math.min(x, 1));  // gentle sag
-    } else {
-      const x = (rpm - plateauEnd) / (rpmMax - plateauEnd);
-      const highFloor = 0.55;
-      frac = 0.95 - (0.95 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), 1.1);
-    }
-
-    const bmepBar = peakBmepBar * frac;
-    const tq      = torqueFromBmepBar(bmepBar, displacementL);
-    const hp      = hpFromTorque(tq, rpm);
-
-    bmepBarArr.push(bmepBar);
-    torqueArr.push(tq);
-    hpArr.push(hp);
+  if (field.type === "enum") {
+    const str = String(raw);
+    return [...el.options].some((o) => o.value === str) ? str : null;
   }
 
-  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
+  const num = field.type === "int" ? parseInt(raw, 10) : parseFloat(raw);
+  if (!Number.isFinite(num)) return null;
+  if (el.min !== "" && num < parseFloat(el.min)) return null;
+  if (el.max !== "" && num > parseFloat(el.max)) return null;
+  return num;
 }
 
-/* =========================================================================
-   METHANOL – RACE (NA / TURBO)
-   ========================================================================= */
-
-function simulateMethanol(rpmRange, cfg, bmepRefBar, effBoostPsi, compFactor, inductionType) {
-  const {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    compRatio,
-  } = cfg;
-
-  let baseNaBmepBar = 15;        // strong NA baseline
-  const boostGainPerPsi = 0.50;  // meth can go hard
-
-  let boostedBmepBar = baseNaBmepBar;
-  if (inductionType === "turbo") {
-    boostedBmepBar += boostGainPerPsi * effBoostPsi;
-  }
-  boostedBmepBar = Math.min(boostedBmepBar, inductionType === "turbo" ? 24 : 18);
-
-  const veFactor = (vePeak / 100) / 1.0;
-
-  let sizeFactor = 1.0;
-  if (displacementL > 3 && sizePenalty > 0) {
-    const penalty = (sizePenalty / 100) * (displacementL - 3);
-    sizeFactor = Math.max(0.80, 1 - penalty);
-  }
-
-  const idealCr = 13.5;
-  const deltaCr = compRatio - idealCr;
-  let crFactor = 1 + 0.01 * deltaCr;
-  crFactor = Math.max(0.9, Math.min(crFactor, 1.1));
-
-  const peakBmepBar =
-    boostedBmepBar * veFactor * sizeFactor * crFactor * compFactor;
-
-  const rpmMin = rpmRange[0];
-  const rpmMax = rpmRange[rpmRange.length - 1];
-  const rpmPeakTq = redline * 0.7;
-
-  const bmepBarArr = [];
-  const torqueArr  = [];
-  const hpArr      = [];
-
-  for (const rpm of rpmRange) {
-    let frac;
-    if (rpm <= rpmPeakTq) {
-      const x = (rpm - rpmMin) / (rpmPeakTq - rpmMin);
-      const lowBase = 0.3;
-      frac = lowBase + (1 - lowBase) * Math.pow(Math.max(0, Math.min(x, 1)), 1.2);
-    } else {
-      const x = (rpm - rpmPeakTq) / (rpmMax - rpmPeakTq);
-      const highFloor = 0.7;
-      frac = 1 - (1 - highFloor) * Math.pow(Math.max(0, Math.min(x, 1)), 0.8);
+// Writes the valid fields of a (possibly partial) config into the form and
+// returns the keys that were rejected. Geometry → displacement is refreshed.
+function writeConfigToForm(cfg) {
+  const rejected = [];
+  for (const field of FORM_FIELDS) {
+    if (!(field.key in cfg)) continue;
+    const value = validateFieldValue(field, cfg[field.key]);
+    if (value === null) {
+      rejected.push(field.key);
+      continue;
     }
-
-    const bmepBar = peakBmepBar * frac;
-    const tq      = torqueFromBmepBar(bmepBar, displacementL);
-    const hp      = hpFromTorque(tq, rpm);
-
-    bmepBarArr.push(bmepBar);
-    torqueArr.push(tq);
-    hpArr.push(hp);
-  }
-
-  return { rpm: rpmRange, torque: torqueArr, hp: hpArr, bmepBarArr };
-}
-
-/* =========================================================================
-   MASTER SIM DRIVER
-   ========================================================================= */
-
-function simulateEngine(cfg) {
-  const {
-    engineMode,
-    displacementL,
-    compRatio,
-    redline,
-    rpmStep,
-    vePeak,
-    sizePenalty,
-    pistonSpeedLimit,
-    strokeMm,
-    valvetrainType,
-    valvesPerCyl,
-    boostPsi,
-    methanolInduction,
-    boreMm,
-  } = cfg;
-
-  const modeMeta  = getModeConfig(engineMode);
-  const fuelType  = modeMeta.fuelType;
-  const bmepRefBar= modeMeta.bmepRefBar;
-
-  const rpmRange = createRpmRange(redline, rpmStep, 1000);
-
-  let inductionType = "na";
-  if (engineMode === "gas_na")       inductionType = "na";
-  else if (engineMode === "gas_turbo")   inductionType = "turbo";
-  else if (engineMode === "gas_sc")      inductionType = "supercharger";
-  else if (engineMode === "diesel_turbo")inductionType = "turbo";
-  else if (engineMode === "methanol_race")
-    inductionType = methanolInduction || "na";
-
-  const { effBoostPsi, compFactor } = getEffectiveBoostAndCompFactor(
-    fuelType,
-    inductionType,
-    compRatio,
-    boostPsi
-  );
-
-  const simCfg = {
-    displacementL,
-    redline,
-    vePeak,
-    sizePenalty,
-    valvetrainType,
-    valvesPerCyl,
-    compRatio,
-    boreMm,
-    strokeMm,
-  };
-
-  let baseResult;
-  if (fuelType === "diesel") {
-    baseResult = simulateDieselTurbo(rpmRange, simCfg, bmepRefBar, effBoostPsi, compFactor);
-  } else if (fuelType === "methanol") {
-    baseResult = simulateMethanol(
-      rpmRange,
-      simCfg,
-      bmepRefBar,
-      effBoostPsi,
-      compFactor,
-      inductionType
-    );
-  } else {
-    // gasoline paths
-    if (engineMode === "gas_na") {
-      baseResult = simulateGasolineNa(rpmRange, simCfg, bmepRefBar);
-    } else if (engineMode === "gas_turbo") {
-      baseResult = simulateGasolineTurbo(
-        rpmRange,
-        simCfg,
-        bmepRefBar,
-        effBoostPsi,
-        compFactor
-      );
-    } else if (engineMode === "gas_sc") {
-      baseResult = simulateGasolineSupercharged(
-        rpmRange,
-        simCfg,
-        bmepRefBar,
-        effBoostPsi,
-        compFactor
-      );
+    if (field.quantity === "pressure") {
+      if (field.type === "table") setBoostTablePsi(value);
+      else setBoostInputPsi(value);
     } else {
-      baseResult = simulateGasolineNa(rpmRange, simCfg, bmepRefBar);
-    }
-  }
-
-  // Piston-speed penalty (applied after base mode curves)
-  const torqueArr   = [];
-  const hpArr       = [];
-  const bmepBarArr2 = [];
-
-  for (let i = 0; i < baseResult.rpm.length; i++) {
-    const rpm = baseResult.rpm[i];
-    const ps  = meanPistonSpeed(strokeMm, rpm);
-
-    let psFactor = 1.0;
-    if (pistonSpeedLimit > 0 && ps > pistonSpeedLimit) {
-      const excess = (ps - pistonSpeedLimit) / pistonSpeedLimit;
-      psFactor = Math.max(0.6, 1 - 0.6 * excess);
+      document.getElementById(field.id).value = String(value);
     }
-
-    const adjustedTorque = baseResult.torque[i] * psFactor;
-    const adjustedHp     = hpFromTorque(adjustedTorque, rpm);
-
-    torqueArr.push(adjustedTorque);
-    hpArr.push(adjustedHp);
-
-    const bmepPsiVal = bmepPsiFromTorque(adjustedTorque, displacementL);
-    const bmepBar    = bmepPsiVal * 0.0689476;
-    bmepBarArr2.push(bmepBar);
   }
-
-  return {
-    rpm: baseResult.rpm,
-    torque: torqueArr,
-    hp: hpArr,
-    bmepBarArr: bmepBarArr2,
-    bmepRefBar,
-    fuelType,
-    inductionType,
-  };
+  updateCycleFields();
+  updateDisplacementFromGeometry();
+  updateVeTableEditor();
+  return rejected;
 }
 
-/* =========================================================================
-   FORM → CONFIG
-   ========================================================================= */
-
 function readConfigFromForm() {
   const getVal = (id) => {
     const el = document.getElementById(id);
@@ -835,14 +430,20 @@ function readConfigFromForm() {
   };
 
   const engineMode = getVal("engineMode") || "gas_na";
+  const fuelGrade  = getVal("fuelGrade") || "aki91";
+  const engineCycle= getVal("engineCycle") || "four_stroke";
 
   const cylinders = parseInt(getVal("cylinders")) || 4;
   const boreMm    = parseFloat(getVal("boreMm")) || 0;
   const strokeMm  = parseFloat(getVal("strokeMm")) || 0;
+  const rotorCount     = parseInt(getVal("rotorCount")) || 2;
+  const rotorChamberCc = parseFloat(getVal("rotorChamberCc")) || 654;
+  const rotorRadiusMm  = parseFloat(getVal("rotorRadiusMm")) || 105;
+  const pipeRpm        = parseInt(getVal("pipeRpm")) || 0;
 
   let displacementL = parseFloat(getVal("displacementL")) || 0;
   if (!displacementL) {
-    displacementL = litersFromBoreStroke(boreMm, strokeMm, cylinders);
+    displacementL = sweptDisplacementL({ engineCycle, boreMm, strokeMm, cylinders, rotorCount, rotorChamberCc });
     const dispEl = document.getElementById("displacementL");
     if (dispEl && displacementL) dispEl.value = displacementL.toFixed(2);
   }
@@ -850,35 +451,149 @@ function readConfigFromForm() {
   const compRatio        = parseFloat(getVal("compressionRatio")) || 10.5;
   const redline          = parseInt(getVal("redlineRpm")) || 7000;
   const rpmStep          = parseInt(getVal("rpmStep")) || 250;
+  const rodLengthMm      = parseFloat(getVal("rodLengthMm")) || 0;
+  const deckClearanceMm  = parseFloat(getVal("deckClearanceMm")) || 0;
+  const chamberCc        = parseFloat(getVal("chamberCc")) || 0;
+  const gasketBoreMm     = parseFloat(getVal("gasketBoreMm")) || 0;
+  const gasketThicknessMm= parseFloat(getVal("gasketThicknessMm")) || 0;
+  const pistonCc         = parseFloat(getVal("pistonCc")) || 0;
+  const ivcAbdc          = parseFloat(getVal("ivcAbdc")) || 0;
+  const crSource         = getVal("crSource") || "typed";
   const vePeak           = parseFloat(getVal("vePeak")) || 95;
   const sizePenalty      = parseFloat(getVal("sizePenalty")) || 0;
   const pistonSpeedLimit = parseFloat(getVal("pistonSpeedLimit")) || 0;
-  const boostPsi         = parseFloat(getVal("boostPsi")) || 0;
+  const pistonAccelLimit = parseFloat(getVal("pistonAccelLimit")) || 0;
+  const boostPsi         = readBoostInputPsi();
   const methanolInduction= getVal("methanolInduction") || "na";
+  const compressorMap    = getVal("compressorMap") || "generic";
+  const ambientTempC     = parseFloat(getVal("ambientTempC"));
+  const compressorEff    = parseFloat(getVal("compressorEff")) || 70;
+  const intercooler      = getVal("intercooler") || "air_air";
+  const intercoolerEff   = parseFloat(getVal("intercoolerEff"));
+  const altitudeM        = parseFloat(getVal("altitudeM")) || 0;
+  const baroKpa          = parseFloat(getVal("baroKpa")) || 0;
+  const humidityPct      = parseFloat(getVal("humidityPct")) || 0;
+  const correctionStandard = getVal("correctionStandard") || "sae_j1349";
+  const curveSource      = getVal("curveSource") || "model";
+  const veTable          = getVal("veTable").trim();
+  const boostTable       = readBoostTablePsi();
   const valvetrainType   = getVal("valvetrainType") || "dohc";
   const valvesPerCyl     = parseInt(getVal("valvesPerCyl")) || 4;
+  const camIntakeDur     = parseFloat(getVal("camIntakeDur")) || 220;
+  const camExhaustDur    = parseFloat(getVal("camExhaustDur")) || 220;
+  const camLiftMm        = parseFloat(getVal("camLiftMm")) || 10;
+  const camLsa           = parseFloat(getVal("camLsa")) || 112;
+  const camIcl           = parseFloat(getVal("camIcl")) || 108;
+  const camSwitch        = getVal("camSwitch") || "none";
+  const camCrossoverRpm  = parseInt(getVal("camCrossoverRpm")) || 5000;
+  const injectorFlow     = parseFloat(getVal("injectorFlow")) || 0;
+  const injectorFlowUnit = getVal("injectorFlowUnit") || "ccmin";
+  const injectorCount    = parseInt(getVal("injectorCount")) || 0;
+  const injectorRatedPsi = parseFloat(getVal("injectorRatedPsi")) || 43.5;
+  const fuelPressurePsi  = parseFloat(getVal("fuelPressurePsi")) || 43.5;
+  const fuelPressureRef  = getVal("fuelPressureRef") || "boost";
+  const pumpFlowLph      = parseFloat(getVal("pumpFlowLph")) || 0;
+  const dutyCycleTarget  = parseFloat(getVal("dutyCycleTarget")) || 85;
+  const lambdaTarget     = parseFloat(getVal("lambdaTarget")) || 0;
+  const smokeLimitLambda = parseFloat(getVal("smokeLimitLambda")) || 0;
+  const egtLimitC        = parseFloat(getVal("egtLimitC")) || 0;
+  const eMotorKw         = parseFloat(getVal("eMotorKw")) || 0;
+  const eMotorTorqueNm   = parseFloat(getVal("eMotorTorqueNm")) || 0;
+  const eMotorRatio      = parseFloat(getVal("eMotorRatio")) || 1;
+  const batteryKw        = parseFloat(getVal("batteryKw")) || 0;
+  const assistSeconds    = parseFloat(getVal("assistSeconds")) || 0;
+  const eTurboKw         = parseFloat(getVal("eTurboKw")) || 0;
+  const internals        = getVal("internals") || "stock";
+  const pistonMassG      = parseFloat(getVal("pistonMassG")) || 0;
+  const rodMassG         = parseFloat(getVal("rodMassG")) || 0;
+  const limitPcpBar      = parseFloat(getVal("limitPcpBar")) || 0;
+  const limitRodKn       = parseFloat(getVal("limitRodKn")) || 0;
+  const limitBearingMpa  = parseFloat(getVal("limitBearingMpa")) || 0;
+  const headClampKn      = parseFloat(getVal("headClampKn")) || 0;
 
   return {
     engineMode,
+    engineCycle,
+    fuelGrade,
     cylinders,
     boreMm,
     strokeMm,
+    rotorCount,
+    rotorChamberCc,
+    rotorRadiusMm,
+    pipeRpm,
     displacementL,
     compRatio,
     redline,
     rpmStep,
+    rodLengthMm,
+    deckClearanceMm,
+    chamberCc,
+    gasketBoreMm,
+    gasketThicknessMm,
+    pistonCc,
+    ivcAbdc,
+    crSource,
     vePeak,
     sizePenalty,
     pistonSpeedLimit,
+    pistonAccelLimit,
     boostPsi,
     methanolInduction,
+    compressorMap,
+    ambientTempC: Number.isFinite(ambientTempC) ? ambientTempC : 25,
+    compressorEff,
+    intercooler,
+    intercoolerEff: Number.isFinite(intercoolerEff) ? intercoolerEff : 70,
+    altitudeM,
+    baroKpa,
+    humidityPct,
+    correctionStandard,
+    curveSource,
+    veTable,
+    boostTable,
     valvetrainType,
     valvesPerCyl,
+    camIntakeDur,
+    camExhaustDur,
+    camLiftMm,
+    camLsa,
+    camIcl,
+    camSwitch,
+    camCrossoverRpm,
+    injectorFlow,
+    injectorFlowUnit,
+    injectorCount,
+    injectorRatedPsi,
+    fuelPressurePsi,
+    fuelPressureRef,
+    pumpFlowLph,
+    dutyCycleTarget,
+    lambdaTarget,
+    smokeLimitLambda,
+    egtLimitC,
+    eMotorKw,
+    eMotorTorqueNm,
+    eMotorRatio,
+    batteryKw,
+    assistSeconds,
+    eTurboKw,
+    internals,
+    pistonMassG,
+    rodMassG,
+    limitPcpBar,
+    limitRodKn,
+    limitBearingMpa,
+    headClampKn,
   };
 }
 
 function onFormSubmit(e) {
   e.preventDefault();
+  runSimulation();
+}
+
+function runSimulation() {
   const cfg = readConfigFromForm();
 
   if (!cfg.displacementL || cfg.displacementL <= 0) {
@@ -886,30 +601,94 @@ function onFormSubmit(e) {
     return;
   }
 
-  const result = simulateEngine(cfg);
+  const result = simulateEngine({ ...cfg, compressorMap: compressorMapForSim(cfg.compressorMap) });
+  lastResult = result;
+  lastOperatingMap = operatingMap(result);
+
+  updateChart();
+  updateLossChart();
+  updateBsfcChart();
+  updateOperatingMap();
+  updateCompressorPanel();
+  updateComparison();
+  updateDynoReport();
+  updateResultsTable(result);
+  updateSparkTable(result.spark);
+  updateExhaustTable(result.exhaust);
+  updateStressTable(result.stress);
+  updateCamInfo(result.cam);
+  updateFuelSystemInfo(result.fuelSystem);
+  updateHybridInfo(result.hybrid);
+  updateGeometryInfo();
+  updateSummary(result.summary);
+  updateWarnings(result.warnings);
+  updateVehicle();
+  writeConfigToUrl(cfg);
+}
 
-  updateChart(result.rpm, result.torque, result.hp);
-  updateResultsTable(
-    result.rpm,
-    result.torque,
-    result.hp,
-    result.bmepBarArr,
-    result.bmepRefBar,
-    cfg.displacementL,
-    cfg.strokeMm,
-    result.fuelType,
-    result.inductionType
-  );
-  updateSummary(
-    result.rpm,
-    result.torque,
-    result.hp,
-    result.bmepBarArr,
-    result.bmepRefBar,
-    cfg.displacementL,
-    result.fuelType,
-    result.inductionType
-  );
+/* =========================================================================
+   URL STATE (SHAREABLE LINKS)
+   ========================================================================= */
+
+// Hash format: #v=1&engineMode=gas_turbo&cylinders=4&...
+const URL_STATE_VERSION = "1";
+
+function writeConfigToUrl(cfg) {
+  const params = new URLSearchParams();
+  params.set("v", URL_STATE_VERSION);
+  for (const field of FORM_FIELDS) {
+    const value = cfg[field.key];
+    // boost may come back from a bar/kPa input with float noise
+    params.set(field.key, typeof value === "number" ? String(+value.toFixed(3)) : String(value));
+  }
+  // replaceState so every simulate doesn't add a history entry
+  history.replaceState(null, "", `#${params.toString()}`);
+}
+
+function readConfigFromUrl() {
+  const hash = window.location.hash.replace(/^#/, "");
+  if (!hash) return null;
+
+  const params = new URLSearchParams(hash);
+  const cfg = {};
+  for (const field of FORM_FIELDS) {
+    if (params.has(field.key)) cfg[field.key] = params.get(field.key);
+  }
+  if (!Object.keys(cfg).length) return null;
+
+  // v1 is the only format so far, so there is nothing to migrate from
+  const version = params.get("v");
+  if (version !== URL_STATE_VERSION) {
+    alert(
+      version === null
+        ? "This link has no format version (v=…) and cannot be loaded."
+        : `This link uses format version ${version}; this page reads version ${URL_STATE_VERSION} links only.`
+    );
+    return null;
+  }
+  return cfg;
+}
+
+// Fills the form from the URL and simulates. The mode's defaults go in
+// first so any field missing or invalid in the link falls back to them,
+// then the link's own values are written over the top.
+function loadConfigFromUrl() {
+  const cfg = readConfigFromUrl();
+  if (!cfg) return false;
+
+  const modeSelect = document.getElementById("engineMode");
+  const modeField  = FORM_FIELDS.find((f) => f.key === "engineMode");
+  const mode = validateFieldValue(modeField, cfg.engineMode) || (modeSelect && modeSelect.value);
+  if (modeSelect) modeSelect.value = mode;
+  applyModeDefaults(mode);
+
+  const rejected = writeConfigToForm(cfg);
+  if (rejected.length) {
+    console.warn("Ignored invalid link values for:", rejected.join(", "));
+  }
+
+  runSimulation();
+  return true;
 }
 
 /* =========================================================================
@@ -926,9 +705,11 @@ function initChart() {
       labels: [],
       datasets: [
         {
-          label: "Horsepower",
+          label: "Power (hp)",
           data: [],
           borderWidth: 2,
+          borderColor: "#38bdf8",
+          backgroundColor: "#38bdf8",
           tension: 0.2,
           yAxisID: "yHp",
         },
@@ -936,6 +717,8 @@ function initChart() {
           label: "Torque (lb-ft)",
           data: [],
           borderWidth: 2,
+          borderColor: "#818cf8",
+          backgroundColor: "#818cf8",
           tension: 0.2,
           yAxisID: "yTq",
         },
@@ -945,12 +728,14 @@ function initChart() {
       responsive: true,
       scales: {
         x: {
+          // linear so runs with different redlines / steps line up
+          type: "linear",
           title: { display: true, text: "RPM" },
         },
         yHp: {
           type: "linear",
           position: "left",
-          title: { display: true, text: "Horsepower" },
+          title: { display: true, text: "Power (hp)" },
         },
         yTq: {
           type: "linear",
@@ -963,128 +748,1722 @@ function initChart() {
   });
 }
 
-function updateChart(rpmArr, torqueArr, hpArr) {
-  if (!powerChart) return;
-  powerChart.data.labels = rpmArr;
-  powerChart.data.datasets[0].data = hpArr;
-  powerChart.data.datasets[1].data = torqueArr;
-  powerChart.update();
+function toUnitPoints(rpmArr, valArr, quantity) {
+  const units = activeUnits();
+  return rpmArr.map((rpm, i) => ({ x: rpm, y: convertUnit(quantity, units[quantity], valArr[i]) }));
 }
 
-/* =========================================================================
-   TABLE & SUMMARY
-   ========================================================================= */
+// Current run in datasets[0..1], the e-assist combined pair (shaded down to
+// the engine-only curves) when a motor is fitted, then a pair per pinned run.
+function updateChart() {
+  if (!powerChart) return;
 
-function updateResultsTable(
-  rpmArr,
-  torqueArr,
-  hpArr,
-  bmepBarArr,
-  bmepRefBar,
-  displacementL,
-  strokeMm,
-  fuelType,
-  inductionType
-) {
-  const table = document.getElementById("results-table");
+  const powerLabel  = unitLabelFor("power");
+  const torqueLabel = unitLabelFor("torque");
+  powerChart.options.scales.yHp.title.text = `Power (${powerLabel})`;
+  powerChart.options.scales.yTq.title.text = `Torque (${torqueLabel})`;
+
+  const datasets = powerChart.data.datasets.slice(0, 2);
+  datasets[0].label = `Power (${powerLabel})`;
+  datasets[1].label = `Torque (${torqueLabel})`;
+  datasets[0].data = lastResult ? toUnitPoints(lastResult.rpm, lastResult.hp, "power") : [];
+  datasets[1].data = lastResult ? toUnitPoints(lastResult.rpm, lastResult.torque, "torque") : [];
+
+  const hybrid = lastResult && lastResult.hybrid;
+  if (hybrid && hybrid.eMotorKw > 0) {
+    datasets[0].label = `Engine power (${powerLabel})`;
+    datasets[1].label = `Engine torque (${torqueLabel})`;
+    datasets.push(
+      {
+        label: `Combined power (${powerLabel})`,
+        data: toUnitPoints(lastResult.rpm, hybrid.combinedHp, "power"),
+        borderWidth: 2,
+        borderColor: "#22c55e",
+        backgroundColor: "rgba(34, 197, 94, 0.2)",
+        pointRadius: 0,
+        tension: 0.2,
+        fill: 0,
+        yAxisID: "yHp",
+      },
+      {
+        label: `Combined torque (${torqueLabel})`,
+        data: toUnitPoints(lastResult.rpm, hybrid.combinedTorque, "torque"),
+        borderWidth: 2,
+        borderColor: "#a3e635",
+        backgroundColor: "rgba(163, 230, 53, 0.2)",
+        pointRadius: 0,
+        tension: 0.2,
+        fill: 1,
+        yAxisID: "yTq",
+      }
+    );
+  }
+
+  for (const run of pinnedRuns) {
+    const tag = run.id === baselineRunId ? `${run.name} (baseline)` : run.name;
+    datasets.push(
+      {
+        label: `${tag} – ${powerLabel}`,
+        data: toUnitPoints(run.result.rpm, run.result.hp, "power"),
+        borderWidth: 1.5,
+        borderColor: run.color,
+        backgroundColor: run.color,
+        pointRadius: 0,
+        tension: 0.2,
+        yAxisID: "yHp",
+      },
+      {
+        label: `${tag} – ${torqueLabel}`,
+        data: toUnitPoints(run.result.rpm, run.result.torque, "torque"),
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        borderColor: run.color,
+        backgroundColor: run.color,
+        pointRadius: 0,
+        tension: 0.2,
+        yAxisID: "yTq",
+      }
+    );
+  }
+
+  if (dynoPull) {
+    datasets.push(
+      {
+        label: `Dyno – ${powerLabel}`,
+        data: toUnitPoints(dynoPull.rpm, dynoPull.hp, "power"),
+        showLine: false,
+        borderColor: "#f8fafc",
+        backgroundColor: "#f8fafc",
+        pointRadius: 2.5,
+        pointStyle: "circle",
+        yAxisID: "yHp",
+      },
+      {
+        label: `Dyno – ${torqueLabel}`,
+        data: toUnitPoints(dynoPull.rpm, dynoPull.torque, "torque"),
+        showLine: false,
+        borderColor: "#f8fafc",
+        backgroundColor: "#f8fafc",
+        pointRadius: 2.5,
+        pointStyle: "triangle",
+        yAxisID: "yTq",
+      }
+    );
+  }
+
+  powerChart.data.datasets = datasets;
+  powerChart.update();
+}
+
+// Stacked IMEP breakdown: BMEP + friction + limit penalty + pumping.
+function initLossChart() {
+  const ctx = document.getElementById("lossChart");
+  if (!ctx) return;
+
+  const series = [
+    { label: "BMEP",                 color: "#38bdf8" },
+    { label: "FMEP (friction)",      color: "#f97316" },
+    { label: "FMEP (over limit)",    color: "#ef4444" },
+    { label: "PMEP (pumping)",       color: "#a855f7" },
+  ];
+  lossChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      datasets: series.map((s) => ({
+        label: s.label,
+        data: [],
+        backgroundColor: s.color,
+        borderColor: s.color,
+        stack: "imep",
+      })),
+    },
+    options: {
+      responsive: true,
+      datasets: { bar: { barPercentage: 1, categoryPercentage: 0.9 } },
+      scales: {
+        x: {
+          type: "linear",
+          stacked: true,
+          title: { display: true, text: "RPM" },
+        },
+        y: {
+          stacked: true,
+          title: { display: true, text: "Mean Effective Pressure (psi)" },
+        },
+      },
+    },
+  });
+}
+
+function updateLossChart() {
+  if (!lossChart || !lastResult) return;
+
+  const pressureUnit = activeUnits().pressure;
+  lossChart.options.scales.y.title.text = `Mean Effective Pressure (${unitLabelFor("pressure")})`;
+
+  const fromBar = (bar) => convertUnit("pressure", pressureUnit, toBaseUnit("pressure", "bar", bar));
+  const r = lastResult;
+  const columns = [r.bmepBarArr, r.fmepBar, r.fmepLimitBar, r.pmepBar];
+  columns.forEach((values, d) => {
+    lossChart.data.datasets[d].data = r.rpm.map((rpm, i) => ({ x: rpm, y: fromBar(values[i]) }));
+  });
+  // bars sit on a linear axis, so size them to the RPM step
+  const step = r.rpm.length > 1 ? r.rpm[1] - r.rpm[0] : 250;
+  lossChart.options.scales.x.min = r.rpm[0] - step / 2;
+  lossChart.options.scales.x.max = r.rpm[r.rpm.length - 1] + step / 2;
+  lossChart.update();
+}
+
+// Iso-BSFC levels, as multiples of the best point on the map
+const BSFC_ISLAND_STEPS = [1.02, 1.05, 1.1, 1.2, 1.35, 1.5, 1.75, 2.0, 2.5];
+const BSFC_ISLAND_COLORS = ["#22c55e", "#4ade80", "#a3e635", "#facc15", "#fb923c", "#f97316", "#ef4444", "#dc2626", "#991b1b"];
+
+function initBsfcChart() {
+  const ctx = document.getElementById("bsfcChart");
+  if (!ctx) return;
+
+  bsfcChart = new Chart(ctx, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      parsing: false,
+      spanGaps: false,
+      elements: { point: { radius: 0 } },
+      scales: {
+        x: { type: "linear", title: { display: true, text: "RPM" } },
+        y: { type: "linear", beginAtZero: true, title: { display: true, text: "BMEP (psi)" } },
+      },
+      plugins: {
+        tooltip: { enabled: false },
+      },
+    },
+  });
+}
+
+function updateBsfcChart() {
+  if (!bsfcChart || !lastResult) return;
+
+  const units = activeUnits();
+  const fromBar = (bar) => convertUnit("pressure", units.pressure, toBaseUnit("pressure", "bar", bar));
+  bsfcChart.options.scales.y.title.text = `BMEP (${unitLabelFor("pressure")})`;
+
+  const map = bsfcMap(lastResult);
+  const bestEl = document.getElementById("bsfcBest");
+  if (!map.best) {
+    bsfcChart.data.datasets = [];
+    bsfcChart.update();
+    if (bestEl) bestEl.textContent = "–";
+    return;
+  }
+
+  const grid = map.rpm.map((rpm, i) =>
+    map.loads.map((_, j) => ({ x: rpm, y: fromBar(map.bmepBar[i][j]), v: map.bsfc[i][j] }))
+  );
+
+  // each level is one dataset; null points break the line between segments
+  const datasets = [];
+  BSFC_ISLAND_STEPS.forEach((step, k) => {
+    const level = map.best.bsfc * step;
+    const data = [];
+    for (const [a, b] of contourSegments(grid, level)) {
+      data.push({ x: a[0], y: a[1] }, { x: b[0], y: b[1] }, { x: b[0], y: null });
+    }
+    if (!data.length) return;
+    datasets.push({
+      label: `${formatQuantity("bsfc", level)} ${unitLabelFor("bsfc")}`,
+      data,
+      borderColor: BSFC_ISLAND_COLORS[k],
+      backgroundColor: BSFC_ISLAND_COLORS[k],
+      borderWidth: 1.5,
+    });
+  });
+
+  datasets.push({
+    label: "WOT",
+    data: map.rpm.map((rpm, i) => ({ x: rpm, y: fromBar(lastResult.bmepBarArr[i]) })),
+    borderColor: "#e5e7eb",
+    backgroundColor: "#e5e7eb",
+    borderWidth: 2,
+  });
+  datasets.push({
+    label: "Best",
+    data: [{ x: map.best.rpm, y: fromBar(map.best.bmepBar) }],
+    borderColor: "#38bdf8",
+    backgroundColor: "#38bdf8",
+    pointRadius: 5,
+    showLine: false,
+  });
+
+  bsfcChart.data.datasets = datasets;
+  bsfcChart.update();
+
+  if (bestEl) {
+    bestEl.textContent =
+      `${formatQuantity("bsfc", map.best.bsfc)} ${unitLabelFor("bsfc")} ` +
+      `(${(map.best.bte * 100).toFixed(1)}% BTE) @ ${map.best.rpm} rpm, ` +
+      `${formatQuantity("pressure", toBaseUnit("pressure", "bar", map.best.bmepBar))} ${unitLabelFor("pressure")} BMEP`;
+  }
+}
+
+// RPM × load heatmap of one operating-map quantity, 100 % load on top.
+function updateOperatingMap() {
+  const table = document.getElementById("opMapTable");
+  if (!table || !lastOperatingMap) return;
+  const select = document.getElementById("opMapQuantity");
+  const col = OPERATING_MAP_QUANTITIES.find((c) => c.key === (select ? select.value : "torque")) ||
+    OPERATING_MAP_QUANTITIES[0];
+
+  const map = lastOperatingMap;
+  const values = map[col.key];
+  const finite = values.flat().filter((v) => v !== null && Number.isFinite(v));
+  const lo = Math.min(...finite);
+  const hi = Math.max(...finite);
+
+  // blue (low) → red (high)
+  const cellColor = (v) => {
+    const t = hi > lo ? (v - lo) / (hi - lo) : 0;
+    return `hsl(${(220 - 220 * t).toFixed(0)}, 75%, 62%)`;
+  };
+
+  table.querySelector("thead").innerHTML =
+    `<tr><th>${OPERATING_MAP_LOAD_LABELS[map.loadAxis]}</th>${map.rpm.map((rpm) => `<th>${rpm}</th>`).join("")}</tr>`;
+
+  const tbody = table.querySelector("tbody");
+  tbody.innerHTML = "";
+  for (let j = map.loads.length - 1; j >= 0; j--) {
+    const tr = document.createElement("tr");
+    const cells = map.rpm.map((_, i) => {
+      const v = values[i][j];
+      if (v === null) return "<td>–</td>";
+      const text = col.quantity ? formatQuantity(col.quantity, v) : v.toFixed(col.digits);
+      return `<td style="background:${cellColor(v)}">${text}</td>`;
+    });
+    tr.innerHTML = `<td>${(map.loads[j] * 100).toFixed(0)}</td>${cells.join("")}`;
+    tbody.appendChild(tr);
+  }
+}
+
+/* =========================================================================
+   RUN COMPARISON (PINNED OVERLAYS)
+   ========================================================================= */
+
+function pinCurrentRun() {
+  if (!lastResult) {
+    alert("Run a simulation first, then pin it.");
+    return;
+  }
+
+  const nameEl = document.getElementById("pinName");
+  const id     = nextRunId++;
+  const name   = (nameEl && nameEl.value.trim()) || `Run ${id}`;
+  const color  = RUN_COLORS[(id - 1) % RUN_COLORS.length];
+
+  pinnedRuns.push({ id, name, color, result: lastResult });
+  if (baselineRunId === null) baselineRunId = id;
+  if (nameEl) nameEl.value = "";
+
+  updateChart();
+  updateComparison();
+}
+
+function removePinnedRun(id) {
+  const idx = pinnedRuns.findIndex((r) => r.id === id);
+  if (idx < 0) return;
+  pinnedRuns.splice(idx, 1);
+
+  if (baselineRunId === id) {
+    baselineRunId = pinnedRuns.length ? pinnedRuns[0].id : null;
+  }
+
+  updateChart();
+  updateComparison();
+}
+
+function setBaselineRun(id) {
+  baselineRunId = id;
+  updateChart();
+  updateComparison();
+}
+
+// `v` is in model units; converted for display when `quantity` is given.
+function formatDelta(v, quantity) {
+  if (v === null) return "–";
+  const sign = v > 0 ? "+" : "";
+  return `${sign}${quantity ? formatQuantity(quantity, v) : v.toFixed(1)}`;
+}
+
+function deltaClass(v) {
+  if (v === null || Math.abs(v) < 0.05) return "";
+  return v > 0 ? "delta-up" : "delta-down";
+}
+
+function updatePinnedList() {
+  const list = document.getElementById("pinnedRuns");
+  if (!list) return;
+  list.innerHTML = "";
+
+  for (const run of pinnedRuns) {
+    const li = document.createElement("li");
+
+    const swatch = document.createElement("span");
+    swatch.className = "run-swatch";
+    swatch.style.background = run.color;
+
+    const label = document.createElement("label");
+    const radio = document.createElement("input");
+    radio.type = "radio";
+    radio.name = "baselineRun";
+    radio.checked = run.id === baselineRunId;
+    radio.title = "Use as baseline";
+    radio.addEventListener("change", () => setBaselineRun(run.id));
+    label.appendChild(radio);
+    label.appendChild(document.createTextNode(
+      ` ${run.name} – ${formatQuantity("power", run.result.summary.peakHp)} ${unitLabelFor("power")} / ` +
+      `${formatQuantity("torque", run.result.summary.peakTq)} ${unitLabelFor("torque")}`
+    ));
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn-link";
+    removeBtn.textContent = "Remove";
+    removeBtn.addEventListener("click", () => removePinnedRun(run.id));
+
+    li.appendChild(swatch);
+    li.appendChild(label);
+    li.appendChild(removeBtn);
+    list.appendChild(li);
+  }
+}
+
+// Everything that isn't the baseline gets compared against it.
+function comparedRuns() {
+  const others = pinnedRuns
+    .filter((r) => r.id !== baselineRunId)
+    .map((r) => ({ name: r.name, result: r.result }));
+
+  const currentIsPinned = pinnedRuns.some((r) => r.result === lastResult);
+  if (lastResult && !currentIsPinned) others.push({ name: "Current", result: lastResult });
+
+  return others;
+}
+
+function updateComparison() {
+  updatePinnedList();
+
+  const wrap = document.getElementById("compareTables");
+  if (!wrap) return;
+
+  const baseline = pinnedRuns.find((r) => r.id === baselineRunId);
+  const others   = baseline ? comparedRuns() : [];
+  wrap.hidden = !baseline || !others.length;
+  if (wrap.hidden) return;
+
+  const comparisons = others.map((o) => ({
+    name: o.name,
+    result: o.result,
+    cmp: compareRuns(baseline.result, o.result),
+  }));
+
+  // Peak deltas
+  const peakBody = wrap.querySelector("#comparePeaks tbody");
+  peakBody.innerHTML = "";
+  for (const c of comparisons) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${escapeHtml(c.name)}</td>
+      <td>${formatQuantity("power", c.result.summary.peakHp)}</td>
+      <td class="${deltaClass(c.cmp.peakHpDelta)}">${formatDelta(c.cmp.peakHpDelta, "power")}</td>
+      <td>${formatQuantity("torque", c.result.summary.peakTq)}</td>
+      <td class="${deltaClass(c.cmp.peakTqDelta)}">${formatDelta(c.cmp.peakTqDelta, "torque")}</td>
+    `;
+    peakBody.appendChild(tr);
+  }
+
+  // Per-RPM power deltas on the baseline grid
+  const powerLabel = unitLabelFor("power");
+  const rpmTable = wrap.querySelector("#compareRpm");
+  rpmTable.querySelector("thead").innerHTML = `
+    <tr>
+      <th>RPM</th>
+      <th>${escapeHtml(baseline.name)} ${powerLabel}</th>
+      ${comparisons.map((c) => `<th>Δ ${powerLabel} ${escapeHtml(c.name)}</th>`).join("")}
+    </tr>
+  `;
+  const rpmBody = rpmTable.querySelector("tbody");
+  rpmBody.innerHTML = "";
+  baseline.result.rpm.forEach((rpm, i) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${rpm}</td>
+      <td>${formatQuantity("power", baseline.result.hp[i])}</td>
+      ${comparisons.map((c) => {
+        const d = c.cmp.rows[i].hpDelta;
+        return `<td class="${deltaClass(d)}">${formatDelta(d, "power")}</td>`;
+      }).join("")}
+    `;
+    rpmBody.appendChild(tr);
+  });
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/* =========================================================================
+   DYNO DATA & CALIBRATION
+   ========================================================================= */
+
+function loadDynoFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    const { header } = parseCsvRows(reader.result);
+    if (!header.length) {
+      alert("That dyno file is empty.");
+      return;
+    }
+
+    dynoText = reader.result;
+    const nameEl = document.getElementById("dynoFileName");
+    if (nameEl) nameEl.textContent = file.name;
+    populateDynoColumns(header);
+    parseDynoFromForm();
+  };
+  reader.readAsText(file);
+}
+
+// Fills the column selects from the CSV header, preselecting the guesses.
+// Power and torque can be "none" – the missing one is derived.
+function populateDynoColumns(header) {
+  const guess = guessDynoColumns(header);
+  const fill = (id, selected, allowNone) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const options = header.map((h, i) => `<option value="${i}">${escapeHtml(h)}</option>`);
+    if (allowNone) options.unshift('<option value="-1">(none)</option>');
+    select.innerHTML = options.join("");
+    select.value = String(selected);
+  };
+  fill("dynoRpmCol", Math.max(guess.rpm, 0), false);
+  fill("dynoPowerCol", guess.power, true);
+  fill("dynoTorqueCol", guess.torque, true);
+
+  const fields = document.getElementById("dynoFields");
+  if (fields) fields.hidden = false;
+}
+
+function parseDynoFromForm() {
+  if (dynoText === null) return;
+
+  const getVal = (id) => document.getElementById(id).value;
+  lastCalibration = null;
+  try {
+    dynoPull = parseDynoCsv(dynoText, {
+      rpmCol: parseInt(getVal("dynoRpmCol"), 10),
+      powerCol: parseInt(getVal("dynoPowerCol"), 10),
+      torqueCol: parseInt(getVal("dynoTorqueCol"), 10),
+      powerUnit: getVal("dynoPowerUnit"),
+      torqueUnit: getVal("dynoTorqueUnit"),
+    });
+  } catch (err) {
+    dynoPull = null;
+    updateChart();
+    renderCalibration();
+    document.getElementById("dynoReport").textContent = `Could not read dyno file: ${err.message}`;
+    return;
+  }
+
+  updateChart();
+  renderCalibration();
+  updateDynoReport();
+}
+
+function dynoBasis() {
+  const el = document.getElementById("dynoBasis");
+  return el ? el.value : "corrected";
+}
+
+// Model vs dyno for the current run: RMS and worst point for each curve.
+function updateDynoReport() {
+  const el = document.getElementById("dynoReport");
+  if (!el || !dynoPull) return;
+  if (!lastResult) {
+    el.textContent = `${dynoPull.rpm.length} points, ${dynoPull.rpm[0]}–${dynoPull.rpm[dynoPull.rpm.length - 1]} rpm. Run a simulation to compare.`;
+    return;
+  }
+
+  const err = dynoError(lastResult, dynoPull, dynoBasis());
+  el.textContent = formatDynoError(err);
+}
+
+function formatDynoError(err) {
+  if (!err.points) return "The dyno pull does not overlap the simulated RPM range.";
+  const signed = (quantity, v) => `${v > 0 ? "+" : ""}${formatQuantity(quantity, v)} ${unitLabelFor(quantity)}`;
+  return `${err.points} points · RMS ${formatQuantity("power", err.rmsHp)} ${unitLabelFor("power")} ` +
+    `(${err.rmsPct === null ? "–" : err.rmsPct.toFixed(1)}% of peak), ${formatQuantity("torque", err.rmsTq)} ${unitLabelFor("torque")} · ` +
+    `worst ${signed("power", err.maxHpDev)} @ ${err.maxHpRpm} rpm, ` +
+    `${signed("torque", err.maxTqDev)} @ ${err.maxTqRpm} rpm`;
+}
+
+function runCalibration() {
+  if (!dynoPull) return;
+  const cfg = readConfigFromForm();
+  if (!cfg.displacementL) return;
+
+  // overlap is judged on the calibration's own runs: lastResult may be
+  // missing or come from a different redline than the form now holds
+  const fitShapeEl = document.getElementById("dynoFitShape");
+  const calibration = calibrateToDyno(
+    { ...cfg, compressorMap: compressorMapForSim(cfg.compressorMap) },
+    dynoPull,
+    { basis: dynoBasis(), fitShape: !!(fitShapeEl && fitShapeEl.checked) }
+  );
+  if (!calibration.before.points || !calibration.after.points) {
+    lastCalibration = null;
+    renderCalibration();
+    alert("The dyno pull does not overlap the simulated RPM range – check the redline.");
+    return;
+  }
+
+  lastCalibration = calibration;
+  lastCalibration.config = cfg;
+  renderCalibration();
+}
+
+// Fitted vs current values, plus the error before and after the fit.
+function renderCalibration() {
+  const wrap = document.getElementById("calibrationTables");
+  ["applyCalibrationBtn", "saveCalibrationBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !lastCalibration;
+  });
+  if (wrap) wrap.hidden = !lastCalibration;
+  if (!wrap || !lastCalibration) return;
+
+  const { params, before, after, config } = lastCalibration;
+  const rows = Object.keys(params)
+    .filter((key) => key !== "veTable" && key !== "boostTable")
+    .map((key) => `
+      <tr>
+        <td>${escapeHtml(inputLabelFor(key))}</td>
+        <td>${escapeHtml(String(config[key]))}</td>
+        <td>${escapeHtml(String(params[key]))}</td>
+      </tr>
+    `);
+  if (params.veTable) {
+    const points = parseRpmTable(params.veTable).length;
+    rows.push(`<tr><td>VE table</td><td>–</td><td>${points} points</td></tr>`);
+  }
+  const pct = (err) => (err.rmsPct === null ? "–" : err.rmsPct.toFixed(1));
+  rows.push(
+    `<tr><td>RMS torque (${unitLabelFor("torque")})</td>` +
+    `<td>${formatQuantity("torque", before.rmsTq)}</td><td>${formatQuantity("torque", after.rmsTq)}</td></tr>`,
+    `<tr><td>RMS power (% of peak)</td>` +
+    `<td>${pct(before)}</td><td>${pct(after)}</td></tr>`
+  );
+  wrap.querySelector("tbody").innerHTML = rows.join("");
+}
+
+function applyCalibration() {
+  if (!lastCalibration) return;
+  const { params } = lastCalibration;
+
+  writeConfigToForm(params);
+  // an empty boost table (NA engine) is not a valid form value, clear it here
+  if (params.boostTable === "") document.getElementById("boostTable").value = "";
+  updateVeTableEditor();
+  runSimulation();
+}
+
+function saveCalibrationAsPreset() {
+  applyCalibration();
+  saveCurrentAsPreset();
+}
+
+function clearDyno() {
+  dynoText = null;
+  dynoPull = null;
+  lastCalibration = null;
+
+  const nameEl = document.getElementById("dynoFileName");
+  if (nameEl) nameEl.textContent = "No pull loaded";
+  const fields = document.getElementById("dynoFields");
+  if (fields) fields.hidden = true;
+  document.getElementById("dynoReport").textContent = "–";
+  renderCalibration();
+  updateChart();
+}
+
+/* =========================================================================
+   TABLE & SUMMARY
+   ========================================================================= */
+
+function updateResultsTable(result) {
+  const table = document.getElementById("results-table");
   if (!table) return;
   const tbody = table.querySelector("tbody");
   if (!tbody) return;
 
-  tbody.innerHTML = "";
+  tbody.innerHTML = "";
+  const fuel = result.fuelSystem;
+  const duty = fuel ? fuel.dutyCycle : result.rpm.map(() => null);
+
+  const speedHeader = document.getElementById("pistonSpeedHeader");
+  if (speedHeader) {
+    speedHeader.textContent = result.engineCycle === "rotary" ? "Apex Seal Speed (m/s)" : "Piston Speed (m/s)";
+  }
+
+  for (let i = 0; i < result.rpm.length; i++) {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${result.rpm[i]}</td>
+      <td>${formatQuantity("power", result.hp[i])}</td>
+      <td>${formatQuantity("torque", result.torque[i])}</td>
+      <td>${result.ve[i].toFixed(0)}</td>
+      <td>${result.pistonSpeed[i].toFixed(2)}</td>
+      <td>${formatQuantity("pressure", result.bmepPsi[i])}</td>
+      <td>${formatQuantity("pressure", toBaseUnit("pressure", "bar", result.imepBar[i]))}</td>
+      <td>${formatQuantity("pressure", toBaseUnit("pressure", "bar", result.fmepBar[i] + result.fmepLimitBar[i]))}</td>
+      <td>${result.mechEff[i].toFixed(1)}</td>
+      <td>${formatQuantity("airflow", result.cfm[i])}</td>
+      <td>${formatQuantity("fuelMass", result.fuelLbHr[i])}</td>
+      <td>${formatQuantity("fuelVolume", result.fuelGalHr[i])}</td>
+      <td>${result.bsfc[i] === null ? "–" : formatQuantity("bsfc", result.bsfc[i])}</td>
+      <td>${result.bte[i].toFixed(1)}</td>
+      <td>${duty[i] === null ? "–" : duty[i].toFixed(0)}</td>
+      <td>${result.iat[i].toFixed(0)}</td>
+    `;
+    if (duty[i] !== null && duty[i] > fuel.dutyTarget) tr.className = "duty-over";
+    tbody.appendChild(tr);
+  }
+}
+
+function updateSparkTable(spark) {
+  const panel = document.getElementById("sparkPanel");
+  if (panel) panel.hidden = !spark;
+  const tbody = document.querySelector("#sparkTable tbody");
+  if (!spark || !tbody) return;
+
+  const fuelSpan = document.getElementById("sparkFuel");
+  if (fuelSpan) fuelSpan.textContent = FUEL_GRADES[spark.fuelGrade].label;
+
+  tbody.innerHTML = "";
+  for (let i = 0; i < lastResult.rpm.length; i++) {
+    const tr = document.createElement("tr");
+    if (spark.unresolved[i]) tr.className = "knock-unresolved";
+    tr.innerHTML = `
+      <td>${lastResult.rpm[i]}</td>
+      <td>${spark.octaneRequired[i].toFixed(1)}</td>
+      <td>${spark.cylPressureBar[i].toFixed(1)}</td>
+      <td>${(spark.endGasTempK[i] - 273.15).toFixed(0)}</td>
+      <td>${spark.mbtAdvance[i].toFixed(1)}</td>
+      <td>${spark.knockRetard[i].toFixed(1)}</td>
+      <td>${spark.advance[i].toFixed(1)}</td>
+      <td>${((1 - spark.torqueFactor[i]) * 100).toFixed(1)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function updateExhaustTable(exhaust) {
+  const tbody = document.querySelector("#exhaustTable tbody");
+  if (!tbody) return;
+
+  const fmt = (v, digits) => (v === null ? "–" : v.toFixed(digits));
+  tbody.innerHTML = "";
+  for (let i = 0; i < lastResult.rpm.length; i++) {
+    const limit = exhaust.fuelLimitFrac ? exhaust.fuelLimitFrac[i] : null;
+    const tr = document.createElement("tr");
+    if (exhaust.egtLimitC > 0 && exhaust.egtC[i] > exhaust.egtLimitC + 1) tr.className = "egt-over";
+    tr.innerHTML = `
+      <td>${lastResult.rpm[i]}</td>
+      <td>${exhaust.lambda[i].toFixed(2)}</td>
+      <td>${exhaust.afr[i].toFixed(1)}</td>
+      <td>${exhaust.egtC[i].toFixed(0)}</td>
+      <td>${fmt(exhaust.turbineInletC[i], 0)}</td>
+      <td>${fmt(exhaust.co2GPerKwh[i], 0)}</td>
+      <td>${exhaust.co2KgHr[i].toFixed(1)}</td>
+      <td>${exhaust.noxIndex[i].toFixed(0)}</td>
+      <td>${exhaust.smokeFsn[i].toFixed(2)}</td>
+      <td>${limit === null ? "–" : (limit * 100).toFixed(0)}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+function updateStressTable(stress) {
+  const tbody = document.querySelector("#stressTable tbody");
+  if (!tbody) return;
+  if (!stress) {
+    tbody.innerHTML = `<tr><td colspan="7">No pistons, rods or head gasket on a rotary – not rated.</td></tr>`;
+    return;
+  }
+
+  const internalsSpan = document.getElementById("stressInternals");
+  if (internalsSpan) internalsSpan.textContent = stress.internals === "forged" ? "forged" : "stock";
+
+  tbody.innerHTML = "";
+  for (const c of stress.components) {
+    const digits = c.unit === "bar" ? 0 : 1;
+    const detail = c.key === "gasket"
+      ? `clamp ${c.clampMargin.toFixed(2)}× lift`
+      : c.mode || "";
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td>${c.label}</td>
+      <td>${c.load.toFixed(digits)} ${c.unit}</td>
+      <td>${c.limit.toFixed(digits)} ${c.unit}</td>
+      <td>${(c.utilization * 100).toFixed(0)}</td>
+      <td>${c.rpm}</td>
+      <td>${detail}</td>
+      <td class="risk-${c.risk.replace(/\s+/g, "-")}">${c.risk}</td>
+    `;
+    tbody.appendChild(tr);
+  }
+}
+
+// Overlap, intake closing and dynamic CR under the camshaft inputs.
+function updateCamInfo(cam) {
+  const el = document.getElementById("camInfo");
+  if (!el) return;
+  if (!cam) {
+    el.textContent = "Ported engine (two-stroke / rotary): the camshaft inputs are not used.";
+    return;
+  }
+
+  const describe = (c) =>
+    `overlap ${c.overlapDeg.toFixed(0)}°, IVC ${c.ivcAbdc.toFixed(0)}° ABDC, dynamic CR ${c.dynamicCr.toFixed(1)}:1`;
+  el.textContent = cam.lowSpeed
+    ? `Below ${cam.crossoverRpm} rpm: ${describe(cam.lowSpeed)}. Above: ${describe(cam)}.`
+    : `Cam: ${describe(cam)}.`;
+}
+
+function updateFuelSystemInfo(fuel) {
+  const el = document.getElementById("fuelSystemInfo");
+  if (!el) return;
+  if (!fuel) {
+    el.textContent = "Injector and pump sizing for the mode's fuel.";
+    return;
+  }
+
+  const headroom = fuel.pumpHeadroomPct.filter((h) => h !== null);
+  if (fuel.commonRail) {
+    const parts = [
+      "Common-rail injection is not duty-cycle limited",
+      `lift pump ≥ ${Math.ceil(fuel.recommendedPumpLph / 5) * 5} lph incl. return flow`,
+    ];
+    if (headroom.length) parts.push(`pump headroom ${Math.min(...headroom).toFixed(0)}%`);
+    el.textContent = parts.join(" · ");
+    return;
+  }
+
+  const size = fuel.recommendedSizeCc
+    ? `${fuel.recommendedSizeCc} cc/min`
+    : `over ${INJECTOR_SIZES_CC[INJECTOR_SIZES_CC.length - 1]} cc/min – add injectors`;
+  const parts = [
+    `Needs ${fuel.injectorCount} × ${fuel.recommendedCcMin.toFixed(0)} cc/min ` +
+    `(${(fuel.recommendedCcMin / CC_MIN_PER_LB_HR).toFixed(0)} lb/hr) @ 3 bar for ${fuel.dutyTarget.toFixed(0)}% duty → ${size}`,
+    `pump ≥ ${Math.ceil(fuel.recommendedPumpLph / 5) * 5} lph @ 40 psi`,
+  ];
+  if (fuel.ratedCcMin) parts.push(`peak duty ${Math.max(...fuel.dutyCycle).toFixed(0)}%`);
+  if (headroom.length) parts.push(`pump headroom ${Math.min(...headroom).toFixed(0)}%`);
+  el.textContent = parts.join(" · ");
+}
+
+function updateHybridInfo(hybrid) {
+  const el = document.getElementById("hybridInfo");
+  if (!el) return;
+  if (!hybrid) {
+    el.textContent = "No motor fitted.";
+    return;
+  }
+
+  const parts = [];
+  if (hybrid.eMotorKw > 0) {
+    const limited = hybrid.batteryKw > 0 && hybrid.shaftKw < hybrid.eMotorKw - 0.05
+      ? ` (battery-limited from ${hybrid.eMotorKw.toFixed(0)} kW)`
+      : "";
+    parts.push(
+      `Motor ${hybrid.shaftKw.toFixed(1)} kW${limited}, ${hybrid.peakMotorNm.toFixed(0)} Nm → ` +
+      `${formatQuantity("torque", Math.max(...hybrid.motorTorque))} ${unitLabelFor("torque")} at the crank`
+    );
+    parts.push(hybrid.assistSeconds > 0 ? `assist for ${hybrid.assistSeconds} s` : "assist unlimited");
+  }
+  if (hybrid.eTurbo) {
+    const peakKw = Math.max(...hybrid.eTurbo.electricKw);
+    parts.push(`e-turbo ${peakKw.toFixed(1)} of ${hybrid.eTurbo.budgetKw.toFixed(1)} kW used`);
+  }
+  el.textContent = parts.join(" · ");
+}
+
+function updateSummary(summary) {
+  const peakHpSpan      = document.getElementById("peakHp");
+  const peakHpRpmSpan   = document.getElementById("peakHpRpm");
+  const peakTqSpan      = document.getElementById("peakTq");
+  const peakTqRpmSpan   = document.getElementById("peakTqRpm");
+  const hpPerLSpan      = document.getElementById("hpPerL");
+  const fuelPeakLbSpan  = document.getElementById("fuelPeakLb");
+  const fuelPeakGalSpan = document.getElementById("fuelPeakGal");
+  const bmepPeakPsiSpan = document.getElementById("bmepPeakPsi");
+  const cfmPeakSpan     = document.getElementById("cfmPeak");
+
+  if (peakHpSpan)      peakHpSpan.textContent      = formatQuantity("power", summary.peakHp);
+  if (peakHpRpmSpan)   peakHpRpmSpan.textContent   = summary.peakHpRpm;
+  if (peakTqSpan)      peakTqSpan.textContent      = formatQuantity("torque", summary.peakTq);
+  if (peakTqRpmSpan)   peakTqRpmSpan.textContent   = summary.peakTqRpm;
+  if (hpPerLSpan)      hpPerLSpan.textContent      = formatQuantity("power", summary.hpPerL);
+  if (bmepPeakPsiSpan) bmepPeakPsiSpan.textContent = formatQuantity("pressure", summary.bmepPeakPsi);
+  if (cfmPeakSpan)     cfmPeakSpan.textContent     = formatQuantity("airflow", summary.cfmPeak);
+  if (fuelPeakLbSpan)  fuelPeakLbSpan.textContent  = formatQuantity("fuelMass", summary.fuelPeakLbHr);
+  if (fuelPeakGalSpan) fuelPeakGalSpan.textContent = formatQuantity("fuelVolume", summary.fuelPeakGalHr);
+
+  const combinedPeak = document.getElementById("combinedPeak");
+  if (combinedPeak) {
+    combinedPeak.hidden = !summary.combined;
+    if (summary.combined) {
+      document.getElementById("combinedPeakHp").textContent = formatQuantity("power", summary.combined.peakHp);
+      document.getElementById("combinedPeakTq").textContent = formatQuantity("torque", summary.combined.peakTq);
+    }
+  }
+
+  const bsfcPeakSpan = document.getElementById("bsfcPeak");
+  if (bsfcPeakSpan) bsfcPeakSpan.textContent = summary.bsfcPeak ? formatQuantity("bsfc", summary.bsfcPeak) : "–";
+
+  const corrStandardSpan = document.getElementById("corrStandard");
+  const corrPeakHpSpan   = document.getElementById("corrPeakHp");
+  const corrPeakTqSpan   = document.getElementById("corrPeakTq");
+  const corrFactorSpan   = document.getElementById("corrFactor");
+  const standard = lastResult && CORRECTION_STANDARDS[lastResult.correctionStandard];
+
+  if (corrStandardSpan && standard) corrStandardSpan.textContent = standard.label;
+  if (corrPeakHpSpan)   corrPeakHpSpan.textContent   = formatQuantity("power", summary.correctedPeakHp);
+  if (corrPeakTqSpan)   corrPeakTqSpan.textContent   = formatQuantity("torque", summary.correctedPeakTq);
+  if (corrFactorSpan)   corrFactorSpan.textContent   = summary.correctionFactor.toFixed(3);
+}
+
+/* =========================================================================
+   VEHICLE ACCELERATION
+   ========================================================================= */
+
+function readVehicleFromForm() {
+  const num = (id) => {
+    const el = document.getElementById(id);
+    return el ? parseFloat(el.value) : NaN;
+  };
+  const text = (id) => {
+    const el = document.getElementById(id);
+    return el ? el.value : "";
+  };
+
+  // NaN / blank fields fall back to DEFAULT_VEHICLE in normalizeVehicle
+  const orUndef = (v) => (Number.isFinite(v) ? v : undefined);
+
+  return {
+    massKg: orUndef(num("vehMassKg")),
+    gearRatios: text("vehGearRatios").split(/[,\s]+/).map(parseFloat),
+    finalDrive: orUndef(num("vehFinalDrive")),
+    tyreSize: text("vehTyreSize"),
+    drivetrainLoss: orUndef(num("vehDrivetrainLoss")),
+    cdA: orUndef(num("vehCdA")),
+    crr: orUndef(num("vehCrr")),
+    launchRpm: orUndef(num("vehLaunchRpm")),
+    shiftTimeS: orUndef(num("vehShiftTime")),
+  };
+}
+
+function updateVehicle() {
+  if (!lastResult) return;
+
+  const vehicle = readVehicleFromForm();
+  // inline rather than an alert: this runs on every engine simulate
+  const hint = document.getElementById("vehTyreSizeHint");
+  if (hint) {
+    const known = Boolean(tyreDiameterFromSize(vehicle.tyreSize));
+    hint.classList.toggle("input-error", !known);
+    hint.textContent = known
+      ? "Width/aspect R rim, e.g. 245/40R18."
+      : `"${vehicle.tyreSize}" not recognised – using ${DEFAULT_VEHICLE.tyreSize}.`;
+  }
+
+  lastVehicleResult = simulateVehicle(lastResult, vehicle);
+  renderVehicleResult();
+  updateGearing();
+}
+
+function renderVehicleResult() {
+  const res = lastVehicleResult;
+  const fmtTime = (t) => (t === null ? "n/a" : t.toFixed(2));
+
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  set("accel060", res ? fmtTime(res.zeroTo60Mph) : "–");
+  set("accel0100", res ? fmtTime(res.zeroTo100Kmh) : "–");
+  set("quarterEt", res ? fmtTime(res.quarterMileEt) : "–");
+  set("trapSpeed", res && res.trapSpeedMph !== null ? formatQuantity("speed", res.trapSpeedMph) : "–");
+
+  const assistEnergy = document.getElementById("assistEnergy");
+  if (assistEnergy) {
+    assistEnergy.hidden = !(res && res.assistEnergyKj !== null);
+    set("assistEnergyKj", res && res.assistEnergyKj !== null ? res.assistEnergyKj.toFixed(0) : "–");
+  }
+
+  const tbody = document.querySelector("#shiftTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    for (const sp of res ? res.shiftPoints : []) {
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${sp.gear} → ${sp.gear + 1}</td>
+        <td>${Math.round(sp.rpm)}</td>
+        <td>${formatQuantity("speed", sp.speedMph)}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+
+  updateAccelChart();
+}
+
+function initAccelChart() {
+  const ctx = document.getElementById("accelChart");
+  if (!ctx) return;
+
+  accelChart = new Chart(ctx, {
+    type: "line",
+    data: {
+      datasets: [
+        {
+          label: "Speed",
+          data: [],
+          borderWidth: 2,
+          borderColor: "#22c55e",
+          backgroundColor: "#22c55e",
+          pointRadius: 0,
+          yAxisID: "ySpeed",
+        },
+        {
+          label: "RPM",
+          data: [],
+          borderWidth: 1.5,
+          borderColor: "#f97316",
+          backgroundColor: "#f97316",
+          pointRadius: 0,
+          yAxisID: "yRpm",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: "Time (s)" },
+        },
+        ySpeed: {
+          type: "linear",
+          position: "left",
+          title: { display: true, text: "Speed (mph)" },
+        },
+        yRpm: {
+          type: "linear",
+          position: "right",
+          title: { display: true, text: "RPM" },
+          grid: { drawOnChartArea: false },
+        },
+      },
+    },
+  });
+}
+
+function updateAccelChart() {
+  if (!accelChart) return;
+
+  const speedUnit = activeUnits().speed;
+  const speedLabel = unitLabelFor("speed");
+  accelChart.options.scales.ySpeed.title.text = `Speed (${speedLabel})`;
+  accelChart.data.datasets[0].label = `Speed (${speedLabel})`;
+
+  const trace = lastVehicleResult ? lastVehicleResult.trace : { time: [], speedMph: [], rpm: [] };
+  accelChart.data.datasets[0].data = trace.time.map((t, i) => ({
+    x: t,
+    y: convertUnit("speed", speedUnit, trace.speedMph[i]),
+  }));
+  accelChart.data.datasets[1].data = trace.time.map((t, i) => ({ x: t, y: trace.rpm[i] }));
+  accelChart.update();
+}
+
+/* =========================================================================
+   GEARING OPTIMIZER
+   ========================================================================= */
+
+// Current vehicle with the alternate ratios / final drive swapped in.
+function readAltVehicleFromForm(vehicle) {
+  const ratiosEl = document.getElementById("altGearRatios");
+  const fdEl     = document.getElementById("altFinalDrive");
+
+  const alt = { ...vehicle };
+  const ratios = ratiosEl ? ratiosEl.value.split(/[,\s]+/).map(parseFloat).filter((g) => g > 0) : [];
+  if (ratios.length) alt.gearRatios = ratios;
+  const fd = fdEl ? parseFloat(fdEl.value) : NaN;
+  if (fd > 0) alt.finalDrive = fd;
+  return alt;
+}
+
+function updateGearing() {
+  if (!lastResult) return;
+  const vehicle = readVehicleFromForm();
+  lastGearingResult = compareGearing(lastResult, vehicle, readAltVehicleFromForm(vehicle));
+  renderGearingResult();
+}
+
+function renderGearingResult() {
+  const res = lastGearingResult;
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+
+  set("envAreaBase", res ? (res.base.meanForceN / 1000).toFixed(2) : "–");
+  set("envAreaAlt", res ? (res.alt.meanForceN / 1000).toFixed(2) : "–");
+  set("envAreaDelta", res ? `${res.areaDeltaPct >= 0 ? "+" : ""}${res.areaDeltaPct.toFixed(1)}%` : "–");
+  set("envSpan", res ? formatQuantity("speed", res.spanMph) : "–");
+
+  const tbody = document.querySelector("#gearShiftTable tbody");
+  if (tbody) {
+    tbody.innerHTML = "";
+    const rows = res ? Math.max(res.base.shiftPoints.length, res.alt.shiftPoints.length) : 0;
+    for (let i = 0; i < rows; i++) {
+      const b = res.base.shiftPoints[i];
+      const a = res.alt.shiftPoints[i];
+      const tr = document.createElement("tr");
+      tr.innerHTML = `
+        <td>${i + 1} → ${i + 2}</td>
+        <td>${b ? Math.round(b.rpm) : "–"}</td>
+        <td>${a ? Math.round(a.rpm) : "–"}</td>
+      `;
+      tbody.appendChild(tr);
+    }
+  }
+
+  updateGearChart();
+}
+
+function initGearChart() {
+  const ctx = document.getElementById("gearChart");
+  if (!ctx) return;
+
+  gearChart = new Chart(ctx, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: "Road Speed (mph)" },
+        },
+        y: {
+          type: "linear",
+          title: { display: true, text: "Wheel Force (N)" },
+        },
+      },
+    },
+  });
+}
+
+// One line per gear (current solid, alternate dashed) plus both envelopes.
+function updateGearChart() {
+  if (!gearChart) return;
+
+  const speedUnit  = activeUnits().speed;
+  const speedLabel = unitLabelFor("speed");
+  gearChart.options.scales.x.title.text = `Road Speed (${speedLabel})`;
+
+  const datasets = [];
+  const res = lastGearingResult;
+  const toXY = (pts) =>
+    pts.map((p) => ({ x: convertUnit("speed", speedUnit, p.speedMph), y: p.forceN }));
+
+  if (res) {
+    const sets = [
+      { data: res.base, name: "Current", dash: [] },
+      { data: res.alt, name: "Alternate", dash: [6, 4] },
+    ];
+    for (const set of sets) {
+      set.data.curves.forEach((c, i) => {
+        const color = RUN_COLORS[i % RUN_COLORS.length];
+        datasets.push({
+          label: `${set.name} gear ${c.gear}`,
+          data: toXY(c.points),
+          borderWidth: 1.5,
+          borderDash: set.dash,
+          borderColor: color,
+          backgroundColor: color,
+          pointRadius: 0,
+        });
+      });
+      datasets.push({
+        label: `${set.name} envelope`,
+        data: toXY(set.data.envelope),
+        borderWidth: 2.5,
+        borderDash: set.dash,
+        borderColor: "#e5e7eb",
+        backgroundColor: "#e5e7eb",
+        pointRadius: 0,
+      });
+    }
+  }
+
+  gearChart.data.datasets = datasets;
+  gearChart.update();
+}
 
-  const bsfc    = getBsfc(fuelType, inductionType);
-  const density = getFuelDensityLbPerGal(fuelType);
+/* =========================================================================
+   VE / BOOST TABLE EDITOR
+   ========================================================================= */
 
-  for (let i = 0; i < rpmArr.length; i++) {
-    const rpm      = rpmArr[i];
-    const tq       = torqueArr[i];
-    const hp       = hpArr[i];
-    const bmepBar  = bmepBarArr[i];
+const TABLE_FILL_STEP_RPM = 500;
 
-    let veFrac = bmepRefBar > 0 ? bmepBar / bmepRefBar : 1.0;
-    veFrac = Math.max(0.6, Math.min(veFrac, 1.2));
+function tableSeries() {
+  const ve    = parseRpmTable(document.getElementById("veTable").value) || [];
+  const boost = parseRpmTable(document.getElementById("boostTable").value) || [];
+  return { ve, boost };
+}
 
-    const ps          = meanPistonSpeed(strokeMm, rpm);
-    const bmepPsiVal  = bmepPsiFromTorque(tq, displacementL);
-    const cfm         = cfmAtRpm(displacementL, rpm, veFrac);
-    const fuelLbHr    = hp > 0 ? hp * bsfc : 0;
-    const fuelGalHr   = fuelLbHr / density;
+function initVeTableChart() {
+  const ctx = document.getElementById("veTableChart");
+  if (!ctx) return;
 
-    const tr = document.createElement("tr");
-    tr.innerHTML = `
-      <td>${rpm}</td>
-      <td>${hp.toFixed(1)}</td>
-      <td>${tq.toFixed(1)}</td>
-      <td>${(veFrac * 100).toFixed(0)}</td>
-      <td>${ps.toFixed(2)}</td>
-      <td>${bmepPsiVal.toFixed(1)}</td>
-      <td>${cfm.toFixed(0)}</td>
-      <td>${fuelLbHr.toFixed(1)}</td>
-      <td>${fuelGalHr.toFixed(2)}</td>
-    `;
-    tbody.appendChild(tr);
-  }
+  veTableChart = new Chart(ctx, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      animation: false,
+      scales: {
+        x: {
+          type: "linear",
+          title: { display: true, text: "RPM" },
+        },
+        y: {
+          type: "linear",
+          position: "left",
+          title: { display: true, text: "VE (%)" },
+        },
+        y1: {
+          type: "linear",
+          position: "right",
+          min: 0,
+          grid: { drawOnChartArea: false },
+          title: { display: true, text: "Boost (psi)" },
+        },
+      },
+    },
+  });
+
+  // drag a point vertically; re-simulate on release
+  let dragging = null;
+  ctx.addEventListener("pointerdown", (e) => {
+    const hits = veTableChart.getElementsAtEventForMode(e, "nearest", { intersect: true }, false);
+    if (!hits.length) return;
+    dragging = { datasetIndex: hits[0].datasetIndex, index: hits[0].index };
+    ctx.setPointerCapture(e.pointerId);
+  });
+  ctx.addEventListener("pointermove", (e) => {
+    if (!dragging) return;
+    const dataset = veTableChart.data.datasets[dragging.datasetIndex];
+    const scale   = veTableChart.scales[dataset.yAxisID];
+    const value   = Math.max(0, scale.getValueForPixel(e.offsetY));
+    const digits  = dataset.yAxisID === "y" ? 1 : UNIT_DIGITS[boostInputUnit()];
+    dataset.data[dragging.index].y = +value.toFixed(digits);
+
+    const textId = dataset.yAxisID === "y" ? "veTable" : "boostTable";
+    document.getElementById(textId).value = formatRpmTable(dataset.data.map((p) => [p.x, p.y]), digits);
+    veTableChart.update("none");
+  });
+  const endDrag = () => {
+    if (!dragging) return;
+    dragging = null;
+    runSimulation();
+  };
+  ctx.addEventListener("pointerup", endDrag);
+  ctx.addEventListener("pointercancel", endDrag);
+
+  updateVeTableEditor();
 }
 
-function updateSummary(
-  rpmArr,
-  torqueArr,
-  hpArr,
-  bmepBarArr,
-  bmepRefBar,
-  displacementL,
-  fuelType,
-  inductionType
-) {
-  const peakHpSpan      = document.getElementById("peakHp");
-  const peakHpRpmSpan   = document.getElementById("peakHpRpm");
-  const peakTqSpan      = document.getElementById("peakTq");
-  const peakTqRpmSpan   = document.getElementById("peakTqRpm");
-  const hpPerLSpan      = document.getElementById("hpPerL");
-  const fuelPeakLbSpan  = document.getElementById("fuelPeakLb");
-  const fuelPeakGalSpan = document.getElementById("fuelPeakGal");
-  const bmepPeakPsiSpan = document.getElementById("bmepPeakPsi");
-  const cfmPeakSpan     = document.getElementById("cfmPeak");
+function updateVeTableEditor() {
+  const select = document.getElementById("curveSource");
+  const fields = document.getElementById("veTableFields");
+  if (fields && select) fields.hidden = select.value !== "table";
+  if (!veTableChart) return;
+
+  // the boost table is already in the boost input unit
+  const { ve, boost } = tableSeries();
+  const boostLabel = `Boost (${unitLabel("pressure", boostInputUnit())})`;
+  const toXY = (table) => table.map(([x, y]) => ({ x, y }));
+  veTableChart.data.datasets = [
+    {
+      label: "VE (%)",
+      data: toXY(ve),
+      yAxisID: "y",
+      borderWidth: 2,
+      borderColor: "#38bdf8",
+      backgroundColor: "#38bdf8",
+      pointRadius: 5,
+      pointHoverRadius: 7,
+    },
+    {
+      label: boostLabel,
+      data: toXY(boost),
+      yAxisID: "y1",
+      borderWidth: 2,
+      borderColor: "#f97316",
+      backgroundColor: "#f97316",
+      pointRadius: 5,
+      pointHoverRadius: 7,
+    },
+  ];
+  veTableChart.options.scales.y1.display = boost.length > 0;
+  veTableChart.options.scales.y1.title.text = boostLabel;
+  veTableChart.update();
+}
+
+// Seeds the tables so they reproduce the built-in model for the current
+// inputs, then switches to tuner mode so there is something to drag around.
+function fillTablesFromRun() {
+  const cfg = readConfigFromForm();
+  if (!cfg.displacementL) return;
+
+  const { veTable, boostTable } = curveTablesFromModel({
+    ...cfg,
+    compressorMap: compressorMapForSim(cfg.compressorMap),
+  }, TABLE_FILL_STEP_RPM);
+
+  document.getElementById("veTable").value = formatRpmTable(veTable);
+  setBoostTablePsi(boostTable ? formatRpmTable(boostTable) : "");
+  document.getElementById("curveSource").value = "table";
+
+  updateVeTableEditor();
+  runSimulation();
+}
+
+/* =========================================================================
+   COMPRESSOR MAP
+   ========================================================================= */
+
+// The form (and so links and presets) only ever carries the id; "custom"
+// is swapped for the loaded map object when simulating. With no map loaded
+// the id is passed through so the core can warn about it.
+function compressorMapForSim(id) {
+  return id === "custom" && customCompressorMap ? customCompressorMap : id;
+}
+
+function loadCompressorMapFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let map;
+    try {
+      map = parseCompressorMap(reader.result);
+    } catch (err) {
+      alert(`Could not load compressor map: ${err.message}`);
+      return;
+    }
+
+    customCompressorMap = map;
+    const select = document.getElementById("compressorMap");
+    const option = select && select.querySelector('option[value="custom"]');
+    if (option) {
+      option.textContent = `Custom: ${map.name}`;
+      option.hidden = false;
+      option.disabled = false;
+      select.value = "custom";
+    }
+    runSimulation();
+  };
+  reader.readAsText(file);
+}
+
+function initCompressorChart() {
+  const ctx = document.getElementById("compressorChart");
+  if (!ctx) return;
+
+  compressorChart = new Chart(ctx, {
+    type: "line",
+    data: { datasets: [] },
+    options: {
+      responsive: true,
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: (item) => {
+              const p = item.raw;
+              const base = `${item.dataset.label}: ${p.x.toFixed(1)} lb/min, PR ${p.y.toFixed(2)}`;
+              return p.rpm ? `${base} @ ${p.rpm} rpm` : base;
+            },
+          },
+        },
+      },
+      scales: {
+        x: {
+          type: "linear",
+          min: 0,
+          title: { display: true, text: "Corrected Air Flow (lb/min)" },
+        },
+        y: {
+          type: "linear",
+          min: 1,
+          title: { display: true, text: "Pressure Ratio" },
+        },
+      },
+    },
+  });
+}
 
-  let peakHp = -Infinity;
-  let peakHpRpm = 0;
-  let peakTq = -Infinity;
-  let peakTqRpm = 0;
+function updateCompressorPanel() {
+  const panel = document.getElementById("compressorPanel");
+  const turbo = lastResult && lastResult.turbo;
+  if (panel) panel.hidden = !turbo;
+  if (!turbo) return;
 
-  for (let i = 0; i < rpmArr.length; i++) {
-    if (hpArr[i] > peakHp) {
-      peakHp    = hpArr[i];
-      peakHpRpm = rpmArr[i];
+  const map = resolveCompressorMap(compressorMapForSim(lastResult.config.compressorMap));
+  const setText = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  setText("compressorName", turbo.mapName);
+  setText("compressorSpool", turbo.spoolRpm !== null ? turbo.spoolRpm : "never");
+  setText("compressorOutletMax", Math.max(...turbo.outletTempC).toFixed(0));
+  setText("compressorEffMax", (Math.max(...turbo.efficiency) * 100).toFixed(0));
+
+  if (!compressorChart || !map) return;
+
+  const toXY = (pts) => pts.map(([x, y]) => ({ x, y }));
+  const datasets = map.islands.map((isl, i) => ({
+    label: `${(isl.efficiency * 100).toFixed(0)}%`,
+    data: toXY([...isl.points, isl.points[0]]),
+    borderWidth: 1,
+    borderColor: `rgba(148, 163, 184, ${0.35 + (0.65 * (i + 1)) / map.islands.length})`,
+    pointRadius: 0,
+  }));
+  datasets.push(
+    {
+      label: "Surge",
+      data: toXY(map.surge),
+      borderWidth: 2,
+      borderColor: "#ef4444",
+      backgroundColor: "#ef4444",
+      pointRadius: 0,
+    },
+    {
+      label: "Choke",
+      data: toXY(map.choke),
+      borderWidth: 2,
+      borderColor: "#f59e0b",
+      backgroundColor: "#f59e0b",
+      pointRadius: 0,
+    },
+    {
+      label: "Operating line",
+      data: lastResult.rpm.map((rpm, i) => ({
+        x: turbo.flowLbMin[i],
+        y: turbo.pressureRatio[i],
+        rpm,
+      })),
+      borderWidth: 2.5,
+      borderColor: "#38bdf8",
+      backgroundColor: "#38bdf8",
+      pointRadius: 2,
     }
-    if (torqueArr[i] > peakTq) {
-      peakTq    = torqueArr[i];
-      peakTqRpm = rpmArr[i];
+  );
+
+  compressorChart.data.datasets = datasets;
+  compressorChart.update();
+}
+
+/* =========================================================================
+   UNITS (DISPLAY & BOOST INPUT)
+   ========================================================================= */
+
+const UNIT_PREFS_KEY = "engineSim.units.v1";
+
+const DEFAULT_UNIT_PREFS = {
+  system: "imperial",     // "imperial" | "metric"
+  metricPower: "kw",      // "kw" | "ps"
+  metricAirflow: "m3min", // "m3min" | "ls"
+  boost: "psi",           // boost input: "psi" | "bar" | "kpa"
+};
+
+// Decimal places shown per unit
+const UNIT_DIGITS = {
+  mph: 1, kmh: 1,
+  hp: 1, kw: 1, ps: 1,
+  lbft: 1, nm: 1,
+  psi: 1, bar: 2, kpa: 0,
+  cfm: 0, m3min: 2, ls: 0,
+  lbhr: 1, kgh: 1,
+  galhr: 2, lh: 1,
+  lbhphr: 3, gkwh: 0,
+};
+
+// Spinner step for the boost field in each input unit
+const BOOST_INPUT_STEP = { psi: "0.1", bar: "0.01", kpa: "1" };
+
+function loadUnitPrefs() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(UNIT_PREFS_KEY) || "{}");
+    return { ...DEFAULT_UNIT_PREFS, ...(saved && typeof saved === "object" ? saved : {}) };
+  } catch (err) {
+    return { ...DEFAULT_UNIT_PREFS };
+  }
+}
+
+function saveUnitPrefs() {
+  try {
+    localStorage.setItem(UNIT_PREFS_KEY, JSON.stringify(unitPrefs));
+  } catch (err) {
+    // not fatal – the choice just won't survive a reload
+  }
+}
+
+function activeUnits() {
+  if (!unitPrefs || unitPrefs.system !== "metric") return IMPERIAL_UNITS;
+  return metricUnits(unitPrefs.metricPower, unitPrefs.metricAirflow);
+}
+
+function unitLabelFor(quantity) {
+  return unitLabel(quantity, activeUnits()[quantity]);
+}
+
+// Model-unit value → display string in the active unit
+function formatQuantity(quantity, value) {
+  const unit = activeUnits()[quantity];
+  const digits = UNIT_DIGITS[unit] !== undefined ? UNIT_DIGITS[unit] : 1;
+  return convertUnit(quantity, unit, value).toFixed(digits);
+}
+
+function boostInputUnit() {
+  return unitPrefs ? unitPrefs.boost : "psi";
+}
+
+function setBoostInputPsi(psi) {
+  const el = document.getElementById("boostPsi");
+  if (!el) return;
+  const unit = boostInputUnit();
+  const digits = UNIT_DIGITS[unit];
+  el.value = String(+convertUnit("pressure", unit, psi).toFixed(digits));
+}
+
+function readBoostInputPsi() {
+  const el = document.getElementById("boostPsi");
+  const raw = el ? parseFloat(el.value) : NaN;
+  return Number.isFinite(raw) ? toBaseUnit("pressure", boostInputUnit(), raw) : 0;
+}
+
+// The boost table is typed in the boost input unit as well; the config (and
+// so links and presets) always carries it in psi. Text with any line that
+// does not parse is passed through untouched so the table diagnostics
+// still see it (parseRpmTable alone would drop the bad lines).
+function boostTableToConvert(text) {
+  return unreadRpmTableLines(text).length ? null : parseRpmTable(text);
+}
+
+function setBoostTablePsi(text) {
+  const el = document.getElementById("boostTable");
+  if (!el) return;
+  const unit  = boostInputUnit();
+  const table = unit === "psi" ? null : boostTableToConvert(text);
+  el.value = table
+    ? formatRpmTable(table.map(([rpm, psi]) => [rpm, convertUnit("pressure", unit, psi)]), UNIT_DIGITS[unit])
+    : text;
+}
+
+function readBoostTablePsi() {
+  const el = document.getElementById("boostTable");
+  const text  = el ? el.value.trim() : "";
+  const unit  = boostInputUnit();
+  const table = unit === "psi" ? null : boostTableToConvert(text);
+  return table
+    ? formatRpmTable(table.map(([rpm, v]) => [rpm, toBaseUnit("pressure", unit, v)]), 3)
+    : text;
+}
+
+function initUnitControls() {
+  unitPrefs = loadUnitPrefs();
+
+  const bindings = {
+    unitSystem: "system",
+    metricPowerUnit: "metricPower",
+    metricAirflowUnit: "metricAirflow",
+    boostUnit: "boost",
+  };
+
+  for (const [id, prefKey] of Object.entries(bindings)) {
+    const el = document.getElementById(id);
+    if (!el) continue;
+    if ([...el.options].some((o) => o.value === unitPrefs[prefKey])) {
+      el.value = unitPrefs[prefKey];
+    } else {
+      unitPrefs[prefKey] = DEFAULT_UNIT_PREFS[prefKey];
     }
+
+    el.addEventListener("change", () => {
+      if (prefKey === "boost") {
+        // keep the same physical boost when the input unit changes
+        const psi = readBoostInputPsi();
+        const tablePsi = readBoostTablePsi();
+        unitPrefs.boost = el.value;
+        setBoostInputPsi(psi);
+        setBoostTablePsi(tablePsi);
+      } else {
+        unitPrefs[prefKey] = el.value;
+      }
+      saveUnitPrefs();
+      onUnitsChanged();
+    });
+  }
+
+  onUnitsChanged();
+}
+
+// Relabels everything unit-bearing and redraws the current results.
+function onUnitsChanged() {
+  const metric = unitPrefs.system === "metric";
+  document.querySelectorAll(".metric-only").forEach((el) => {
+    el.hidden = !metric;
+  });
+
+  document.querySelectorAll("[data-unit]").forEach((el) => {
+    el.textContent = unitLabelFor(el.dataset.unit);
+  });
+
+  const boostLabel = document.getElementById("boostUnitLabel");
+  if (boostLabel) boostLabel.textContent = unitLabel("pressure", boostInputUnit());
+  const boostEl = document.getElementById("boostPsi");
+  if (boostEl) boostEl.step = BOOST_INPUT_STEP[boostInputUnit()] || "any";
+  const boostTableLabel = document.getElementById("boostTableUnitLabel");
+  if (boostTableLabel) boostTableLabel.textContent = unitLabel("pressure", boostInputUnit());
+
+  updateVeTableEditor();
+  updateChart();
+  updateLossChart();
+  updateBsfcChart();
+  updateOperatingMap();
+  updateComparison();
+  if (lastResult) {
+    updateResultsTable(lastResult);
+    updateSummary(lastResult.summary);
   }
+  renderVehicleResult();
+  renderGearingResult();
+}
+
+/* =========================================================================
+   EXPORT (CLIENT-SIDE DOWNLOADS)
+   ========================================================================= */
+
+function exportBaseName() {
+  const cfg = lastResult.config;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  return `engine-${cfg.engineMode}-${cfg.displacementL.toFixed(2)}L-${stamp}`;
+}
+
+function downloadUrl(url, filename) {
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+}
+
+function downloadText(text, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+  downloadUrl(url, filename);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function requireResultForExport() {
+  if (lastResult) return true;
+  alert("Run a simulation first – there is nothing to export yet.");
+  return false;
+}
+
+function exportCsv() {
+  if (!requireResultForExport()) return;
+  downloadText(resultToCsv(lastResult, activeUnits()), `${exportBaseName()}.csv`, "text/csv");
+}
+
+function exportJson() {
+  if (!requireResultForExport()) return;
+  downloadText(
+    resultToJson(lastResult, activeUnits()),
+    `${exportBaseName()}.json`,
+    "application/json"
+  );
+}
+
+function exportOperatingMapCsv() {
+  if (!requireResultForExport()) return;
+  downloadText(
+    operatingMapToCsv(lastOperatingMap, activeUnits()),
+    `${exportBaseName()}-map.csv`,
+    "text/csv"
+  );
+}
 
-  const hpPerL      = displacementL > 0 ? peakHp / displacementL : 0;
-  const bmepPeakPsi = bmepPsiFromTorque(peakTq, displacementL);
-  const bmepPeakBar = bmepPeakPsi * 0.0689476;
+function exportPng() {
+  if (!requireResultForExport() || !powerChart) return;
+  downloadUrl(powerChart.toBase64Image("image/png", 1), `${exportBaseName()}.png`);
+}
+
+/* =========================================================================
+   WARNINGS PANEL
+   ========================================================================= */
+
+function inputLabelFor(configKey) {
+  const field = FORM_FIELDS.find((f) => f.key === configKey);
+  const id = field ? field.id : configKey;
+  const label = document.querySelector(`label[for="${id}"]`);
+  return label ? label.textContent : configKey;
+}
+
+function updateWarnings(warnings) {
+  const box = document.getElementById("warnings");
+  if (!box) return;
+
+  box.innerHTML = "";
+  if (!warnings || !warnings.length) return;
 
-  let veFracPeak = bmepRefBar > 0 ? bmepPeakBar / bmepRefBar : 1.0;
-  veFracPeak = Math.max(0.6, Math.min(veFracPeak, 1.2));
-  const cfmAtPeak = cfmAtRpm(displacementL, peakTqRpm, veFracPeak);
+  const list = document.createElement("ul");
+  list.className = "warning-list";
 
-  const bsfc    = getBsfc(fuelType, inductionType);
-  const density = getFuelDensityLbPerGal(fuelType);
-  const fuelLbHr  = peakHp > 0 ? peakHp * bsfc : 0;
-  const fuelGalHr = fuelLbHr / density;
+  for (const w of warnings) {
+    const li = document.createElement("li");
+    li.className = `warning warning-${w.severity}`;
 
-  if (peakHpSpan)      peakHpSpan.textContent      = peakHp.toFixed(1);
-  if (peakHpRpmSpan)   peakHpRpmSpan.textContent   = peakHpRpm;
-  if (peakTqSpan)      peakTqSpan.textContent      = peakTq.toFixed(1);
-  if (peakTqRpmSpan)   peakTqRpmSpan.textContent   = peakTqRpm;
-  if (hpPerLSpan)      hpPerLSpan.textContent      = hpPerL.toFixed(1);
-  if (bmepPeakPsiSpan) bmepPeakPsiSpan.textContent = bmepPeakPsi.toFixed(1);
-  if (cfmPeakSpan)     cfmPeakSpan.textContent     = cfmAtPeak.toFixed(0);
-  if (fuelPeakLbSpan)  fuelPeakLbSpan.textContent  = fuelLbHr.toFixed(1);
-  if (fuelPeakGalSpan) fuelPeakGalSpan.textContent = fuelGalHr.toFixed(2);
+    const msg = document.createElement("span");
+    msg.className = "warning-message";
+    msg.textContent = w.message;
+
+    const meta = document.createElement("small");
+    meta.className = "warning-meta";
+    const rpmText = w.rpmFrom === w.rpmTo ? `${w.rpmFrom} rpm` : `${w.rpmFrom}–${w.rpmTo} rpm`;
+    meta.textContent = `${w.severity.toUpperCase()} · ${rpmText} · ${inputLabelFor(w.input)}`;
+
+    li.appendChild(msg);
+    li.appendChild(meta);
+    list.appendChild(li);
+  }
+
+  box.appendChild(list);
 }
 
 /* =========================================================================
@@ -1099,110 +2478,70 @@ function updateDisplacementFromGeometry() {
 
   if (!cylEl || !boreEl || !strokeEl || !dispEl) return;
 
-  const cyl   = parseInt(cylEl.value) || 0;
-  const bore  = parseFloat(boreEl.value) || 0;
-  const stroke= parseFloat(strokeEl.value) || 0;
+  const num = (id) => parseFloat((document.getElementById(id) || {}).value) || 0;
+  const dispL = sweptDisplacementL({
+    engineCycle: (document.getElementById("engineCycle") || {}).value || "four_stroke",
+    cylinders: parseInt(cylEl.value) || 0,
+    boreMm: parseFloat(boreEl.value) || 0,
+    strokeMm: parseFloat(strokeEl.value) || 0,
+    rotorCount: num("rotorCount"),
+    rotorChamberCc: num("rotorChamberCc"),
+  });
+  if (dispL > 0) dispEl.value = dispL.toFixed(2);
+}
+
+// Shows the fields tagged data-cycle="…" for the selected engine cycle.
+function updateCycleFields() {
+  const select = document.getElementById("engineCycle");
+  const cycle  = select ? select.value : "four_stroke";
+  document.querySelectorAll("[data-cycle]").forEach((el) => {
+    el.hidden = !el.dataset.cycle.split(" ").includes(cycle);
+  });
+}
 
-  if (!cyl || !bore || !stroke) return;
+// Live readout under the rod / chamber inputs (same maths as the sim).
+function updateGeometryInfo() {
+  const el = document.getElementById("geometryInfo");
+  if (!el) return;
 
-  const dispL = litersFromBoreStroke(bore, stroke, cyl);
-  if (dispL > 0) dispEl.value = dispL.toFixed(2);
+  const cfg = readConfigFromForm();
+  if (cfg.engineCycle === "rotary") {
+    el.textContent =
+      `Rotary: no pistons or rods · at redline: mean apex-seal speed ` +
+      `${apexSealSpeed(cfg.rotorRadiusMm, cfg.redline).toFixed(1)} m/s`;
+    return;
+  }
+  if (!cfg.strokeMm) return;
+  const geo = engineGeometry(normalizeConfig(cfg));
+
+  const parts = [];
+  if (geo.staticCr !== null) {
+    parts.push(`Static CR ${geo.staticCr.toFixed(2)}:1${geo.crSource === "geometry" ? " (used)" : ""}`);
+  }
+  // a two-stroke's trapped ratio is set by the ports, not a cam
+  if (cfg.engineCycle === "four_stroke") {
+    parts.push(`Dynamic CR ${geo.dynamicCr.toFixed(1)}:1 (IVC ${geo.ivcAbdc.toFixed(0)}° ABDC${geo.ivcSource === "cam" ? ", from cam" : ""})`);
+  }
+  parts.push(
+    `Rod/stroke ${geo.rodRatio.toFixed(2)}${geo.rodKnown ? "" : " (assumed)"}`,
+    `At redline: max piston velocity ${geo.maxVelocityMs.toFixed(1)} m/s @ ${geo.maxVelocityDeg.toFixed(0)}° ATDC, ` +
+    `peak acceleration ${Math.round(geo.peakAccelMs2).toLocaleString()} m/s²`
+  );
+  el.textContent = parts.join(" · ");
 }
 
 /* =========================================================================
    PRESETS
    ========================================================================= */
 
-const PRESETS = {
-  k20c1: {
-    engineMode: "gas_turbo",
-    cylinders: 4,
-    boreMm: 86.0,
-    strokeMm: 85.9,
-    compRatio: 9.8,
-    redline: 7000,
-    vePeak: 105,
-    sizePenalty: 3,
-    pistonSpeedLimit: 26,
-    boostPsi: 21,
-    valvetrainType: "dohc",
-    valvesPerCyl: 4,
-  },
-  k24z7: {
-    engineMode: "gas_na",
-    cylinders: 4,
-    boreMm: 87.0,
-    strokeMm: 99.0,
-    compRatio: 11.0,
-    redline: 7500,
-    vePeak: 100,
-    sizePenalty: 3,
-    pistonSpeedLimit: 25,
-    boostPsi: 0,
-    valvetrainType: "dohc",
-    valvesPerCyl: 4,
-  },
-  coyote50: {
-    engineMode: "gas_na",
-    cylinders: 8,
-    boreMm: 92.2,
-    strokeMm: 92.7,
-    compRatio: 11.0,
-    redline: 7000,
-    vePeak: 100,
-    sizePenalty: 3,
-    pistonSpeedLimit: 25,
-    boostPsi: 0,
-    valvetrainType: "dohc",
-    valvesPerCyl: 4,
-  },
-  ls3: {
-    engineMode: "gas_na",
-    cylinders: 8,
-    boreMm: 103.25,
-    strokeMm: 92.0,
-    compRatio: 10.7,
-    redline: 6600,
-    vePeak: 95,
-    sizePenalty: 4,
-    pistonSpeedLimit: 24,
-    boostPsi: 0,
-    valvetrainType: "pushrod",
-    valvesPerCyl: 2,
-  },
-  l15b7: {
-    engineMode: "gas_turbo",
-    cylinders: 4,
-    boreMm: 73.0,
-    strokeMm: 89.5,
-    compRatio: 10.6,
-    redline: 6500,
-    vePeak: 100,
-    sizePenalty: 3,
-    pistonSpeedLimit: 25,
-    boostPsi: 16,
-    valvetrainType: "dohc",
-    valvesPerCyl: 4,
-  },
-  cummins67: {
-    engineMode: "diesel_turbo",
-    cylinders: 6,
-    boreMm: 107.0,
-    strokeMm: 124.0,
-    compRatio: 16.5,
-    redline: 3600,
-    vePeak: 95,
-    sizePenalty: 2,
-    pistonSpeedLimit: 20,
-    boostPsi: 26,
-    valvetrainType: "sohc",
-    valvesPerCyl: 4,
-  },
-};
-
 function applyPreset(key) {
   if (key === "custom") return;
 
+  if (key.startsWith(USER_PRESET_PREFIX)) {
+    applyUserPreset(key.slice(USER_PRESET_PREFIX.length));
+    return;
+  }
+
   const preset = PRESETS[key];
   if (!preset) return;
 
@@ -1220,18 +2559,219 @@ function applyPreset(key) {
   const valvesEl = document.getElementById("valvesPerCyl");
 
   if (modeEl)   modeEl.value   = preset.engineMode;
-  if (cylEl)    cylEl.value    = preset.cylinders;
-  if (boreEl)   boreEl.value   = preset.boreMm;
-  if (strokeEl) strokeEl.value = preset.strokeMm;
+  // rotary presets carry rotors instead of bore / stroke
+  if (cylEl && preset.cylinders)   cylEl.value    = preset.cylinders;
+  if (boreEl && preset.boreMm)     boreEl.value   = preset.boreMm;
+  if (strokeEl && preset.strokeMm) strokeEl.value = preset.strokeMm;
   if (compEl)   compEl.value   = preset.compRatio;
   if (redEl)    redEl.value    = preset.redline;
   if (veEl)     veEl.value     = preset.vePeak;
   if (sizePenEl)sizePenEl.value= preset.sizePenalty;
   if (pistEl)   pistEl.value   = preset.pistonSpeedLimit;
-  if (boostEl)  boostEl.value  = preset.boostPsi;
-  if (vtEl)     vtEl.value     = preset.valvetrainType;
-  if (valvesEl) valvesEl.value = String(preset.valvesPerCyl);
+  if (boostEl)  setBoostInputPsi(preset.boostPsi);
+  if (vtEl && preset.valvetrainType)   vtEl.value     = preset.valvetrainType;
+  if (valvesEl && preset.valvesPerCyl) valvesEl.value = String(preset.valvesPerCyl);
+
+  // cams and rod length (presets without them keep whatever is in the form)
+  const extraFields = FORM_FIELDS.filter((f) =>
+    f.key in preset && (f.key.startsWith("cam") || f.key === "rodLengthMm"));
+  writeConfigToForm(Object.fromEntries(extraFields.map((f) => [f.key, preset[f.key]])));
+
+  // curve tables, the CR stack, part limits and the cycle belong to the
+  // engine: presets without them go back to the defaults
+  writeConfigToForm(presetEngineConfig(preset));
 
   // Now update displacement from geometry with preset values
   updateDisplacementFromGeometry();
 }
+
+/* =========================================================================
+   USER PRESETS (LOCALSTORAGE, IMPORT / EXPORT)
+   ========================================================================= */
+
+// Stored as [{ id, name, config }] where config holds the FORM_FIELDS keys.
+const USER_PRESETS_KEY    = "engineSim.userPresets.v1";
+const USER_PRESET_PREFIX  = "user:";
+const PRESET_FILE_FORMAT  = "engine-sim-presets";
+
+function loadUserPresets() {
+  try {
+    const list = JSON.parse(localStorage.getItem(USER_PRESETS_KEY) || "[]");
+    return Array.isArray(list) ? list.filter(isValidUserPreset) : [];
+  } catch (err) {
+    console.warn("Could not read saved presets:", err);
+    return [];
+  }
+}
+
+function saveUserPresets(list) {
+  try {
+    localStorage.setItem(USER_PRESETS_KEY, JSON.stringify(list));
+  } catch (err) {
+    alert("Could not save presets – browser storage may be full or disabled.");
+  }
+}
+
+function isValidUserPreset(p) {
+  return (
+    p && typeof p === "object" &&
+    typeof p.name === "string" && p.name.trim() !== "" &&
+    p.config && typeof p.config === "object"
+  );
+}
+
+function newPresetId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+function configForPreset() {
+  const cfg = readConfigFromForm();
+  const out = {};
+  for (const field of FORM_FIELDS) out[field.key] = cfg[field.key];
+  return out;
+}
+
+function selectedUserPresetId() {
+  const select = document.getElementById("presetSelect");
+  if (!select || !select.value.startsWith(USER_PRESET_PREFIX)) return null;
+  return select.value.slice(USER_PRESET_PREFIX.length);
+}
+
+// Rebuilds the "My Presets" optgroup and keeps `selectId` selected.
+function renderUserPresetOptions(selectId = selectedUserPresetId()) {
+  const select = document.getElementById("presetSelect");
+  const group  = document.getElementById("userPresetGroup");
+  if (!select || !group) return;
+
+  group.innerHTML = "";
+  const list = loadUserPresets();
+  for (const p of list) {
+    const opt = document.createElement("option");
+    opt.value = USER_PRESET_PREFIX + p.id;
+    opt.textContent = p.name;
+    group.appendChild(opt);
+  }
+  group.hidden = list.length === 0;
+
+  if (selectId && list.some((p) => p.id === selectId)) {
+    select.value = USER_PRESET_PREFIX + selectId;
+  } else if (select.value.startsWith(USER_PRESET_PREFIX) || !select.value) {
+    select.value = "custom";
+  }
+  updateUserPresetButtons();
+}
+
+function updateUserPresetButtons() {
+  const hasSelection = selectedUserPresetId() !== null;
+  ["renamePresetBtn", "deletePresetBtn"].forEach((id) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = !hasSelection;
+  });
+}
+
+function applyUserPreset(id) {
+  const preset = loadUserPresets().find((p) => p.id === id);
+  if (!preset) return;
+
+  const mode = preset.config.engineMode;
+  const modeEl = document.getElementById("engineMode");
+  if (modeEl && mode) modeEl.value = mode;
+  applyModeDefaults(modeEl ? modeEl.value : mode);
+
+  writeConfigToForm(preset.config);
+}
+
+function saveCurrentAsPreset() {
+  const name = prompt("Name for this preset:");
+  if (name === null || !name.trim()) return;
+
+  const list = loadUserPresets();
+  const preset = { id: newPresetId(), name: name.trim(), config: configForPreset() };
+  list.push(preset);
+  saveUserPresets(list);
+  renderUserPresetOptions(preset.id);
+}
+
+function renameSelectedPreset() {
+  const id = selectedUserPresetId();
+  if (!id) return;
+
+  const list = loadUserPresets();
+  const preset = list.find((p) => p.id === id);
+  if (!preset) return;
+
+  const name = prompt("Rename preset:", preset.name);
+  if (name === null || !name.trim()) return;
+
+  preset.name = name.trim();
+  saveUserPresets(list);
+  renderUserPresetOptions(id);
+}
+
+function deleteSelectedPreset() {
+  const id = selectedUserPresetId();
+  if (!id) return;
+
+  const list = loadUserPresets();
+  const preset = list.find((p) => p.id === id);
+  if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+
+  saveUserPresets(list.filter((p) => p.id !== id));
+  renderUserPresetOptions(null);
+}
+
+function exportUserPresets() {
+  const list = loadUserPresets();
+  if (!list.length) {
+    alert("No saved presets to export yet.");
+    return;
+  }
+
+  const payload = {
+    format: PRESET_FILE_FORMAT,
+    version: 1,
+    presets: list.map((p) => ({ name: p.name, config: p.config })),
+  };
+  downloadText(JSON.stringify(payload, null, 2), "engine-presets.json", "application/json");
+}
+
+// Accepts our export format or a bare array of { name, config }.
+// Imported presets are appended with fresh ids; nothing is overwritten.
+function importUserPresets(file) {
+  const reader = new FileReader();
+  reader.onload = () => {
+    let incoming;
+    try {
+      const data = JSON.parse(reader.result);
+      incoming = Array.isArray(data) ? data : data && data.presets;
+    } catch (err) {
+      alert("That file is not valid JSON.");
+      return;
+    }
+
+    if (!Array.isArray(incoming)) {
+      alert("No presets found in that file.");
+      return;
+    }
+
+    const valid = incoming.filter(isValidUserPreset);
+    if (!valid.length) {
+      alert("No presets found in that file.");
+      return;
+    }
+
+    const list = loadUserPresets();
+    for (const p of valid) {
+      list.push({ id: newPresetId(), name: p.name.trim(), config: p.config });
+    }
+    saveUserPresets(list);
+    renderUserPresetOptions();
+
+    const skipped = incoming.length - valid.length;
+    alert(
+      `Imported ${valid.length} preset(s).` +
+      (skipped ? ` Skipped ${skipped} invalid entr${skipped === 1 ? "y" : "ies"}.` : "")
+    );
+  };
+  reader.readAsText(file);
+}
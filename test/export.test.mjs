@@ -0,0 +1,17 @@
+// Run with: node --test test/
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { PRESETS, resultToCsv, simulateEngine } from "../engine-core.mjs";
+
+function csvHeaders(config) {
+  const lines = resultToCsv(simulateEngine(config)).split("\n");
+  return lines.find((line) => line.startsWith("RPM,")).split(",");
+}
+
+test("CSV export names the speed column by engine cycle", () => {
+  assert.ok(csvHeaders(PRESETS.k20c1).includes("Piston Speed (m/s)"));
+  const rotary = csvHeaders(PRESETS.renesis13b);
+  assert.ok(rotary.includes("Apex Seal Speed (m/s)"));
+  assert.ok(!rotary.includes("Piston Speed (m/s)"));
+});
@@ -0,0 +1,54 @@
+// Run with: node --test test/
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { PRESETS, presetEngineConfig, simulateEngine } from "../engine-core.mjs";
+
+// What the form holds after tuning an engine in table mode with a CR stack
+const STALE_FORM = {
+  ...PRESETS.k20c1,
+  curveSource: "table",
+  veTable: "1000, 60\n7000, 60",
+  boostTable: "1000, 5\n7000, 5",
+  crSource: "geometry",
+  chamberCc: 40,
+  deckClearanceMm: 0.2,
+  pistonCc: -4,
+  internals: "forged",
+};
+
+test("a built-in preset loaded after table mode runs on its own numbers", () => {
+  for (const [key, preset] of Object.entries(PRESETS)) {
+    const form = { ...STALE_FORM, ...preset, ...presetEngineConfig(preset) };
+    const loaded = simulateEngine(form).summary;
+    const fresh  = simulateEngine(preset).summary;
+    assert.equal(form.curveSource, preset.curveSource || "model", key);
+    assert.equal(loaded.peakHp.toFixed(1), fresh.peakHp.toFixed(1), key);
+    assert.equal(loaded.peakTq.toFixed(1), fresh.peakTq.toFixed(1), key);
+  }
+});
+
+test("every preset's compression ratio sits in its mode's band", () => {
+  for (const [key, preset] of Object.entries(PRESETS)) {
+    const codes = simulateEngine(preset).warnings.map((w) => w.code);
+    assert.ok(!codes.includes("cr_out_of_band"), key);
+  }
+});
+
+test("stock gasoline presets need no knock retard on their rated fuel", () => {
+  for (const [key, preset] of Object.entries(PRESETS)) {
+    const { spark, warnings } = simulateEngine(preset);
+    if (!spark) continue;
+    assert.ok(Math.max(...spark.knockRetard) < 0.5, key);
+    assert.ok(!warnings.some((w) => w.code === "knock_retard"), key);
+  }
+});
+
+test("stock presets load with no warnings above info", () => {
+  for (const [key, preset] of Object.entries(PRESETS)) {
+    const raised = simulateEngine(preset).warnings
+      .filter((w) => w.severity !== "info")
+      .map((w) => w.code);
+    assert.deepEqual(raised, [], key);
+  }
+});